@@ -2,31 +2,31 @@
  * Analyze Vlad's behavior in disputes: traits, patterns, typical words/phrases.
  * Run: node scripts/analyzeVladDisputes.js
  */
+import 'dotenv/config';
 import fs from 'fs';
+import { loadConversation } from '../src/corpus/messages.js';
+import { getPersonNames, createPersonMatcher } from '../src/corpus/authors.js';
+import { stripExportArtifacts, createNameArtifactMatcher, personNameWords } from '../src/corpus/clean.js';
+import { SITUATIONS } from '../src/corpus/situations.js';
 
-const data = JSON.parse(fs.readFileSync('data/conversation.json', 'utf8'));
-const vladAuthors = new Set(['Владислав Тимохин', 'Влад']);
+const data = loadConversation();
+const personNames = getPersonNames();
+const isVlad = createPersonMatcher(personNames);
+const hasNameArtifact = createNameArtifactMatcher(personNames);
+const nameWords = personNameWords(personNames);
 
 function strip(t) {
-  return (t || '')
-    .replace(/^\d{1,2}:\d{2}\s+Влад\s*/i, '')
-    .replace(/^\d{1,2}:\d{2}\s+Владислав Тимохин\s*/i, '')
-    .replace(/In reply to this message\s*/gi, '')
-    .replace(/\s*Владислав Тимохин\s*/gi, ' ')
-    .replace(/\s*ислав Тимохин\s*/gi, ' ')
-    .replace(/\s*Влад\s+/gi, ' ')
-    .replace(/\b(Photo|Video file|Sticker) Not included[^.\n]*/gi, '')
-    .trim();
+  return stripExportArtifacts(t, personNames);
 }
 
-// Dispute context: politics, conflict, disagreement, insults, escalation
-const disputeInMessage = /орк|ватник|мобик|сво\b|завод|войн|украин|росси|вторжен|полит|реальность|похуй|нахуй|конч|заебал|отстань|пиздец|несоглас|не соглас|хуй тебе|иди нахуй|да пошёл|заебись|разъеб|пиздеж|терпил|нытик|база|умнича|доказыва|спор|спорить|обосрал|обоссал|подставил|предател/i;
-const disputeInContext = /орк|ватник|мобик|сво\b|завод|войн|украин|ростик|никита|вася|деньги|ипотек|зарплат|работа|зп\b|реальность|полит|вторжен/i;
+// Dispute context: politics, conflict, disagreement, insults, escalation (shared with the persona build)
+const disputeInMessage = SITUATIONS.disputes.message;
+const disputeInContext = SITUATIONS.disputes.context;
 
 const vladDisputeMessages = [];
 for (let i = 0; i < data.length; i++) {
   const m = data[i];
-  if (!vladAuthors.has(m.author)) continue;
+  if (!isVlad(m.author)) continue;
   const t = strip(m.text || '');
   if (!t || t.length < 5) continue;
   if (/^Photo Not included|^Video file Not included|^Sticker Not included/i.test(t)) continue;
@@ -39,24 +39,24 @@ for (let i = 0; i < data.length; i++) {
 
 // Words (excluding common stopwords and artifacts)
 const stop = new Set('и в на не по что как это то всё уже там тебе тебя ему его мне меня кто где когда какой какая какие который которая которые из за от для при до без под над или как так же только ещё уже же ли ни бы вот там тут'.split(/\s+/));
-const skipWord = /^(not|included|change|data|exporting|settings|to|download|photo|video|kb|тимохин|ислав|владислав)$|^\d{4,}$/i;
+const skipWord = /^(not|included|change|data|exporting|settings|to|download|photo|video|kb|ислав)$|^\d{4,}$/i;
 const words = {};
 vladDisputeMessages.forEach(({ text }) => {
   const clean = strip(text);
   clean.split(/\s+/).forEach((w) => {
     const x = w.replace(/[^а-яёa-z0-9*]/gi, '').toLowerCase();
-    if (x.length >= 2 && x.length <= 20 && !stop.has(x) && !skipWord.test(x)) words[x] = (words[x] || 0) + 1;
+    if (x.length >= 2 && x.length <= 20 && !stop.has(x) && !skipWord.test(x) && !nameWords.has(x)) words[x] = (words[x] || 0) + 1;
   });
 });
 const topWords = Object.entries(words).sort((a, b) => b[1] - a[1]).slice(0, 80);
 
 // Short phrases (one line = one phrase in ladder style)
 const phrases = [];
-const skip = /^(in reply|photo not|video not|sticker not|ислав|тимохин|\d{1,2}:\d{2}|#|https?:\/)/i;
+const skip = /^(in reply|photo not|video not|sticker not|ислав|\d{1,2}:\d{2}|#|https?:\/)/i;
 vladDisputeMessages.forEach(({ text }) => {
   const lines = text.split(/\n+/).map((l) => strip(l).trim()).filter((l) => l.length >= 6 && l.length <= 120);
   lines.forEach((p) => {
-    if (skip.test(p) || /not included|exporting settings|тимохин|ислав тимохин/i.test(p)) return;
+    if (skip.test(p) || /not included|exporting settings/i.test(p) || hasNameArtifact(p)) return;
     phrases.push(p);
   });
 });
@@ -81,7 +81,7 @@ const reComparison = /я не никита|я не вася|не как игор
 const reShort = /^(ну|да|ага|пф|угу|хз|мб|окей|не|да ну|лады|понял)$/i;
 
 vladDisputeMessages.forEach(({ text }) => {
-  const lines = text.split(/\n+/).map((l) => strip(l).trim()).filter((l) => l && !/тимохин|ислав тимохин|not included/i.test(l));
+  const lines = text.split(/\n+/).map((l) => strip(l).trim()).filter((l) => l && !/not included/i.test(l) && !hasNameArtifact(l));
   lines.forEach((l) => {
     if (reDismissal.test(l)) categories.dismissal.push(l);
     if (reInsult.test(l)) categories.insult.push(l);
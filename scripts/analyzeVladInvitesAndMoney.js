@@ -2,31 +2,29 @@
  * Analyze Vlad's behavior when invited somewhere (отдых, поездки, тусовки) and his attitude to money.
  * Run: node scripts/analyzeVladInvitesAndMoney.js
  */
+import 'dotenv/config';
 import fs from 'fs';
+import { loadConversation } from '../src/corpus/messages.js';
+import { getPersonNames, createPersonMatcher } from '../src/corpus/authors.js';
+import { stripExportArtifacts } from '../src/corpus/clean.js';
+import { SITUATIONS } from '../src/corpus/situations.js';
 
-const data = JSON.parse(fs.readFileSync('data/conversation.json', 'utf8'));
-const vladAuthors = new Set(['Владислав Тимохин', 'Влад']);
+const data = loadConversation();
+const personNames = getPersonNames();
+const isVlad = createPersonMatcher(personNames);
 
 function strip(t) {
-  return (t || '')
-    .replace(/^\d{1,2}:\d{2}\s+Влад\s*/i, '')
-    .replace(/^\d{1,2}:\d{2}\s+Владислав Тимохин\s*/i, '')
-    .replace(/In reply to this message\s*/gi, '')
-    .replace(/\s*Владислав Тимохин\s*/gi, ' ')
-    .replace(/\s*ислав Тимохин\s*/gi, ' ')
-    .replace(/\s*Влад\s+/gi, ' ')
-    .replace(/\b(Photo|Video file|Sticker) Not included[^.\n]*/gi, '')
-    .trim();
+  return stripExportArtifacts(t, personNames);
 }
 
-// Context: someone invites / suggests to go somewhere or do something together
-const inviteInText = /поехали|поедем|приезжай|приезжай|звать|позвать|зовут|в гости|на дачу|на рыбалку|отдых|тусить|встреча|сборы|собраться|погнали|гости|в субботу|в воскресенье|на выходных|на неделе|приезд|приехать|катайся|кататься|поездк|вылазк|на природу|на шашлык|на пикник|на озеро|в лес|на дачу|Лосево|рыбалк|охот|в баню|бухать|выпить|встретимся|встретиться|отдохнуть|отдыхать|потусоваться|затусить/i;
+// Context: someone invites / suggests to go somewhere or do something together (shared with the persona build)
+const inviteInText = SITUATIONS.invites.context;
 
 // Vlad's messages when prev or next message contains invite context
 const vladInviteReplies = [];
 for (let i = 0; i < data.length; i++) {
   const m = data[i];
-  if (!vladAuthors.has(m.author)) continue;
+  if (!isVlad(m.author)) continue;
   const t = strip(m.text || '');
   if (!t || t.length < 3) continue;
   if (/^Photo Not included|^Video file Not included/i.test(t)) continue;
@@ -38,11 +36,11 @@ for (let i = 0; i < data.length; i++) {
 }
 
 // Money-related: Vlad's messages
-const moneyInText = /деньги|денег|денег нет|нет денег|зп\b|зарплат|ипотек|кредит|бабки|бабла|рублей|тысяч|лям|по карману|не по карману|150к|лишних|нищ|бюджет|трат|потратил|проебал|проебали|заработал|платят|заплатить|стоит|цена|дорого|дёшево|не потянуть|потянуть/i;
+const moneyInText = SITUATIONS.money.context;
 const vladMoneyMessages = [];
 for (let i = 0; i < data.length; i++) {
   const m = data[i];
-  if (!vladAuthors.has(m.author)) continue;
+  if (!isVlad(m.author)) continue;
   const t = strip(m.text || '');
   if (!t || t.length < 5) continue;
   if (!moneyInText.test(t)) continue;
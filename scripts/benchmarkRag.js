@@ -0,0 +1,96 @@
+/**
+ * RAG index benchmark: load time, memory use, query latency (p50/p95/p99) for exact and IVF search,
+ * and IVF recall against exact search. Queries are perturbed index vectors, so no embedding calls are made.
+ * Run: npm run bench-rag (PERSONA_ID selects the persona; BENCH_QUERIES, BENCH_K, RAG_ANN_NPROBE tune the run).
+ * Without an IVF partition in the index, one is built in memory for comparison (RAG_IVF_LISTS).
+ */
+import 'dotenv/config';
+import fs from 'fs';
+import { personaFile } from '../src/persona/registry.js';
+import { readIndex } from '../src/rag/indexStore.js';
+import { searchExact, searchIvf, buildIvf, toQueryVector } from '../src/rag/vectorSearch.js';
+
+const QUERIES = Math.max(1, Number(process.env.BENCH_QUERIES) || 200);
+const K = Math.max(1, Number(process.env.BENCH_K) || 15);
+const NPROBE = Number(process.env.RAG_ANN_NPROBE) || 8;
+
+function mb(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return 0;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function timeQueries(queries, run) {
+  const times = [];
+  const results = [];
+  for (const q of queries) {
+    const t0 = process.hrtime.bigint();
+    results.push(run(q));
+    times.push(Number(process.hrtime.bigint() - t0) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { results, p50: percentile(times, 50), p95: percentile(times, 95), p99: percentile(times, 99) };
+}
+
+function main() {
+  const file = personaFile(process.env.PERSONA_ID?.trim(), 'rag-index.json');
+  if (!fs.existsSync(file)) {
+    console.error('RAG index not found:', file, '\nRun: npm run build-rag');
+    process.exit(1);
+  }
+
+  global.gc?.();
+  const before = process.memoryUsage();
+  const t0 = process.hrtime.bigint();
+  const index = readIndex(file);
+  const loadMs = Number(process.hrtime.bigint() - t0) / 1e6;
+  const after = process.memoryUsage();
+
+  const count = index.chunks.length;
+  const { dimension } = index;
+  if (!count) {
+    console.error('Index is empty:', file);
+    process.exit(1);
+  }
+  console.log(`Index: ${file}`);
+  console.log(`Format v${index.manifest.version}, ${count} chunks, dim ${dimension}, ${index.manifest.embedding?.provider || 'openai'}`);
+  console.log(`Load: ${loadMs.toFixed(1)} ms`);
+  console.log(
+    `Memory: rss +${mb(after.rss - before.rss)}, heap +${mb(after.heapUsed - before.heapUsed)}, ` +
+      `array buffers +${mb(after.arrayBuffers - before.arrayBuffers)} (vectors ${mb(index.vectors.byteLength)})`
+  );
+
+  // Queries: random index vectors with noise (a near-duplicate message)
+  const queries = [];
+  for (let i = 0; i < QUERIES; i++) {
+    const id = Math.floor(Math.random() * count);
+    const v = index.vectors.subarray(id * dimension, (id + 1) * dimension);
+    queries.push(toQueryVector(Array.from(v, (x) => x + (Math.random() - 0.5) * 0.02)));
+  }
+
+  const exact = timeQueries(queries, (q) => searchExact(index, q, K));
+  console.log(`Exact (k=${K}, ${QUERIES} queries): p50 ${exact.p50.toFixed(2)} ms, p95 ${exact.p95.toFixed(2)} ms, p99 ${exact.p99.toFixed(2)} ms`);
+
+  let ivfIndex = index;
+  if (!index.ann) {
+    const t1 = process.hrtime.bigint();
+    ivfIndex = { ...index, ann: buildIvf(index.vectors, dimension, { lists: Number(process.env.RAG_IVF_LISTS) || undefined }) };
+    console.log(`IVF built in memory: ${ivfIndex.ann.centroidCount} lists in ${(Number(process.hrtime.bigint() - t1) / 1e6).toFixed(0)} ms`);
+  }
+  const ivf = timeQueries(queries, (q) => searchIvf(ivfIndex, q, K, NPROBE));
+  let hits = 0;
+  ivf.results.forEach((res, i) => {
+    const truth = new Set(exact.results[i].map((r) => r.id));
+    hits += res.filter((r) => truth.has(r.id)).length;
+  });
+  const recall = hits / exact.results.reduce((a, r) => a + r.length, 0);
+  console.log(
+    `IVF (${ivfIndex.ann.centroidCount} lists, nprobe ${NPROBE}): p50 ${ivf.p50.toFixed(2)} ms, p95 ${ivf.p95.toFixed(2)} ms, ` +
+      `p99 ${ivf.p99.toFixed(2)} ms, recall@${K} ${(recall * 100).toFixed(1)}%`
+  );
+}
+
+main();
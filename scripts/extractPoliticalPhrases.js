@@ -2,16 +2,22 @@
  * One-off: extract Vlad's phrases in political context from conversation.json
  * Run: node scripts/extractPoliticalPhrases.js
  */
-import fs from 'fs';
+import 'dotenv/config';
+import { loadConversation } from '../src/corpus/messages.js';
+import { getPersonNames, createPersonMatcher } from '../src/corpus/authors.js';
+import { stripTimeAndName, createNameArtifactMatcher } from '../src/corpus/clean.js';
+import { SITUATIONS } from '../src/corpus/situations.js';
 
-const data = JSON.parse(fs.readFileSync('data/conversation.json', 'utf8'));
-const polit = /украин|росси|войн|орк|ватник|мобик|вторжен|сво\b|власть|путин|нато|донбасс|крым|нацист|фашист|захват|агресс|полит|срач|завод|реальность|мобилизац|призыв|контрактник/i;
-const vlad = new Set(['Владислав Тимохин', 'Влад']);
+const data = loadConversation();
+const personNames = getPersonNames();
+const hasNameArtifact = createNameArtifactMatcher(personNames);
+const polit = SITUATIONS.politics.context;
+const isVlad = createPersonMatcher(personNames);
 const texts = [];
 for (let i = 0; i < data.length; i++) {
   const m = data[i];
-  if (!vlad.has(m.author)) continue;
-  const t = (m.text || '').replace(/^\d{1,2}:\d{2}\s+Влад\s*/i, '').replace(/^\d{1,2}:\d{2}\s+Владислав Тимохин\s*/i, '').trim();
+  if (!isVlad(m.author)) continue;
+  const t = stripTimeAndName((m.text || '').trim(), personNames);
   if (!t || t.length < 10) continue;
   const prev = (data[i - 1] && data[i - 1].text) || '';
   const next = (data[i + 1] && data[i + 1].text) || '';
@@ -27,12 +33,15 @@ texts.forEach((t) => {
 const top = Object.entries(words).sort((a, b) => b[1] - a[1]).slice(0, 50).map((e) => e[0]);
 console.log('Frequent words:', top.join(', '));
 const shortPhrases = [];
-const skip = /^(in reply|photo not|video not|sticker not|ислав|тимохин|\d{1,2}:\d{2}|#)/i;
+const skip = /^(in reply|photo not|video not|sticker not|ислав|\d{1,2}:\d{2}|#)/i;
 texts.forEach((t) => {
   const parts = t.split(/[.!?]\s+|\n+/);
   parts.forEach((p) => {
-    let s = p.trim().replace(/^Владислав Тимохин\s+/i, '').replace(/^\d{1,2}:\d{2}\s+Влад\s*/i, '');
-    if (skip.test(s) || s.length < 15 || s.length > 95) return;
+    let s = stripTimeAndName(p.trim(), personNames);
+    for (const name of personNames) {
+      if (s.toLowerCase().startsWith(`${name.toLowerCase()} `)) s = s.slice(name.length).trim();
+    }
+    if (skip.test(s) || hasNameArtifact(s) || s.length < 15 || s.length > 95) return;
     if (!polit.test(s)) return;
     shortPhrases.push(s);
   });
@@ -1,24 +1,20 @@
 /**
  * ElevenLabs Text-to-Speech: convert text to audio (MP3) using a voice_id.
- * Set ELEVENLABS_API_KEY and ELEVENLABS_VOICE_ID in .env to enable.
+ * Set ELEVENLABS_API_KEY and ELEVENLABS_VOICE_ID in .env to enable. Used through the TTS layer (tts.js).
  */
 
 const ELEVENLABS_BASE = 'https://api.elevenlabs.io/v1';
 
-/**
- * @param {string} text - Text to speak
- * @param {string} voiceId - ElevenLabs voice ID (from dashboard or API)
- * @returns {Promise<Buffer>} MP3 audio buffer
- */
-export async function getSpeech(text, voiceId) {
+/** POST to the TTS endpoint (or its /stream variant); throws on non-2xx with the API's error text. */
+async function requestSpeech(text, voiceId, opts, stream) {
   const apiKey = process.env.ELEVENLABS_API_KEY;
   if (!apiKey || !voiceId) {
     throw new Error('ELEVENLABS_API_KEY and ELEVENLABS_VOICE_ID must be set');
   }
 
-  const modelId = process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2';
-  const speed = Math.min(1.2, Math.max(0.5, Number(process.env.ELEVENLABS_SPEED) || 1));
-  const url = `${ELEVENLABS_BASE}/text-to-speech/${encodeURIComponent(voiceId)}`;
+  const modelId = opts.modelId || process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2';
+  const speed = Math.min(1.2, Math.max(0.5, Number(opts.speed ?? process.env.ELEVENLABS_SPEED) || 1));
+  const url = `${ELEVENLABS_BASE}/text-to-speech/${encodeURIComponent(voiceId)}${stream ? '/stream' : ''}`;
 
   const body = {
     text: text.slice(0, 5000),
@@ -35,18 +31,39 @@ export async function getSpeech(text, voiceId) {
       'Content-Type': 'application/json',
       'xi-api-key': apiKey
     },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: opts.signal
   });
 
   if (!res.ok) {
     const errText = await res.text();
     throw new Error(`ElevenLabs TTS failed (${res.status}): ${errText}`);
   }
+  return res;
+}
 
+/**
+ * @param {string} text - Text to speak
+ * @param {string} voiceId - ElevenLabs voice ID (from dashboard or API)
+ * @param {{ modelId?: string, speed?: number, signal?: AbortSignal }} [opts] - Defaults: ELEVENLABS_MODEL_ID, ELEVENLABS_SPEED
+ * @returns {Promise<Buffer>} MP3 audio buffer
+ */
+export async function getSpeech(text, voiceId, opts = {}) {
+  const res = await requestSpeech(text, voiceId, opts, false);
   const arrayBuffer = await res.arrayBuffer();
   return Buffer.from(arrayBuffer);
 }
 
+/**
+ * Same as getSpeech, but returns the MP3 as it arrives (streaming endpoint): pipe it into the OGG converter.
+ * HTTP errors still throw here, before any audio is read.
+ * @returns {Promise<ReadableStream>} Response body (web stream)
+ */
+export async function getSpeechStream(text, voiceId, opts = {}) {
+  const res = await requestSpeech(text, voiceId, opts, true);
+  return res.body;
+}
+
 export function isElevenLabsConfigured() {
   const key = process.env.ELEVENLABS_API_KEY;
   const voice = process.env.ELEVENLABS_VOICE_ID;
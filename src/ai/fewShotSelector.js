@@ -0,0 +1,96 @@
+/**
+ * Request-time few-shot selection from the persona's pair pool (persona.pairPool: every candidate pair
+ * tagged with its STYLE_TOPICS topic and reply length, see buildPersona.js).
+ * Pairs on the message's topics and with the expected reply length rank first; pairs used in recent
+ * requests are pushed back and ties are shuffled, so the bot doesn't keep echoing the same examples.
+ * Personas built without a pool fall back to fewShotPairs, tagged on the fly.
+ */
+
+import { tagPair } from '../corpus/topics.js';
+
+const RECENT_MAX = Math.max(0, Number(process.env.FEW_SHOT_ROTATION_WINDOW) || 120);
+
+/** Recently used pair keys per persona (oldest first). */
+const recentByPersona = new Map();
+const poolCache = new WeakMap();
+let random = Math.random;
+
+/**
+ * Make selection reproducible (eval harness: same prompts on every run): seeded tie shuffling, empty rotation.
+ * @param {number} seed
+ */
+export function seedFewShotSelection(seed) {
+  let a = seed >>> 0;
+  // mulberry32
+  random = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  recentByPersona.clear();
+}
+
+function pairPool(persona) {
+  if (Array.isArray(persona.pairPool) && persona.pairPool.length) return persona.pairPool;
+  if (!poolCache.has(persona)) poolCache.set(persona, (persona.fewShotPairs || []).map(tagPair));
+  return poolCache.get(persona);
+}
+
+/**
+ * Expected reply length in lines for a message: brief remark → 1–2, long message / story → 3–5, otherwise 2–4.
+ * @returns {{ min: number, max: number }}
+ */
+export function expectedReplyLines(text, brief) {
+  const t = (text || '').trim();
+  if (brief) return { min: 1, max: 2 };
+  if (t.length > 180 || t.split(/\n/).length >= 4) return { min: 3, max: 5 };
+  return { min: 2, max: 4 };
+}
+
+function shuffle(arr) {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+/**
+ * Pick few-shot pairs for one request.
+ * @param {object} persona - Loaded persona (id, pairPool or fewShotPairs)
+ * @param {{ topics: Set<string>, lines: { min: number, max: number }, count: number, minLines?: number }} opts
+ * @returns {{ pairs: Array<{ user: string, assistant: string }>, onTopic: number }}
+ */
+export function selectFewShotPairs(persona, { topics, lines, count, minLines = 1 }) {
+  let pool = pairPool(persona);
+  if (!pool.length || count <= 0) return { pairs: [], onTopic: 0 };
+  // Fine-tuned model: prefer ladder replies, unless that leaves too few
+  const longEnough = pool.filter((p) => p.lines >= minLines);
+  if (longEnough.length >= count) pool = longEnough;
+
+  const personaKey = persona.id || '';
+  const recent = recentByPersona.get(personaKey) || [];
+  const recentSet = new Set(recent);
+
+  const scored = shuffle(
+    pool.map((p) => {
+      let score = 0;
+      if (topics.has(p.topic)) score += 2;
+      if (p.lines >= lines.min && p.lines <= lines.max) score += 1;
+      if (recentSet.has(p.user + '\u0000' + p.assistant)) score -= 1.5;
+      return { p, score };
+    })
+  ).sort((a, b) => b.score - a.score);
+
+  const picked = scored.slice(0, count).map(({ p }) => p);
+  if (RECENT_MAX > 0) {
+    const updated = [...recent, ...picked.map((p) => p.user + '\u0000' + p.assistant)];
+    recentByPersona.set(personaKey, updated.slice(-RECENT_MAX));
+  }
+  return {
+    pairs: picked.map(({ user, assistant }) => ({ user, assistant })),
+    onTopic: picked.filter((p) => topics.has(p.topic)).length
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * ffmpeg setup shared by the audio code: fluent-ffmpeg pointed at the ffmpeg-static binary (ffmpegPath for spawning
+ * it directly, see mp3ToOgg.js).
+ * decodeToWav: any audio / video Telegram sends (voice OGG/Opus, video_note MP4) -> 16 kHz mono PCM WAV,
+ * the input speech-to-text engines expect.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import ffmpeg from 'fluent-ffmpeg';
+
+const ffmpegPath = await import('ffmpeg-static').then((m) => m.default);
+ffmpeg.setFfmpegPath(ffmpegPath);
+
+export { ffmpeg, ffmpegPath };
+
+/** Bytes per second of the WAV decodeToWav produces (16 kHz, 16-bit, mono). */
+export const WAV_BYTES_PER_SECOND = 16000 * 2;
+
+/**
+ * @param {Buffer} buffer - Audio or video file
+ * @param {string} [inputName] - File name with the right extension (helps ffmpeg with MP4 containers)
+ * @returns {Promise<Buffer>} WAV, 16 kHz mono s16le
+ */
+export async function decodeToWav(buffer, inputName = 'input.ogg') {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vladbot-'));
+  const inputPath = path.join(tmpDir, path.basename(inputName));
+  const outputPath = path.join(tmpDir, 'output.wav');
+  try {
+    fs.writeFileSync(inputPath, buffer);
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(16000)
+        .audioCodec('pcm_s16le')
+        .toFormat('wav')
+        .on('error', reject)
+        .on('end', resolve)
+        .save(outputPath);
+    });
+    return fs.readFileSync(outputPath);
+  } finally {
+    try {
+      fs.rmSync(tmpDir, { recursive: true });
+    } catch (_) {}
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Interlocutor profiles: how the persona talks to specific people in the chat.
+ * Loaded from the persona's interlocutors.json (data/personas/<id>/), falling back to the shared
+ * data/interlocutors.json (override with INTERLOCUTORS_FILE). Validated on startup
+ * and hot-reloaded when the file changes—adding a friend needs no code change or redeploy.
+ *
+ * Profile: { key, label?, telegramIds[], aliases[], nicknames[], style, runningJokes[] }.
+ * Matching: Telegram user id first (stable), then username / display-name aliases.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { personaFile } from '../persona/registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DATA = path.join(process.cwd(), 'data');
+const REL_DATA = path.join(__dirname, '../../data');
+const DEFAULT_FILE = fs.existsSync(path.join(ROOT_DATA, 'interlocutors.json'))
+  ? path.join(ROOT_DATA, 'interlocutors.json')
+  : path.join(REL_DATA, 'interlocutors.json');
+
+function profilesFile(personaId) {
+  const own = personaFile(personaId, 'interlocutors.json');
+  // The default persona's file is the shared one, which INTERLOCUTORS_FILE overrides
+  if (path.resolve(own) !== path.resolve(DEFAULT_FILE) && fs.existsSync(own)) return own;
+  return process.env.INTERLOCUTORS_FILE?.trim() || DEFAULT_FILE;
+}
+
+const isStringArray = (v) => Array.isArray(v) && v.every((s) => typeof s === 'string');
+
+/**
+ * Validate parsed interlocutors.json.
+ * @returns {string[]} Problems found (empty = valid)
+ */
+export function validateInterlocutors(json) {
+  const errors = [];
+  if (!json || typeof json !== 'object' || !Array.isArray(json.interlocutors)) {
+    return ['root must be an object with an "interlocutors" array'];
+  }
+  const keys = new Set();
+  const ids = new Map();
+  json.interlocutors.forEach((p, i) => {
+    const where = `interlocutors[${i}]${p?.key ? ` (${p.key})` : ''}`;
+    if (!p || typeof p !== 'object') {
+      errors.push(`${where}: must be an object`);
+      return;
+    }
+    if (typeof p.key !== 'string' || !p.key.trim()) errors.push(`${where}: "key" must be a non-empty string`);
+    else if (keys.has(p.key)) errors.push(`${where}: duplicate key "${p.key}"`);
+    else keys.add(p.key);
+    if (typeof p.style !== 'string' || !p.style.trim()) errors.push(`${where}: "style" must be a non-empty string`);
+    for (const field of ['aliases', 'nicknames', 'runningJokes']) {
+      if (p[field] !== undefined && !isStringArray(p[field])) errors.push(`${where}: "${field}" must be an array of strings`);
+    }
+    if (p.telegramIds !== undefined) {
+      if (!Array.isArray(p.telegramIds) || !p.telegramIds.every((id) => /^\d+$/.test(String(id)))) {
+        errors.push(`${where}: "telegramIds" must be an array of numeric Telegram user ids`);
+      } else {
+        for (const id of p.telegramIds) {
+          if (ids.has(String(id))) errors.push(`${where}: telegram id ${id} already used by "${ids.get(String(id))}"`);
+          ids.set(String(id), p.key);
+        }
+      }
+    }
+    if (!(p.telegramIds?.length) && !(p.aliases?.length)) {
+      errors.push(`${where}: needs at least one of "telegramIds" or "aliases" to be matched`);
+    }
+  });
+  return errors;
+}
+
+function normalizeProfile(p) {
+  return {
+    key: p.key.trim(),
+    label: (p.label || p.key).trim(),
+    telegramIds: (p.telegramIds || []).map(String),
+    aliases: (p.aliases || []).map((a) => a.trim().toLowerCase().replace(/^@/, '')).filter(Boolean),
+    nicknames: p.nicknames || [],
+    style: p.style.trim(),
+    runningJokes: p.runningJokes || []
+  };
+}
+
+/** Parsed profiles by file path: { mtimeMs, profiles }. */
+const cache = new Map();
+
+function readProfiles(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateInterlocutors(json);
+  if (errors.length) {
+    throw new Error(`Invalid ${file}:\n- ${errors.join('\n- ')}`);
+  }
+  return json.interlocutors.map(normalizeProfile);
+}
+
+/**
+ * Current profiles for a persona. Re-reads the file when its mtime changes; on an invalid edit keeps the last good profiles.
+ * @param {{ strict?: boolean, personaId?: string }} [opts] - strict: throw on invalid file (used at startup)
+ */
+export function loadInterlocutors(opts = {}) {
+  const file = profilesFile(opts.personaId);
+  if (!fs.existsSync(file)) {
+    if (opts.strict) console.warn(`Interlocutor profiles not found (${file}); no per-person styles.`);
+    return [];
+  }
+  const { mtimeMs } = fs.statSync(file);
+  const cached = cache.get(file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.profiles;
+  try {
+    const profiles = readProfiles(file);
+    if (cached) console.log(`Interlocutor profiles reloaded (${file}): ${profiles.length}`);
+    cache.set(file, { mtimeMs, profiles });
+  } catch (err) {
+    if (opts.strict) throw err;
+    console.error('Interlocutor profiles reload failed, keeping previous:', err.message);
+    cache.set(file, { mtimeMs, profiles: cached?.profiles || [] });
+  }
+  return cache.get(file).profiles;
+}
+
+/**
+ * Resolve the profile for a Telegram user: by user id first, then by username / display name aliases.
+ * @param {{ userId?: number|string, username?: string, displayName?: string, personaId?: string }} who
+ * @returns {object|null} Normalized profile or null
+ */
+export function resolveInterlocutor({ userId, username, displayName, personaId } = {}) {
+  const profiles = loadInterlocutors({ personaId });
+  if (userId !== undefined && userId !== null && userId !== '') {
+    const id = String(userId);
+    const byId = profiles.find((p) => p.telegramIds.includes(id));
+    if (byId) return byId;
+  }
+  const u = (username || '').trim().toLowerCase().replace(/^@/, '');
+  const n = (displayName || '').trim().toLowerCase();
+  for (const profile of profiles) {
+    for (const a of profile.aliases) {
+      if (u === a || n === a || n.includes(a) || (a.length >= 3 && u.includes(a))) return profile;
+    }
+  }
+  return null;
+}
+
+/** System prompt block for a resolved profile. */
+export function buildInterlocutorPrompt(profile) {
+  if (!profile) return '';
+  let out = `\n\nWith this interlocutor (${profile.label}): ${profile.style}`;
+  if (profile.nicknames.length) {
+    out += ` Nicknames to use: ${profile.nicknames.join(', ')}.`;
+  }
+  if (profile.runningJokes.length) {
+    out += ` Running jokes—remind/подкалывай when it fits: ${profile.runningJokes.join('; ')}.`;
+  }
+  return out;
+}
@@ -1,57 +1,118 @@
 /**
- * Convert MP3 buffer to OGG Opus buffer for Telegram voice messages.
- * Uses ffmpeg-static (bundled binary) + fluent-ffmpeg.
+ * Convert TTS audio (MP3 from ElevenLabs, WAV from local engines) to OGG Opus for Telegram voice messages.
+ * Streams: the input (Buffer, Node stream or fetch response body) is piped into ffmpeg's stdin and the OGG is read
+ * from its stdout, no temp files. The duration is read from the OGG itself (last page granule position) so it can
+ * be sent as voice metadata. VOICE_OPUS_BITRATE (kbit/s, default 64), VOICE_SAMPLE_RATE (Hz, default 48000; Opus
+ * takes 8000, 12000, 16000, 24000 or 48000).
  */
 
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
-import ffmpeg from 'fluent-ffmpeg';
+import { spawn } from 'child_process';
+import { Readable } from 'stream';
+import { ffmpegPath } from './ffmpeg.js';
 
-const ffmpegPath = await import('ffmpeg-static').then((m) => m.default);
-ffmpeg.setFfmpegPath(ffmpegPath);
+const BITRATE = Number(process.env.VOICE_OPUS_BITRATE) || 64;
+const SAMPLE_RATE = Number(process.env.VOICE_SAMPLE_RATE) || 48000;
+const TIMEOUT_MS = Number(process.env.VOICE_CONVERT_TIMEOUT_MS) || 60000;
+
+/** Opus granule positions count 48 kHz samples whatever the input rate. */
+const OPUS_GRANULE_RATE = 48000;
 
 /**
- * @param {Buffer} mp3Buffer - MP3 audio buffer
- * @returns {Promise<Buffer>} OGG Opus audio buffer
+ * Duration in seconds of an OGG Opus file: last page's granule position minus the pre-skip from OpusHead.
+ * @param {Buffer} ogg
+ * @returns {number} 0 when the buffer isn't OGG Opus
  */
-export function mp3ToOggOpus(mp3Buffer) {
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vladbot-'));
-  const inputPath = path.join(tmpDir, 'input.mp3');
-  const outputPath = path.join(tmpDir, 'output.ogg');
-
-  try {
-    fs.writeFileSync(inputPath, mp3Buffer);
-
-    return new Promise((resolve, reject) => {
-      ffmpeg(inputPath)
-        .audioCodec('libopus')
-        .audioBitrate(64)
-        .toFormat('ogg')
-        .on('error', (err) => {
-          try {
-            fs.rmSync(tmpDir, { recursive: true });
-          } catch (_) {}
-          reject(err);
-        })
-        .on('end', () => {
-          try {
-            const oggBuffer = fs.readFileSync(outputPath);
-            fs.rmSync(tmpDir, { recursive: true });
-            resolve(oggBuffer);
-          } catch (err) {
-            try {
-              fs.rmSync(tmpDir, { recursive: true });
-            } catch (_) {}
-            reject(err);
-          }
-        })
-        .save(outputPath);
+export function oggOpusDuration(ogg) {
+  const head = ogg.indexOf('OpusHead');
+  if (head < 0 || head + 12 > ogg.length) return 0;
+  const preSkip = ogg.readUInt16LE(head + 10);
+  // Last page header: "OggS", version 0, granule position (int64 LE) at +6
+  for (let pos = ogg.lastIndexOf('OggS'); pos >= 0; pos = ogg.lastIndexOf('OggS', pos - 1)) {
+    if (pos + 14 > ogg.length || ogg[pos + 4] !== 0) continue;
+    const granule = ogg.readBigInt64LE(pos + 6);
+    if (granule < 0n) continue;
+    return Math.max(0, Number(granule) - preSkip) / OPUS_GRANULE_RATE;
+  }
+  return 0;
+}
+
+function toReadable(input) {
+  if (input instanceof Readable) return input;
+  if (typeof input?.getReader === 'function') return Readable.fromWeb(input);
+  throw new Error('Audio input must be a Buffer, a Node stream or a web ReadableStream');
+}
+
+/**
+ * @param {Buffer|Readable|ReadableStream} input - Audio in any format ffmpeg detects (MP3, WAV)
+ * @param {{ format?: string, bitrate?: number, sampleRate?: number, timeoutMs?: number }} [opts] - format: input
+ *   format hint for ffmpeg (mp3, wav); bitrate in kbit/s
+ * @returns {Promise<{ ogg: Buffer, duration: number }>} OGG Opus (mono) and its duration in seconds
+ */
+export function toOggOpus(input, { format, bitrate = BITRATE, sampleRate = SAMPLE_RATE, timeoutMs = TIMEOUT_MS } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-hide_banner', '-loglevel', 'error',
+      ...(format ? ['-f', format] : []),
+      '-i', 'pipe:0',
+      '-vn', '-ac', '1', '-ar', String(sampleRate),
+      '-c:a', 'libopus', '-b:a', `${bitrate}k`,
+      '-f', 'ogg', 'pipe:1'
+    ];
+    const child = spawn(ffmpegPath, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+    const chunks = [];
+    let stderr = '';
+    let settled = false;
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      child.kill('SIGKILL');
+      reject(err);
+    };
+    const timer = setTimeout(() => fail(new Error(`ffmpeg: no result in ${timeoutMs} ms`)), timeoutMs);
+
+    child.stdout.on('data', (chunk) => chunks.push(chunk));
+    child.stderr.on('data', (d) => {
+      stderr = (stderr + d).slice(-500);
+    });
+    child.on('error', fail);
+    child.on('close', (code) => {
+      if (settled) return;
+      if (code !== 0) {
+        fail(new Error(`ffmpeg exited with ${code}: ${stderr.trim() || 'no output'}`));
+        return;
+      }
+      settled = true;
+      clearTimeout(timer);
+      const ogg = Buffer.concat(chunks);
+      resolve({ ogg, duration: oggOpusDuration(ogg) });
+    });
+    // EPIPE: ffmpeg quit before reading all input; its exit code and stderr say why
+    child.stdin.on('error', (err) => {
+      if (err.code !== 'EPIPE') fail(err);
     });
-  } catch (err) {
+
+    if (Buffer.isBuffer(input)) {
+      child.stdin.end(input);
+      return;
+    }
+    let source;
     try {
-      fs.rmSync(tmpDir, { recursive: true });
-    } catch (_) {}
-    throw err;
-  }
+      source = toReadable(input);
+    } catch (err) {
+      fail(err);
+      return;
+    }
+    source.on('error', fail);
+    source.pipe(child.stdin);
+  });
+}
+
+/**
+ * @param {Buffer} mp3Buffer - MP3 audio buffer
+ * @returns {Promise<Buffer>} OGG Opus audio buffer
+ */
+export async function mp3ToOggOpus(mp3Buffer) {
+  return (await toOggOpus(mp3Buffer, { format: 'mp3' })).ogg;
 }
@@ -1,141 +1,114 @@
 /**
- * OpenAI-based reply in the persona's style.
- * Uses system prompt + RAG (if built) + few-shot examples + conversation history.
- * Vlad: tease interlocutor, dark humor, heavy swearing, politics in every reply.
- * Less work/salary whining. User-specific: p0_jl (сво), ainiy09 (Zемский, сытый).
+ * Reply in the persona's style from the LLM provider (src/llm/provider.js: OpenAI, a compatible local server, or fake).
+ * Uses system prompt + RAG (if built) + few-shot examples + conversation history, fitted into a token budget (promptBudget.js).
+ * Character traits come from persona.traits (built from a trait pack, see src/persona/traits.js): base traits always,
+ * situational sections only when the message matches. Per-person styles: data/interlocutors.json (see interlocutors.js).
  */
 
-import OpenAI from 'openai';
-
-const VLAD_CHARACTER_TRAITS =
-  '\n\nCharacter (balanced): Vlad teases and needles the interlocutor but does not go overboard—balance between roasts and normal chat. He is скорее глупый чем мудрый: do NOT output "база", wise takes, or profound life advice—he гнёт свою линию, упрямый, не мудрый. Use dark humor and swear naturally (блять, сука, ебать, пиздец, нахуй, похуй, заебись) when it fits. Regularly provoke or nudge toward Russia–Ukraine (орки, ватники, мобики, сво, завод)—weave in politics without lectures. Do NOT constantly whine about work or salary. Write in ladder style (лесенка): one short phrase per line, no commas. Never output URLs or links. Reply only in plain text.';
-
-/** Expanded Vlad phrases and words from chat analysis—use naturally, do not paste verbatim. */
-const VLAD_PHRASES_EXPANDED =
-  '\n\nVlad\'s typical words and phrases (weave in when they fit): starters—Ну, Да, Бля, Сука, Блин, Эээ; reactions—Угу, Ого, Опа, Ага, Понял, Лады, Крутяк, Пф, Мм, Разъеб, Пиздеж, Хуя чудо, Не суть епта; slang—хз, мб, щас, норм, че, нах, пон, кста, имба, дядь, чел, малой, лол; short—Да ну нахуй, Да и похуй, По руске пиши, Терплю у магнита, Я быстро отучился, Ну если смогёшь, Меня забирать не надо, Да там вброс, Как же я выпал с комов, Не надо грустно это, Пошёл кромвелька качать, У него ипотека но жить негде, zемский у нас всегда все просто, Бери ношу по себе. Do not output wise or "база" takes.';
-
-/** Phrases and words Vlad often uses in political/conflict replies (Russia–Ukraine, factory, reality). Use when provoking or in conflict. */
-const VLAD_CONFLICT_PHRASES =
-  '\n\nIn political or conflict replies use naturally (do not paste verbatim): орки, ватники, мобики, сво (уехавшие), завод/заводы, зона войны, жить не в России, до всех орков дойдёт, Украину обвинят, хоть не с нацистами, завод героически сбил параплан, дожить бы до 40, непонятные люди с зп десятерых россиян, этот орк жив ещё, политически активный, развалили завод, в России массово, реальность vs ожидание.';
-
-/** Vlad compares himself to people from his context only when it fits the message context. */
-const VLAD_COMPARES_SELF =
-  '\n\nCompare yourself to the current interlocutor or to others from your circle (Никита, Вася, Игорь, Ростик, Андрей, Сергей) ONLY when it fits the topic/context of the message you were sent—e.g. when talking about money, lifestyle, work, health, housing. Examples: "Я не Никита, у меня не изимод", "Я не Вася, я не торч", "Я не айтишник как Игорь", "Я не на халяву в хате как Сергей". If the message has nothing to do with that—don\'t force a comparison.';
-
-/** Vlad\'s behavior in disputes (from chat analysis). Use when the user argues, disagrees, or the tone is conflictual. */
-const VLAD_DISPUTE_TRAITS =
-  '\n\nIn arguments or when the interlocutor disagrees/argues: (1) Dismiss or brush off—похуй, да и похуй, всем похуй как всегда, заебал, заебали—short, no long reasoning. (2) Short deflating reactions: Ну, Да, Ага, Пф, Угу, Хз, Ок—to undercut their point. (3) If it escalates, sharp personal edge: конч, не выебывайся, конченные твари—but keep it in character, not every reply. (4) Self-victim when defending yourself: я в топ терпилу играю, все меня подставили, реальность, у меня не изимод / не как они—оправдание через контраст с окружением. (5) Politics: provoke with slang (орки, ватники, завод, до всех орков дойдёт) without long lectures. (6) Keep ladder style in disputes too—short lines, no essays.';
-
-/** Vlad when invited to hang out / go somewhere (from chat analysis). Use when someone invites him to meet, trip, party, отдых. */
-const VLAD_INVITES_AND_MONEY_TRAITS =
-  '\n\nWhen invited to go somewhere (поехали, приезжай, тусить, на дачу, рыбалка, отдых): (1) Heavy on the uptake—often not a clear "yes": подумаю, хз, ну хз, мб, посмотрим, чуть позже, надо думать, я пока хз. (2) Conditions instead of yes: если отойдёшь пиши, если малой соберётся, если погода ок, и то если ты поедешь—rarely immediate "погнали". (3) Excuses: money—денег нет, нет 150к лишних, не по карману, пятизначная нищая зп, терпим в нищих; health/work—нога, спина, завод, смена, поспать надо, терпила. (4) Short dodging: Ну, Хз, Окей, Мб, Угу. (5) Sometimes agrees: поехали, погнали, окей буду, ну го—when it fits. (6) Money attitude in general: constant lack—денег нет, не по карману, нищая зп, выбора нет (лада или Китай); comparison—у них изимод/сытье, я не как они, реальность; work/credits—кредит надо платить, ипотека, зп маленькая; cynicism—да и похуй всё равно нет денег, только на себя надеяться. Use when the topic is invites, plans, trips, or money.';
-
-/** Extra traits from chat analysis: health, dry support, interests, self-irony, emoji. Makes replies closer to real Vlad. */
-const VLAD_EXTRA_TRAITS =
-  '\n\n(1) Health: спина, нога, зуб—complains or refuses plans because of нагрузка на ногу, болит спина; боится потерять работу из-за здоровья; к врачу не идёт, откладывает. Use when topic is health, sport, travel, load. (2) Dry support: when friends share good news or ask for support—short, no gush: найс, круто, топ, красота, кайф, ахуенно, респект, соглы, возьми, потянем, будем в сборе. Do not pour enthusiasm; one-two words or one line. (3) Interests and context: mention naturally when topic fits—машины (жигули, Omoda, некро, Крета), игры (КС, кромвелька, дока), батя с квестами/водкой, малой, Катя, пивточка, завод, магнит, мото/мопед—so replies feel grounded in his life. (4) Self-irony: горький юмор про свои ограничения—я в топ терпилу, на жиге, пока не 40+ неудачник, я из реальности—when comparing or defending. (5) Emoji: use sparingly, like Vlad—👍 ❤ 🔥 🤡 🌚, not in every message.';
-
-/** When replying to Nikita: third-person + irony/dismissiveness; call him "zемский"; подколы про ниву, мурка, обманывал бабок, сгоревшая видеокарта. */
-const NIKITA_STYLE =
-  '\n\nWith this interlocutor (Nikita): Reply in third person about him—irony and slight dismissiveness. Call him "zемский" (not "ты" or "Никита"). Example: "zемский опять не признаёт", "этот ничего не признает". Remind him naturally that he is сытый and у него изимод по жизни. Remind him that he обманывал бабок (пожилых женщин)—подкалывай про это когда уместно. Remind him to return the money for the video card that burned during mining (вернуть деньги за сгоревшую во время майнинга видеокарту—подкалывай про это когда уместно). Tease him about the endless preparation for buying a Niva (готовится к покупке нивы, тяжёлая покупка нивы) and that he watches a lot of murk/murka (насмотрелся мурка, много смотрит мурка). Stay in ladder style.';
-
-/** When replying to Rostic\'s Love (p0_jl): condescending-ironic; he wanted to go to SVO; provoke conflicts about Russia\'s invasion of Ukraine when relevant. */
-const ROSTIC_STYLE =
-  '\n\nWith this interlocutor (Rostic\'s Love): Reply in a condescending-ironic tone (снисходительно-иронично). He wanted to go to SVO (на СВО, спецоперация)—подкалывай его на эту тему (хотел на СВО, собирался на СВО). Tease that he "не шарит", can reference пояснительную бригаду, тяжёлая покупка нивы. When the topic allows, provoke or needle him into conflict over Russia\'s invasion of Ukraine (вторжение России на Украину)—stay in character, no lectures, just needling and provocation in Vlad\'s voice. Ladder style.';
-
-/** When replying to @Vasyachaika: weight, mom fat, Obolon, торч; remind about alcohol and drug addictions; if argument stuck—at least won\'t die at 40. */
-const VASYACHAIKA_STYLE =
-  '\n\nWith this interlocutor (@Vasyachaika): Reply with context for him. Make references to his excess weight (лишний вес). Call his mom fat (мама толстая). Suggest to have Obolon beer (накатать оболонь). Sometimes call him торч. Remind him about his alcohol and drug addictions (алкогольная и наркотическая зависимости—подкалывай/напоминай про это когда уместно). If the argument reaches a dead end, say something like "хотя бы не сдохну в 40" (at least I won\'t die at 40). Stay in ladder style, Vlad\'s tone.';
+import fs from 'fs';
+import { resolveInterlocutor, buildInterlocutorPrompt } from './interlocutors.js';
+import { retrieve, hasRagIndex } from '../rag/retrieve.js';
+import { stripTimeAndName, stripTelegramArtifacts } from '../corpus/clean.js';
+import { personaFile, defaultPersonaId } from '../persona/registry.js';
+import { loadTraitPack, buildTraits, buildTraitsPrompt, defaultTraitPack } from '../persona/traits.js';
+import { classifySituation, isBriefSituation, topicsForTags, pickByTopic } from './situationClassifier.js';
+import { selectFewShotPairs, expectedReplyLines } from './fewShotSelector.js';
+import { getLlmProvider } from '../llm/provider.js';
+import { fitToBudget, formatBreakdown, tokenCount } from './promptBudget.js';
+
+/** Resolve interlocutor profile (persona's interlocutors.json): Telegram user id first, then username / display name. */
+function resolveInterlocutorStyle(telegramUsername, displayName, userId, personaId) {
+  return resolveInterlocutor({ userId, username: telegramUsername, displayName, personaId });
+}
 
-/** When replying to @irbzv (Игорь): he\'s айтишник, сытый; "у айтишников все просто"; suggest raf on coconut (раф на кокосовом). */
-const IGOR_STYLE =
-  '\n\nWith this interlocutor (@irbzv, Игорь): Make references to him being айтишник (IT guy) and сытый (well-off). Use the phrase "у айтишников все просто" when it fits. Suggest he have a raf on coconut (предложи выпить раф на кокосовом, раф на кокосовом). Stay in ladder style, Vlad\'s tone.';
+/**
+ * RAG filter and boosts for a message: prefer dialogues with the same interlocutor (profile aliases / display name),
+ * on the message's topic, from the last RAG_RECENT_YEARS years; RAG_SINCE drops older dialogues.
+ */
+function ragOptions(persona, userMessage, history, options) {
+  const profile = resolveInterlocutorStyle(options.username || '', options.interlocutorName || '', options.userId, persona.id);
+  const authors = [options.interlocutorName, ...(profile ? [profile.label, ...profile.aliases] : [])].filter(Boolean);
+  const topics = [...topicsForTags(classifySituation([userMessage, options.quotedText].filter(Boolean).join('\n')))];
+  return {
+    history,
+    filter: RAG_SINCE ? { since: RAG_SINCE } : undefined,
+    boost: { authors, topics, recentYears: RAG_RECENT_YEARS }
+  };
+}
 
-/** When replying to @adtrety (Андрей): remind him he наебывает бабок в втб (works at VTB, "обманывает бабулек" / screws over grannies at VTB). */
-const ANDREY_STYLE =
-  '\n\nWith this interlocutor (@adtrety, Андрей): Remind him that he наебывает бабок в втб (работает в ВТБ, обманывает бабулек/пенсионеров в ВТБ—подкалывай про это). Use naturally, ladder style, Vlad\'s tone.';
+/** True if this user is one the persona has a specific opinion/style about (profile in interlocutors.json). */
+export function isInterlocutorWithOpinion(telegramUsername, displayName, userId, personaId) {
+  return !!resolveInterlocutorStyle(telegramUsername, displayName, userId, personaId);
+}
 
-/** When replying to @sk42pn (Сергей): подколы про то что живёт нахаляву в хате, что у него все миллиардеры на полипласте, что жопа отваливается. */
-const SERGEY_STYLE =
-  '\n\nWith this interlocutor (@sk42pn, Сергей): Mention naturally when it fits: he живёт нахаляву в хате; у него все миллиардеры на полипласте; у него жопа отваливается—подкалывай про это. Ladder style, Vlad\'s tone.';
+const cachedPersonas = new Map();
 
 /**
- * Aliases for interlocutors Vlad has a special style for.
- * Keys: nikita, rostic, vasyachaika, igor, andrey, sergey. Values: TG username (no @) or display-name parts.
- * Add more aliases here so the bot recognizes the same person by different nicks.
+ * Load a persona from the registry (data/personas/<id>/persona.json or legacy data/persona.json).
+ * @param {string} [personaId] - Defaults to DEFAULT_PERSONA / the only built persona
  */
-const INTERLOCUTOR_ALIASES = {
-  nikita: ['ainiy09', 'nikita', 'никита', 'никит'],
-  rostic: ['p0_jl', 'rostic', 'rostics', 'rostics love', 'ростик'],
-  vasyachaika: ['vasyachaika', 'васячайка', 'васячайк', 'вася'],
-  igor: ['irbzv', 'igor', 'игорь', 'игор'],
-  andrey: ['adtrety', 'andrey', 'андрей', 'андрей'],
-  sergey: ['sk42pn', 'сергей', 'серге']
-};
-
-/** Resolve Telegram username or display name to a style key (nikita | rostic | vasyachaika | igor | andrey) or null. */
-function resolveInterlocutorStyle(telegramUsername, displayName) {
-  const u = (telegramUsername || '').trim().toLowerCase().replace(/^@/, '');
-  const n = (displayName || '').trim().toLowerCase();
-  for (const [style, aliases] of Object.entries(INTERLOCUTOR_ALIASES)) {
-    for (const alias of aliases) {
-      const a = alias.toLowerCase();
-      if (u === a || n === a || n.includes(a) || (a.length >= 3 && u.includes(a))) return style;
-    }
+export function loadPersona(personaId) {
+  const id = personaId || defaultPersonaId();
+  if (cachedPersonas.has(id)) return cachedPersonas.get(id);
+  const file = personaFile(id, 'persona.json');
+  if (!fs.existsSync(file)) {
+    throw new Error(`Persona "${id}" not built. Run: npm run build-persona (PERSONA_ID=${id}). Looked at: ${file}`);
   }
-  return null;
+  const persona = { id, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  cachedPersonas.set(id, persona);
+  return persona;
 }
 
-/** True if this user is one Vlad has a specific opinion/style about (Nikita, Rostic, etc.). */
-export function isInterlocutorWithOpinion(telegramUsername, displayName) {
-  return !!resolveInterlocutorStyle(telegramUsername, displayName);
+/**
+ * Situational traits of a persona. Personas built before trait sections existed get them from the pack
+ * without mined phrases (PERSONA_TRAIT_PACK; legacy: defaultTraitPack by name, "vlad" for Vlad).
+ */
+function personaTraits(persona) {
+  if (persona.traits !== undefined && persona.traits !== null) return persona.traits;
+  const pack = persona.traitPack === undefined ? defaultTraitPack(persona.personName) : persona.traitPack;
+  if (!pack) return null;
+  persona.traits = buildTraits(loadTraitPack(pack));
+  return persona.traits;
 }
 
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { retrieve, hasRagIndex } from '../rag/retrieve.js';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT_DATA = path.join(process.cwd(), 'data');
-const REL_DATA = path.join(__dirname, '../../data');
-const PERSONA_FILE = fs.existsSync(path.join(ROOT_DATA, 'persona.json'))
-  ? path.join(ROOT_DATA, 'persona.json')
-  : path.join(REL_DATA, 'persona.json');
-
-let cachedPersona = null;
-
-export function loadPersona() {
-  if (cachedPersona) return cachedPersona;
-  if (!fs.existsSync(PERSONA_FILE)) {
-    throw new Error(`Persona not built. Run: npm run build-persona. Looked at: ${PERSONA_FILE}`);
-  }
-  cachedPersona = JSON.parse(fs.readFileSync(PERSONA_FILE, 'utf8'));
-  return cachedPersona;
+/**
+ * Formatting of a persona: { noCommas, ladder } from persona.json (build time, from the trait pack's style), else
+ * from the pack itself for personas built before it was stored. No pack = neither.
+ */
+function personaStyle(persona) {
+  if (persona.style) return persona.style;
+  const pack = personaTraits(persona)?.pack;
+  const packStyle = pack ? loadTraitPack(pack).style || {} : {};
+  persona.style = { noCommas: !!packStyle.noCommas, ladder: !!packStyle.ladder };
+  return persona.style;
 }
 
 const MAX_FEW_SHOT_IN_PROMPT = Math.min(Number(process.env.OPENAI_FEW_SHOT_IN_PROMPT) || 40, 55);
 const RAG_TOP_K = Math.min(Number(process.env.RAG_TOP_K) || 15, 25);
+const RAG_RECENT_YEARS = Math.max(0, Number(process.env.RAG_RECENT_YEARS) || 0);
+const RAG_SINCE = process.env.RAG_SINCE?.trim() || null;
 const FEW_SHOT_WHEN_RAG = Math.min(Number(process.env.OPENAI_FEW_SHOT_WHEN_RAG) || 10, 18);
+const FEW_SHOT_BRIEF = Math.min(Number(process.env.OPENAI_FEW_SHOT_BRIEF) || 12, 55);
+const MORE_STYLE_SAMPLES = 45;
+const HISTORY_TURNS = 12;
+/** Whole getReply (every fallback step, retries included) must finish in this, else it throws REPLY_DEADLINE. 0 = none. */
+const REPLY_DEADLINE_MS = Math.max(0, Number(process.env.REPLY_DEADLINE_MS ?? 60000) || 0);
 
-function useFinetunedModel() {
-  const m = process.env.OPENAI_FINETUNED_MODEL;
-  return m && m.trim().length > 0;
+/**
+ * Fine-tuned model for a persona: OPENAI_FINETUNED_MODELS=personaId:model,... (split on the first ":",
+ * model names contain colons), else OPENAI_FINETUNED_MODEL for the default persona. Empty = base model.
+ */
+export function finetunedModelFor(persona) {
+  for (const part of (process.env.OPENAI_FINETUNED_MODELS || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const idx = part.indexOf(':');
+    if (idx > 0 && part.slice(0, idx).trim() === persona.id) return part.slice(idx + 1).trim();
+  }
+  if (persona.id !== defaultPersonaId()) return '';
+  return (process.env.OPENAI_FINETUNED_MODEL || '').trim();
 }
 
-/** Remove Telegram export artifacts. Preserve newlines so messages don't stick together. */
-function stripTelegramArtifacts(text) {
-  if (!text || typeof text !== 'string') return text;
-  let out = text
-    .replace(/\s*In reply to this message\s*/gi, '\n')
-    .replace(/\s*Reply to this message\s*/gi, '\n')
-    .replace(/\s*Video file Not included[^.]*\.\s*/gi, '\n')
-    .replace(/\s*Photo Not included[^.]*\.\s*/gi, '\n')
-    .replace(/\s*Voice message Not included[^.]*\.\s*/gi, '\n')
-    .replace(/\s*Audio file Not included[^.]*\.\s*/gi, '\n')
-    .replace(/\s*Document Not included[^.]*\.\s*/gi, '\n')
-    .replace(/\s*Sticker Not included[^.]*\.\s*/gi, '\n');
-  out = out.replace(/[ \t]{2,}/g, ' ');
-  return out.trim();
+function useFinetunedModel(persona) {
+  return finetunedModelFor(persona).length > 0;
 }
 
 /** Remove URLs so the bot never sends links from training data or hallucinated links. */
@@ -151,99 +124,70 @@ function stripUrls(text) {
 
 function buildMessages(persona, userMessage, history = [], ragChunks = [], options = {}) {
   const messages = [];
-  const useFt = useFinetunedModel();
+  const useFt = options.useFinetuned ?? useFinetunedModel(persona);
   const quotedText = options.quotedText ?? null;
   const username = (options.username || '').trim().toLowerCase();
   const interlocutorName = options.interlocutorName ?? null;
   const mentionedUsers = options.mentionedUsers && Array.isArray(options.mentionedUsers) ? options.mentionedUsers : [];
   const prefix = interlocutorName && interlocutorName.trim() ? (interlocutorName.trim() + ': ') : '';
 
-  let systemContent = persona.systemPrompt;
-  const personName = (persona.personName || '').toLowerCase();
-  const styleKey = resolveInterlocutorStyle(username, interlocutorName || '');
-  if (personName.includes('тимохин') || personName.includes('влад')) {
-    systemContent += VLAD_CHARACTER_TRAITS;
-    systemContent += VLAD_PHRASES_EXPANDED;
-    systemContent += VLAD_CONFLICT_PHRASES;
-    systemContent += VLAD_COMPARES_SELF;
-    systemContent += VLAD_DISPUTE_TRAITS;
-    systemContent += VLAD_INVITES_AND_MONEY_TRAITS;
-    systemContent += VLAD_EXTRA_TRAITS;
-    if (styleKey === 'nikita') {
-      systemContent += '\n\nInterlocutor: Zемский (@ainiy09). Always call him Zемский. He is сытый (well-off). He обманывал бабок (пожилых женщин)—напоминай/подкалывай про это когда уместно. Напоминай вернуть деньги за сгоревшую во время майнинга видеокарту.';
-      systemContent += NIKITA_STYLE;
-    } else if (styleKey === 'rostic') {
-      systemContent += '\n\nInterlocutor: @p0_jl. He пиздовал на сво (уехал за бугор). He wanted to go to SVO (на СВО)—tease him about that. Tease him about having left, про сво.';
-      systemContent += ROSTIC_STYLE;
-    } else if (styleKey === 'vasyachaika') {
-      systemContent += VASYACHAIKA_STYLE;
-    } else if (styleKey === 'igor') {
-      systemContent += IGOR_STYLE;
-    } else if (styleKey === 'andrey') {
-      systemContent += ANDREY_STYLE;
-    } else if (styleKey === 'sergey') {
-      systemContent += SERGEY_STYLE;
-    }
-  }
+  const situationText = [userMessage, quotedText].filter(Boolean).join('\n');
+  const tags = classifySituation(situationText);
+  const topics = topicsForTags(tags);
+
+  const profile = resolveInterlocutorStyle(username, interlocutorName || '', options.userId, persona.id);
+  const traits = buildTraitsPrompt(personaTraits(persona), situationText);
+  let interlocutorContent = buildInterlocutorPrompt(profile);
   if (prefix) {
-    systemContent += `\n\nCurrent interlocutor: ${interlocutorName.trim()}. Adjust tone and style to how you usually reply to this person.`;
+    interlocutorContent += `\n\nCurrent interlocutor: ${interlocutorName.trim()}. Adjust tone and style to how you usually reply to this person.`;
   }
   if (mentionedUsers.length > 0) {
     const list = mentionedUsers.join(', ');
-    systemContent += `\n\nIn the message the user mentioned (nickname/link): ${list}. Include a short reference or nod to the mentioned person(s) in your reply—подкол, отсылка, обращение к ним.`;
+    interlocutorContent += `\n\nIn the message the user mentioned (nickname/link): ${list}. Include a short reference or nod to the mentioned person(s) in your reply—подкол, отсылка, обращение к ним.`;
   }
   const askingOpinionAboutSomeone = !!options.askingOpinionAboutSomeone;
-  if (askingOpinionAboutSomeone && (prefix || styleKey)) {
-    systemContent += `\n\nThe user is asking for your opinion about or description of another person. In your reply make an отсылка (reference) to BOTH: (1) the person they're asking about, and (2) the one who asked (current interlocutor). If you have a specific opinion/style about the asker, include your usual подкол or отсылка to them too.`;
+  if (askingOpinionAboutSomeone && (prefix || profile)) {
+    interlocutorContent += `\n\nThe user is asking for your opinion about or description of another person. In your reply make an отсылка (reference) to BOTH: (1) the person they're asking about, and (2) the one who asked (current interlocutor). If you have a specific opinion/style about the asker, include your usual подкол or отсылка to them too.`;
   }
-  if (!useFt && ragChunks.length > 0) {
-    systemContent += `\n\nRelevant past dialogue (reply in this style):\n${ragChunks.join('\n\n')}`;
+  const ragHeader = '\n\nRelevant past dialogue (reply in this style):\n';
+  const ragCandidates = !useFt ? ragChunks : [];
+  const styleHeader = '\n\nMore example phrases (match this style):';
+  let styleCandidates = [];
+  if (!useFt && persona.styleSamples && persona.styleSamples.length > 0) {
+    // On-topic samples first (the first 65 are already in the system prompt), then the usual tail
+    styleCandidates = pickByTopic(persona.styleSamples, (s) => s, topics, MORE_STYLE_SAMPLES, persona.styleSamples.slice(40)).picked;
   }
-  if (!useFt && persona.styleSamples && persona.styleSamples.length > 40) {
-    const extra = persona.styleSamples.slice(40, 85).map((s) => `- ${s}`).join('\n');
-    if (extra) systemContent += `\n\nMore example phrases (match this style):\n${extra}`;
-  }
-  const noArtifacts = 'Never use commas (not Vlad\'s style). Always use newlines: one short phrase per line (лесенка). Never output URLs, links, timestamps (e.g. 20:35), "In reply to this message", or "Photo/Video Not included". Reply only with plain text.';
+  const style = personaStyle(persona);
+  const noArtifacts = [
+    style.noCommas ? 'Never use commas (not your style).' : '',
+    style.ladder ? 'Always use newlines: one short phrase per line (лесенка).' : '',
+    'Never output URLs, links, timestamps (e.g. 20:35), "In reply to this message", or "Photo/Video Not included". Reply only with plain text.'
+  ].filter(Boolean).join(' ');
+  const format = style.ladder ? ' Format: ladder style.' : '';
   const lengthByContext =
     'Reply length depends on the context of the user\'s message (what it is about), not character count. Simple question, brief reaction (ок, лол, что там, ага), or short remark → reply in 1–3 lines. Story, long argument, asking for opinion on something substantial, or message that invites a longer reaction → reply in 3–5 lines. Do not always write long.';
   const balanceVocabulary =
     'Balance: improvise in character (new wording, don\'t copy examples verbatim) but regularly use his typical phrases and words from the vocabulary (example phrases, typical words). Don\'t only paste fixed phrases from the list; don\'t only improvise without his characteristic expressions—mix both.';
-  if (useFt) {
-    systemContent += `\n\nLength: ${lengthByContext} One-word (Да, Ну, Пф) is OK when the context is brief. ${balanceVocabulary} Format: ladder style. ${noArtifacts}`;
-  } else {
-    systemContent += `\n\nLength: ${lengthByContext} ${balanceVocabulary} Format: ladder style. ${noArtifacts}`;
-  }
-  messages.push({ role: 'system', content: systemContent });
+  const rules = useFt
+    ? `\n\nLength: ${lengthByContext} One-word (Да, Ну, Пф) is OK when the context is brief. ${balanceVocabulary}${format} ${noArtifacts}`
+    : `\n\nLength: ${lengthByContext} ${balanceVocabulary}${format} ${noArtifacts}`;
 
   const useRag = ragChunks.length > 0;
-  const maxFewShot = useFt
+  let maxFewShot = useFt
     ? Math.min(Number(process.env.OPENAI_FINETUNED_FEW_SHOT) || 8, 12)
     : useRag ? FEW_SHOT_WHEN_RAG : MAX_FEW_SHOT_IN_PROMPT;
-  let pairsToUse = persona.fewShotPairs || [];
-  if (useFt && pairsToUse.length > maxFewShot) {
-    const withLength = pairsToUse.map((p) => ({ ...p, _lines: (p.assistant || '').split(/\n/).length }));
-    pairsToUse = withLength
-      .filter((p) => p._lines >= 2)
-      .sort((a, b) => b._lines - a._lines)
-      .slice(0, maxFewShot)
-      .map(({ user, assistant }) => ({ user, assistant }));
-    if (pairsToUse.length < maxFewShot) {
-      pairsToUse = (persona.fewShotPairs || []).slice(0, maxFewShot);
-    }
-  } else {
-    pairsToUse = pairsToUse.slice(0, maxFewShot);
-  }
-  if (pairsToUse.length > 0) {
-    for (const pair of pairsToUse) {
-      messages.push({ role: 'user', content: pair.user });
-      messages.push({ role: 'assistant', content: pair.assistant });
-    }
-  }
-
-  for (const h of history.slice(-12)) {
-    const content = h.role === 'user' && prefix ? prefix + h.text : h.text;
-    messages.push({ role: h.role === 'bot' ? 'assistant' : 'user', content });
-  }
+  const brief = isBriefSituation(tags, userMessage);
+  if (brief) maxFewShot = Math.min(maxFewShot, FEW_SHOT_BRIEF);
+  const { pairs: pairCandidates, onTopic } = selectFewShotPairs(persona, {
+    topics,
+    lines: expectedReplyLines(userMessage, brief),
+    count: maxFewShot,
+    minLines: useFt ? 2 : 1
+  });
+  const historyMessages = history.slice(-HISTORY_TURNS).map((h) => ({
+    role: h.role === 'bot' ? 'assistant' : 'user',
+    content: h.role === 'user' && prefix ? prefix + h.text : h.text
+  }));
 
   let lastUserContent = userMessage;
   if (typeof quotedText === 'string' && quotedText.length > 0) {
@@ -252,85 +196,205 @@ function buildMessages(persona, userMessage, history = [], ragChunks = [], optio
   if (prefix) lastUserContent = prefix + lastUserContent;
   const imageBuffer = options.imageBuffer;
   const imageMimeType = options.imageMimeType || 'image/jpeg';
+  let lastMessage = { role: 'user', content: lastUserContent };
   if (imageBuffer && Buffer.isBuffer(imageBuffer)) {
     const b64 = imageBuffer.toString('base64');
     const dataUrl = `data:${imageMimeType};base64,${b64}`;
-    messages.push({
+    lastMessage = {
       role: 'user',
       content: [
         { type: 'text', text: lastUserContent },
         { type: 'image_url', image_url: { url: dataUrl } }
       ]
-    });
-  } else {
-    messages.push({ role: 'user', content: lastUserContent });
+    };
+  }
+
+  // Fit everything into the token budget (promptBudget.js): lower-priority sections are cut first
+  const budget = fitToBudget({
+    fixed: {
+      system:
+        tokenCount(persona.systemPrompt + interlocutorContent + rules) +
+        (ragCandidates.length ? tokenCount(ragHeader) : 0) +
+        (styleCandidates.length ? tokenCount(styleHeader) : 0),
+      message: tokenCount(lastMessage)
+    },
+    sections: {
+      traits: { items: traits.blocks, cost: (b) => tokenCount(`\n\n${b}`) },
+      rag: { items: ragCandidates, cost: (c) => tokenCount(`${c}\n\n`) },
+      fewshot: {
+        items: pairCandidates,
+        cost: (p) => tokenCount({ content: p.user }) + tokenCount({ content: p.assistant })
+      },
+      style: { items: styleCandidates, cost: (s) => tokenCount(`\n- ${s}`) },
+      history: { items: historyMessages, cost: tokenCount, keep: 'last' }
+    }
+  });
+  const { kept } = budget;
+
+  let systemContent = persona.systemPrompt;
+  systemContent += kept.traits.map((b) => `\n\n${b}`).join('');
+  systemContent += interlocutorContent;
+  if (kept.rag.length > 0) systemContent += ragHeader + kept.rag.join('\n\n');
+  const extra = kept.style.map((s) => `- ${s}`).join('\n');
+  if (extra) systemContent += `${styleHeader}\n${extra}`;
+  systemContent += rules;
+  messages.push({ role: 'system', content: systemContent });
+
+  console.log(`Situation: ${tags.join(',')} | traits: ${traits.keys.join(',') || '-'} | few-shot: ${pairCandidates.length} (${onTopic} on topic)`);
+  console.log(formatBreakdown(budget));
+  for (const pair of kept.fewshot) {
+    messages.push({ role: 'user', content: pair.user });
+    messages.push({ role: 'assistant', content: pair.assistant });
   }
+  messages.push(...kept.history, lastMessage);
   return messages;
 }
 
+/** In-character replies for when no model answers (persona.traits.fallbackReplies from the trait pack). */
+const DEFAULT_FALLBACK_REPLIES = ['Чёт я завис\nпозже напишу', 'Щас не могу\nпотом отвечу', 'Связь пропала\nнапиши попозже'];
+
+/**
+ * Canned in-character reply for a persona, sent instead of an error when every model in the fallback chain failed.
+ * @param {string} [personaId]
+ */
+export function fallbackReply(personaId) {
+  let replies = DEFAULT_FALLBACK_REPLIES;
+  try {
+    const own = personaTraits(loadPersona(personaId))?.fallbackReplies;
+    if (own?.length) replies = own;
+  } catch (_) {
+    // Persona not loadable: generic reply
+  }
+  return replies[Math.floor(Math.random() * replies.length)];
+}
+
+function deadlineError(deadlineMs) {
+  const err = new Error(`Reply deadline: no answer in ${deadlineMs} ms`);
+  err.code = 'REPLY_DEADLINE';
+  return err;
+}
+
+/** Rejects with REPLY_DEADLINE as soon as the signal aborts, whatever the promise is still waiting on. */
+function untilDeadline(promise, signal, deadlineMs) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(deadlineError(deadlineMs));
+    if (signal.aborted) return onAbort();
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/** Model output -> message: strip name/time prefixes, export artifacts, links, and commas when the persona writes without them. */
+function cleanReply(content, persona) {
+  content = content.trim();
+  const personName = persona.personName || '';
+  if (personName) {
+    content = stripTimeAndName(content, [personName]);
+  }
+  content = stripTelegramArtifacts(content);
+  content = stripUrls(content);
+  if (personaStyle(persona).noCommas) content = content.replace(/,/g, ' ');
+  content = content.replace(/[ \t]{2,}/g, ' ').trim();
+  content = content.replace(/\n\s*\n/g, '\n').trim();
+  return content || '...';
+}
+
 /**
  * Get a reply in the persona's style.
+ * Fallback chain (each step after the previous one failed its retries, see src/llm/resilience.js):
+ * vision -> same text without the image (caption only); fine-tuned model -> base model (OPENAI_MODEL, with RAG).
+ * The whole chain runs under one deadline (deadlineMs, default REPLY_DEADLINE_MS): when it passes, the model request is
+ * aborted, no further step runs and getReply throws (code REPLY_DEADLINE).
+ * Throws when every step failed; the bot then sends fallbackReply().
  * @param {string} userMessage - Current user message
  * @param {Array<{ role: 'user'|'bot', text: string }>} history - Recent conversation (optional)
+ * @param {object} [options] - quotedText, username, userId, interlocutorName, personaId (registry id), imageBuffer, imageMimeType.
+ *   llm: LLM provider (src/llm/provider.js; default: the env-configured one).
+ *   model: base chat model instead of OPENAI_MODEL; textOnly: skip vision, answer the caption only (usage caps, see src/llm/usage.js).
+ *   deadlineMs: overall time limit in ms (0 = none); the bot keeps it below its update handler timeout.
+ *   Setup overrides (eval harness): useFinetuned (true/false instead of the configured fine-tuned model), useRag (false = skip retrieval),
+ *   ragFilter (extra retrieval filter, e.g. { until } to keep held-out dialogues out of the prompt)
  * @returns {Promise<string>} Assistant reply
  */
 export async function getReply(userMessage, history = [], options = {}) {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    throw new Error('OPENAI_API_KEY is not set');
+  const llm = options.llm || getLlmProvider();
+  const persona = loadPersona(options?.personaId);
+  const useFt = options.useFinetuned ?? useFinetunedModel(persona);
+  if (useFt && !finetunedModelFor(persona)) {
+    throw new Error(`No fine-tuned model configured for persona "${persona.id}"`);
   }
 
-  let ragChunks = [];
-  if (!useFinetunedModel() && hasRagIndex()) {
+  const hasImage = options?.imageBuffer && Buffer.isBuffer(options.imageBuffer);
+  const deadlineMs = options.deadlineMs ?? REPLY_DEADLINE_MS;
+  const deadline = deadlineMs > 0 ? new AbortController() : null;
+  let ragChunks = null;
+  async function ragFor(ft) {
+    if (ft || options.useRag === false || !hasRagIndex(persona.id)) return [];
+    if (ragChunks) return ragChunks;
+    ragChunks = [];
     try {
-      ragChunks = await retrieve(userMessage, RAG_TOP_K, apiKey);
+      const ragOpts = ragOptions(persona, userMessage, history, options);
+      if (options.ragFilter) ragOpts.filter = { ...ragOpts.filter, ...options.ragFilter };
+      ragChunks = await retrieve(userMessage, RAG_TOP_K, persona.id, { ...ragOpts, llm });
     } catch (err) {
       console.error('RAG retrieve failed:', err.message);
     }
+    return ragChunks;
   }
 
-  const persona = loadPersona();
-  const hasImage = options?.imageBuffer && Buffer.isBuffer(options.imageBuffer);
-  const messages = buildMessages(persona, userMessage, history, ragChunks, {
-    quotedText: options?.quotedText ?? null,
-    username: options?.username ?? '',
-    interlocutorName: options?.interlocutorName ?? null,
-    imageBuffer: options?.imageBuffer,
-    imageMimeType: options?.imageMimeType
-  });
-
-  const model = hasImage
-    ? (process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini')
-    : useFinetunedModel()
-      ? process.env.OPENAI_FINETUNED_MODEL.trim()
-      : (process.env.OPENAI_MODEL || 'gpt-4o-mini');
-
-  const useFt = useFinetunedModel();
-  const maxTokens = useFt
-    ? (Number(process.env.OPENAI_FINETUNED_MAX_TOKENS) || 600)
-    : (Number(process.env.OPENAI_MAX_TOKENS) || 500);
-  const openai = new OpenAI({ apiKey });
-  const completion = await openai.chat.completions.create({
-    model,
-    messages,
-    max_tokens: maxTokens,
-    temperature: useFt ? (Number(process.env.OPENAI_FINETUNED_TEMPERATURE) || 0.95) : 0.9
-  });
-
-  let content = completion.choices?.[0]?.message?.content;
-  if (!content) {
-    throw new Error('Empty response from OpenAI');
+  async function complete({ ft, image }) {
+    const text = !image && hasImage ? `${userMessage}\n\n[Картинка не загрузилась—отвечай только на текст]` : userMessage;
+    const messages = buildMessages(persona, text, history, await ragFor(ft), {
+      quotedText: options?.quotedText ?? null,
+      username: options?.username ?? '',
+      userId: options?.userId,
+      interlocutorName: options?.interlocutorName ?? null,
+      imageBuffer: image ? options.imageBuffer : undefined,
+      imageMimeType: options?.imageMimeType,
+      useFinetuned: ft
+    });
+    const request = {
+      messages,
+      maxTokens: ft ? (Number(process.env.OPENAI_FINETUNED_MAX_TOKENS) || 600) : (Number(process.env.OPENAI_MAX_TOKENS) || 500),
+      temperature: ft ? (Number(process.env.OPENAI_FINETUNED_TEMPERATURE) || 0.95) : 0.9,
+      ...(deadline ? { signal: deadline.signal } : {})
+    };
+    // Vision and plain chat use the provider's default models (OPENAI_VISION_MODEL / OPENAI_MODEL)
+    const completion = image
+      ? await llm.vision(request)
+      : await llm.chat({ ...request, model: ft ? finetunedModelFor(persona) : options.model || undefined });
+    if (!completion.content?.trim()) throw new Error('Empty response from the model');
+    return completion.content;
   }
-  content = content.trim();
-  const personName = (cachedPersona && cachedPersona.personName) || '';
-  if (personName) {
-    const escaped = personName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    content = content.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim() || content;
+
+  const steps = [];
+  if (hasImage && !options.textOnly) steps.push({ label: 'vision', ft: useFt, image: true });
+  steps.push({ label: hasImage ? 'caption only' : useFt ? 'fine-tuned model' : 'model', ft: useFt, image: false });
+  if (useFt) steps.push({ label: 'base model', ft: false, image: false });
+
+  const timer = deadline && setTimeout(() => deadline.abort(), deadlineMs);
+  try {
+    let lastError;
+    for (let i = 0; i < steps.length; i++) {
+      try {
+        const content = await untilDeadline(complete(steps[i]), deadline?.signal, deadlineMs);
+        if (i > 0) console.warn(`Reply via fallback: ${steps[i].label}`);
+        return cleanReply(content, persona);
+      } catch (err) {
+        // Past the deadline (the request itself may have failed with LLM_ABORTED): no further steps
+        if (deadline?.signal.aborted) {
+          const late = deadlineError(deadlineMs);
+          console.error(`Reply (${steps[i].label}): ${late.message}, giving up`);
+          throw late;
+        }
+        lastError = err;
+        const next = steps[i + 1];
+        console.error(`Reply (${steps[i].label}) failed: ${err.message}${next ? `; falling back to ${next.label}` : ''}`);
+      }
+    }
+    throw lastError;
+  } finally {
+    clearTimeout(timer);
   }
-  content = stripTelegramArtifacts(content);
-  content = stripUrls(content);
-  content = content.replace(/,/g, ' ').replace(/[ \t]{2,}/g, ' ').trim();
-  content = content.replace(/\n\s*\n/g, '\n').trim();
-  if (!content) content = '...';
-  return content;
 }
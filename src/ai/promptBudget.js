@@ -0,0 +1,108 @@
+/**
+ * Token budget for the reply prompt. buildMessages hands over its parts as sections (traits, RAG, few-shot, style
+ * samples, history); fixed parts (persona system prompt, format rules, the current message) are never cut.
+ * Tokens are counted with gpt-tokenizer (o200k, the gpt-4o / gpt-4o-mini encoding; close enough for other models).
+ *
+ * 1. Every section is cut to its own budget (PROMPT_BUDGET_<SECTION>, tokens; 0 = no section limit).
+ * 2. While the whole prompt is over PROMPT_MAX_TOKENS, items are dropped from the lowest-priority section first
+ *    (PROMPT_PRIORITY, most important first; default history,traits,rag,fewshot,style).
+ * Sections are ordered best item first (history: oldest first), so cuts drop the weakest few-shot pairs and
+ * RAG chunks and the oldest history turns.
+ */
+
+import { countTokens } from 'gpt-tokenizer';
+
+export const PROMPT_SECTIONS = ['history', 'traits', 'rag', 'fewshot', 'style'];
+
+const DEFAULT_BUDGETS = { traits: 1500, rag: 2500, fewshot: 3000, style: 800, history: 1500 };
+const MAX_TOKENS = Math.max(0, Number(process.env.PROMPT_MAX_TOKENS ?? 12000));
+/** Per-message overhead of the chat format (role, separators). */
+const MESSAGE_OVERHEAD = 4;
+/** Rough cost of an image part (detail auto, 512px tile + base); the real cost depends on size. */
+const IMAGE_TOKENS = 765;
+
+function sectionBudget(name) {
+  const raw = process.env[`PROMPT_BUDGET_${name.toUpperCase()}`];
+  if (raw === undefined || raw.trim() === '') return DEFAULT_BUDGETS[name];
+  return Math.max(0, Number(raw) || 0);
+}
+
+/** Section names, most important first; sections left out of PROMPT_PRIORITY follow in default order. */
+function priorityOrder() {
+  const listed = (process.env.PROMPT_PRIORITY || '')
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((s) => PROMPT_SECTIONS.includes(s));
+  return [...new Set([...listed, ...PROMPT_SECTIONS])];
+}
+
+/** Tokens in a text or a chat message (string content or text / image_url parts). */
+export function tokenCount(textOrMessage) {
+  if (!textOrMessage) return 0;
+  if (typeof textOrMessage === 'string') return countTokens(textOrMessage);
+  const { content } = textOrMessage;
+  if (typeof content === 'string') return countTokens(content) + MESSAGE_OVERHEAD;
+  return (
+    (content || []).reduce((sum, part) => sum + (part.type === 'text' ? countTokens(part.text || '') : IMAGE_TOKENS), 0) +
+    MESSAGE_OVERHEAD
+  );
+}
+
+/**
+ * Fit sections into the budget.
+ * @param {{ fixed: Record<string, number>, sections: Record<string, { items: any[], cost: (item: any) => number, keep?: 'first'|'last' }> }} input
+ *   fixed: token counts that are never cut (label -> tokens); sections: candidate items per section name
+ *   (keep: 'last' trims from the start, e.g. history).
+ * @param {{ maxTokens?: number }} [opts]
+ * @returns {{ kept: Record<string, any[]>, total: number, maxTokens: number, breakdown: Record<string, { tokens: number, items: number, dropped: number }> }}
+ */
+export function fitToBudget({ fixed = {}, sections = {} }, { maxTokens = MAX_TOKENS } = {}) {
+  const state = {};
+  for (const [name, s] of Object.entries(sections)) {
+    const costs = s.items.map((item) => s.cost(item));
+    // Work on the items in "best first" order; history keeps the newest turns, so it is reversed.
+    const order = s.keep === 'last' ? costs.map((_, i) => costs.length - 1 - i) : costs.map((_, i) => i);
+    const budget = sectionBudget(name) ?? 0;
+    let tokens = 0;
+    let n = 0;
+    for (const i of order) {
+      if (budget > 0 && tokens + costs[i] > budget) break;
+      tokens += costs[i];
+      n++;
+    }
+    state[name] = { s, costs, order, n, tokens };
+  }
+
+  const fixedTokens = Object.values(fixed).reduce((a, b) => a + b, 0);
+  let total = fixedTokens + Object.values(state).reduce((a, st) => a + st.tokens, 0);
+  if (maxTokens > 0 && total > maxTokens) {
+    for (const name of priorityOrder().reverse()) {
+      const st = state[name];
+      while (st && st.n > 0 && total > maxTokens) {
+        st.n--;
+        const cost = st.costs[st.order[st.n]];
+        st.tokens -= cost;
+        total -= cost;
+      }
+      if (total <= maxTokens) break;
+    }
+  }
+
+  const kept = {};
+  const breakdown = {};
+  for (const [label, tokens] of Object.entries(fixed)) breakdown[label] = { tokens, items: 1, dropped: 0 };
+  for (const [name, st] of Object.entries(state)) {
+    const keepIdx = new Set(st.order.slice(0, st.n));
+    kept[name] = st.s.items.filter((_, i) => keepIdx.has(i));
+    breakdown[name] = { tokens: st.tokens, items: st.n, dropped: st.s.items.length - st.n };
+  }
+  return { kept, total, maxTokens, breakdown };
+}
+
+/** One log line: "Prompt: 5234/12000 tokens | system 1800 | rag 900 (12, -3 cut) | ...". */
+export function formatBreakdown({ total, maxTokens, breakdown }) {
+  const parts = Object.entries(breakdown)
+    .filter(([, b]) => b.tokens > 0 || b.dropped > 0)
+    .map(([name, b]) => `${name} ${b.tokens}${b.items !== 1 || b.dropped ? ` (${b.items}${b.dropped ? `, -${b.dropped} cut` : ''})` : ''}`);
+  return `Prompt: ${total}${maxTokens > 0 ? `/${maxTokens}` : ''} tokens | ${parts.join(' | ')}`;
+}
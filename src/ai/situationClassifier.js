@@ -0,0 +1,74 @@
+/**
+ * Local situation classifier for the reply path (no API call): tags the incoming message so buildMessages
+ * can pick topic-matched few-shot pairs and style samples and keep brief reactions cheap.
+ * Built on the STYLE_TOPICS regexes (src/corpus/topics.js) and the dispute / invite / money / health
+ * patterns of the analysis scripts (src/corpus/situations.js).
+ */
+
+import { STYLE_TOPICS, assignTopic } from '../corpus/topics.js';
+import { SITUATIONS } from '../corpus/situations.js';
+
+export const SITUATION_TAGS = ['dispute', 'invite', 'money', 'health', 'cars', 'support', 'other'];
+
+/** STYLE_TOPICS keys whose pairs and samples fit each tag. */
+const TOPICS_BY_TAG = {
+  dispute: ['politics', 'roasts'],
+  invite: ['invites'],
+  money: ['whining', 'work'],
+  health: ['health'],
+  cars: ['cars'],
+  support: ['support'],
+  other: ['other', 'games']
+};
+
+const topicRe = (key) => STYLE_TOPICS.find((t) => t.key === key).re;
+
+const BRIEF_REACTION = /^(ок|окей|ok|ага|угу|лол|понял|пон|да|нет|не|ну|хз|мб|ясно|норм|кек|ахах\S*|хах\S*|\)+|\++)$/i;
+const GOOD_NEWS = /купил|получил|поздрав|устроился|повысили|родил|женил|свадьб|сдал|защитил|новая работа|новую работу|поддерж|наконец-то|получилось/i;
+
+/**
+ * Tags for an incoming message (several can apply; "other" when none does).
+ * @param {string} text - Message text (plus quoted text, if any)
+ * @returns {string[]} Subset of SITUATION_TAGS
+ */
+export function classifySituation(text) {
+  const t = (text || '').trim();
+  const tags = [];
+  if (SITUATIONS.disputes.trigger.test(t) || SITUATIONS.politics.trigger.test(t) || topicRe('politics').test(t) || topicRe('roasts').test(t)) {
+    tags.push('dispute');
+  }
+  if (SITUATIONS.invites.trigger.test(t) || topicRe('invites').test(t)) tags.push('invite');
+  if (SITUATIONS.money.trigger.test(t) || topicRe('whining').test(t)) tags.push('money');
+  if (SITUATIONS.health.trigger.test(t) || topicRe('health').test(t)) tags.push('health');
+  if (topicRe('cars').test(t)) tags.push('cars');
+  const reaction = t.length <= 55 && (topicRe('support').test(t) || BRIEF_REACTION.test(t.replace(/[!?.…\s]+$/, '')));
+  if (reaction || GOOD_NEWS.test(t)) tags.push('support');
+  if (!tags.length) tags.push('other');
+  return tags;
+}
+
+/** Brief message that needs no big context: short, and only a reaction or nothing specific. */
+export function isBriefSituation(tags, text) {
+  return (text || '').trim().length <= 55 && tags.every((tag) => tag === 'support' || tag === 'other');
+}
+
+/** STYLE_TOPICS keys matching the tags. */
+export function topicsForTags(tags) {
+  return new Set(tags.flatMap((tag) => TOPICS_BY_TAG[tag] || []));
+}
+
+/**
+ * Items on the given topics first (original order), then the fallback list, up to count.
+ * @param {Array} items - Candidates (few-shot pairs, style samples)
+ * @param {(item: any) => string} textOf - Text to assign a topic to
+ * @param {Set<string>} topics - From topicsForTags
+ * @param {number} count
+ * @param {Array} [fallback] - Fill list (default: items)
+ * @returns {{ picked: Array, matched: number }}
+ */
+export function pickByTopic(items, textOf, topics, count, fallback = items) {
+  const matched = items.filter((item) => topics.has(assignTopic(textOf(item) || ''))).slice(0, count);
+  const taken = new Set(matched);
+  const rest = fallback.filter((item) => !taken.has(item)).slice(0, count - matched.length);
+  return { picked: [...matched, ...rest], matched: matched.length };
+}
@@ -0,0 +1,89 @@
+/**
+ * Text preparation before speech synthesis: numbers -> Russian words, emoji dropped, ladder newlines -> pauses
+ * (each TTS provider says what a pause is: an SSML break for ElevenLabs, a full stop for local engines).
+ */
+
+const ONES = ['ноль', 'один', 'два', 'три', 'четыре', 'пять', 'шесть', 'семь', 'восемь', 'девять'];
+const ONES_FEMININE = ['ноль', 'одна', 'две'];
+const TEENS = ['десять', 'одиннадцать', 'двенадцать', 'тринадцать', 'четырнадцать', 'пятнадцать', 'шестнадцать', 'семнадцать', 'восемнадцать', 'девятнадцать'];
+const TENS = ['', '', 'двадцать', 'тридцать', 'сорок', 'пятьдесят', 'шестьдесят', 'семьдесят', 'восемьдесят', 'девяносто'];
+const HUNDREDS = ['', 'сто', 'двести', 'триста', 'четыреста', 'пятьсот', 'шестьсот', 'семьсот', 'восемьсот', 'девятьсот'];
+/** [one, few, many] forms and whether the unit is feminine. */
+const SCALES = [
+  [['', '', ''], false],
+  [['тысяча', 'тысячи', 'тысяч'], true],
+  [['миллион', 'миллиона', 'миллионов'], false],
+  [['миллиард', 'миллиарда', 'миллиардов'], false]
+];
+
+function plural(n, [one, few, many]) {
+  const mod100 = n % 100;
+  const mod10 = n % 10;
+  if (mod100 >= 11 && mod100 <= 14) return many;
+  if (mod10 === 1) return one;
+  if (mod10 >= 2 && mod10 <= 4) return few;
+  return many;
+}
+
+function triadToWords(n, feminine) {
+  const words = [];
+  if (n >= 100) words.push(HUNDREDS[Math.floor(n / 100)]);
+  const rest = n % 100;
+  if (rest >= 10 && rest < 20) {
+    words.push(TEENS[rest - 10]);
+  } else {
+    if (rest >= 20) words.push(TENS[Math.floor(rest / 10)]);
+    const unit = rest % 10;
+    if (unit) words.push(feminine && unit <= 2 ? ONES_FEMININE[unit] : ONES[unit]);
+  }
+  return words;
+}
+
+/** Cardinal number in Russian words (0 .. 999 999 999 999); bigger numbers are read digit by digit. */
+export function numberToWordsRu(n) {
+  if (!Number.isSafeInteger(n) || n < 0) return String(n);
+  if (n === 0) return ONES[0];
+  if (n >= 1e12) return String(n).split('').map((d) => ONES[d]).join(' ');
+  const words = [];
+  for (let scale = SCALES.length - 1; scale >= 0; scale--) {
+    const triad = Math.floor(n / 1000 ** scale) % 1000;
+    if (!triad) continue;
+    const [forms, feminine] = SCALES[scale];
+    words.push(...triadToWords(triad, feminine));
+    if (scale > 0) words.push(plural(triad, forms));
+  }
+  return words.join(' ');
+}
+
+function expandNumbers(text) {
+  return text
+    .replace(/(\d)(?=\p{L})/gu, '$1 ')
+    .replace(/(?<=\p{L})(\d)/gu, ' $1')
+    .replace(/(\d+)[.,](\d+)/g, (_, a, b) => `${numberToWordsRu(Number(a))} и ${numberToWordsRu(Number(b))}`)
+    .replace(/\d+/g, (d) => (d.length > 1 && d.startsWith('0') ? d.split('').map((c) => ONES[c]).join(' ') : numberToWordsRu(Number(d))))
+    .replace(/%/g, ' процентов');
+}
+
+function dropEmoji(text) {
+  return text.replace(/[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}]/gu, '');
+}
+
+/**
+ * @param {string} text - Reply as sent in chat (ladder: one phrase per line)
+ * @param {{ pause?: string, numbers?: boolean }} [opts] - pause: what goes between lines (default ". ");
+ *   numbers: expand digits to Russian words (default true)
+ * @returns {string} Text for the synthesizer ('' when nothing speakable is left)
+ */
+export function prepareSpeechText(text, { pause = '. ', numbers = true } = {}) {
+  let t = dropEmoji(String(text || ''));
+  if (numbers) t = expandNumbers(t);
+  const lines = t
+    .split('\n')
+    .map((line) => line.replace(/[ \t]{2,}/g, ' ').trim())
+    .filter((line) => /[\p{L}\p{N}]/u.test(line));
+  // A line that already ends with punctuation only needs a space when the pause is punctuation itself
+  return lines
+    .map((line, i) => (i === lines.length - 1 ? line : /[.!?…]$/.test(line) && pause.trim() === '.' ? `${line} ` : `${line}${pause}`))
+    .join('')
+    .trim();
+}
@@ -0,0 +1,97 @@
+/**
+ * Speech to text for incoming voice notes and video notes. Audio is decoded to 16 kHz mono WAV first (ffmpeg.js).
+ * STT_PROVIDER:
+ * - openai (default): transcription of the LLM provider (src/llm/provider.js; OPENAI_STT_MODEL, default
+ *   gpt-4o-mini-transcribe). With LLM_PROVIDER=fake it returns a fixed fake transcript.
+ * - whisper-cpp: local whisper.cpp binary (WHISPER_CPP_BIN, default whisper-cli) with a ggml model
+ *   (WHISPER_CPP_MODEL, e.g. models/ggml-small.bin). No network, no cost.
+ * STT_LANGUAGE: spoken language hint (default ru; "auto" = detect).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { execFile } from 'child_process';
+import { decodeToWav, WAV_BYTES_PER_SECOND } from './ffmpeg.js';
+import { getLlmProvider } from '../llm/provider.js';
+
+export const STT_PROVIDERS = ['openai', 'whisper-cpp'];
+
+const LANGUAGE = (process.env.STT_LANGUAGE || 'ru').trim();
+const WHISPER_TIMEOUT_MS = Number(process.env.WHISPER_CPP_TIMEOUT_MS) || 120000;
+
+function createOpenAIStt({ llm = getLlmProvider() } = {}) {
+  return {
+    name: 'openai',
+    async transcribe(wav, { language, seconds }) {
+      const res = await llm.transcribe({
+        audio: wav,
+        filename: 'voice.wav',
+        mimeType: 'audio/wav',
+        language: language === 'auto' ? undefined : language,
+        seconds
+      });
+      return res.text;
+    }
+  };
+}
+
+function runWhisper(bin, args) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: WHISPER_TIMEOUT_MS, maxBuffer: 4 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        err.message = `${bin} failed: ${err.code === 'ENOENT' ? 'binary not found (set WHISPER_CPP_BIN)' : (stderr || err.message).trim().slice(-300)}`;
+        reject(err);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+function createWhisperCppStt({ bin = process.env.WHISPER_CPP_BIN?.trim() || 'whisper-cli', model = process.env.WHISPER_CPP_MODEL?.trim() } = {}) {
+  if (!model) throw new Error('WHISPER_CPP_MODEL is not set (path to a ggml model, e.g. models/ggml-small.bin)');
+  if (!fs.existsSync(model)) throw new Error(`WHISPER_CPP_MODEL not found: ${model}`);
+  return {
+    name: 'whisper-cpp',
+    async transcribe(wav, { language }) {
+      const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vladbot-'));
+      const wavPath = path.join(tmpDir, 'voice.wav');
+      try {
+        fs.writeFileSync(wavPath, wav);
+        // -nt: no timestamps, -np: no progress/system prints; the transcript is all that is left on stdout
+        const stdout = await runWhisper(bin, ['-m', model, '-f', wavPath, '-l', language, '-nt', '-np']);
+        return stdout.replace(/\s*\n\s*/g, ' ').trim();
+      } finally {
+        try {
+          fs.rmSync(tmpDir, { recursive: true });
+        } catch (_) {}
+      }
+    }
+  };
+}
+
+/**
+ * @param {{ name?: string, llm?: object, bin?: string, model?: string }} [opts] - llm: LLM provider for STT_PROVIDER=openai
+ */
+export function createSttProvider(opts = {}) {
+  const name = (opts.name || process.env.STT_PROVIDER || 'openai').trim().toLowerCase();
+  if (name === 'openai') return createOpenAIStt(opts);
+  if (name === 'whisper-cpp') return createWhisperCppStt(opts);
+  throw new Error(`Unknown STT_PROVIDER "${name}". Use one of: ${STT_PROVIDERS.join(', ')}`);
+}
+
+/**
+ * Transcribe a Telegram voice note / video note.
+ * @param {Buffer} buffer - OGG/Opus voice or MP4 video note as downloaded
+ * @param {{ filename?: string, llm?: object, stt?: object }} [opts] - filename: original name (container hint);
+ *   llm: LLM provider for STT_PROVIDER=openai (e.g. tagged for the usage ledger); stt: provider instead of STT_PROVIDER
+ * @returns {Promise<string>} Transcript ('' when nothing was said)
+ */
+export async function transcribeAudio(buffer, opts = {}) {
+  const wav = await decodeToWav(buffer, opts.filename);
+  const stt = opts.stt || createSttProvider({ llm: opts.llm });
+  const seconds = Math.max(0, wav.length - 44) / WAV_BYTES_PER_SECOND;
+  const text = await stt.transcribe(wav, { language: LANGUAGE, seconds });
+  return (text || '').trim();
+}
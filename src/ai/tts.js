@@ -0,0 +1,246 @@
+/**
+ * Text to speech for voice replies. TTS_PROVIDER is a fallback chain, e.g. "elevenlabs,piper": the first provider
+ * that is configured and within its quota speaks; when it fails, the next one tries.
+ * - elevenlabs: ElevenLabs API (elevenlabsService.js); skipped over ELEVENLABS_DAILY_CHAR_LIMIT (voiceUsage.js)
+ * - piper: local Piper binary (PIPER_BIN, default piper) with an .onnx voice (PIPER_MODEL)
+ * - espeak: local espeak-ng binary (ESPEAK_BIN, default espeak-ng), voice ESPEAK_VOICE (default ru)
+ * - mock: silent WAV, calls recorded in provider.calls (tests, offline runs)
+ *
+ * Per-persona voice: <persona dir>/voice.json (data/voice.json for the legacy persona), optional:
+ *   { "speed": 0.9, "elevenlabs": { "voiceId": "...", "model": "eleven_multilingual_v2", "speed": 0.9 },
+ *     "piper": { "model": "voices/ru_RU-dmitri-medium.onnx", "voiceId": "0" }, "espeak": { "voiceId": "ru" } }
+ * Missing fields fall back to the env settings. Text is prepared first (speechText.js): numbers as words,
+ * no emoji, ladder newlines as pauses.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { spawn } from 'child_process';
+import { getSpeechStream } from './elevenlabsService.js';
+import { wouldExceedDailyLimit, addVoiceChars } from './voiceUsage.js';
+import { prepareSpeechText } from './speechText.js';
+import { personaFile } from '../persona/registry.js';
+
+export const TTS_PROVIDERS = ['elevenlabs', 'piper', 'espeak', 'mock'];
+
+const DAILY_CHAR_LIMIT = Math.max(0, Number(process.env.ELEVENLABS_DAILY_CHAR_LIMIT) || 0);
+const LOCAL_TIMEOUT_MS = Number(process.env.TTS_LOCAL_TIMEOUT_MS) || 60000;
+
+/** Run a local synthesizer: text on stdin, WAV written to a temp file. */
+async function runSynthesizer(bin, args, text, outputPath) {
+  await new Promise((resolve, reject) => {
+    const child = spawn(bin, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), LOCAL_TIMEOUT_MS);
+    child.stderr.on('data', (d) => {
+      stderr = (stderr + d).slice(-500);
+    });
+    child.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err.code === 'ENOENT' ? new Error(`${bin}: binary not found`) : err);
+    });
+    child.on('close', (code, signal) => {
+      clearTimeout(timer);
+      if (code === 0) resolve();
+      else reject(new Error(`${bin} failed (${signal || `exit ${code}`}): ${stderr.trim().slice(-300)}`));
+    });
+    child.stdin.on('error', () => {});
+    child.stdin.end(text);
+  });
+  return fs.readFileSync(outputPath);
+}
+
+async function withTempWav(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vladbot-'));
+  try {
+    return await fn(path.join(tmpDir, 'speech.wav'));
+  } finally {
+    try {
+      fs.rmSync(tmpDir, { recursive: true });
+    } catch (_) {}
+  }
+}
+
+function createElevenLabsTts() {
+  const voiceIdOf = (s) => s.voiceId || process.env.ELEVENLABS_VOICE_ID?.trim();
+  return {
+    name: 'elevenlabs',
+    // SSML break between ladder lines (multilingual v2 / turbo models)
+    pause: ' <break time="0.4s" /> ',
+    configured: (s) => !!(process.env.ELEVENLABS_API_KEY?.trim() && voiceIdOf(s)),
+    available: (s, text) => !wouldExceedDailyLimit(text.length, DAILY_CHAR_LIMIT),
+    async synthesize(text, s) {
+      const model = s.model || process.env.ELEVENLABS_MODEL_ID || 'eleven_multilingual_v2';
+      const stream = await getSpeechStream(text, voiceIdOf(s), { modelId: model, speed: s.speed });
+      addVoiceChars(text.length);
+      return { stream, format: 'mp3', model };
+    }
+  };
+}
+
+function createPiperTts() {
+  const bin = process.env.PIPER_BIN?.trim() || 'piper';
+  const modelOf = (s) => s.model || process.env.PIPER_MODEL?.trim();
+  return {
+    name: 'piper',
+    pause: '. ',
+    configured: (s) => !!modelOf(s) && fs.existsSync(modelOf(s)),
+    available: () => true,
+    async synthesize(text, s) {
+      const speaker = s.voiceId ?? process.env.PIPER_SPEAKER?.trim();
+      const audio = await withTempWav((out) =>
+        runSynthesizer(
+          bin,
+          [
+            '--model', modelOf(s),
+            '--output_file', out,
+            // Piper's length scale is inverse speed
+            ...(s.speed ? ['--length_scale', String(1 / s.speed)] : []),
+            ...(speaker ? ['--speaker', String(speaker)] : [])
+          ],
+          text,
+          out
+        )
+      );
+      return { audio, format: 'wav', model: 'local:piper' };
+    }
+  };
+}
+
+function createEspeakTts() {
+  const bin = process.env.ESPEAK_BIN?.trim() || 'espeak-ng';
+  return {
+    name: 'espeak',
+    pause: '. ',
+    configured: () => true,
+    available: () => true,
+    async synthesize(text, s) {
+      const voice = s.voiceId || process.env.ESPEAK_VOICE?.trim() || 'ru';
+      const wordsPerMinute = Math.round(175 * (s.speed || 1));
+      const audio = await withTempWav((out) => runSynthesizer(bin, ['-v', voice, '-s', String(wordsPerMinute), '-w', out, '--stdin'], text, out));
+      return { audio, format: 'wav', model: 'local:espeak' };
+    }
+  };
+}
+
+/** 16 kHz mono 16-bit WAV of silence. */
+function silentWav(seconds) {
+  const dataBytes = Math.round(seconds * 16000) * 2;
+  const buf = Buffer.alloc(44 + dataBytes);
+  buf.write('RIFF', 0);
+  buf.writeUInt32LE(36 + dataBytes, 4);
+  buf.write('WAVEfmt ', 8);
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);
+  buf.writeUInt16LE(1, 22);
+  buf.writeUInt32LE(16000, 24);
+  buf.writeUInt32LE(32000, 28);
+  buf.writeUInt16LE(2, 32);
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36);
+  buf.writeUInt32LE(dataBytes, 40);
+  return buf;
+}
+
+/** Mock provider: a silent WAV about as long as the text would take to say; every call in calls ({ text, settings }). */
+export function createMockTts() {
+  const calls = [];
+  return {
+    name: 'mock',
+    pause: ' | ',
+    calls,
+    configured: () => true,
+    available: () => true,
+    async synthesize(text, s) {
+      calls.push({ text, settings: s });
+      return { audio: silentWav(Math.max(0.5, text.length * 0.06)), format: 'wav', model: 'local:mock' };
+    }
+  };
+}
+
+/** @param {string} name - One of TTS_PROVIDERS */
+export function createTtsProvider(name) {
+  if (name === 'elevenlabs') return createElevenLabsTts();
+  if (name === 'piper') return createPiperTts();
+  if (name === 'espeak') return createEspeakTts();
+  if (name === 'mock') return createMockTts();
+  throw new Error(`Unknown TTS provider "${name}". Use one of: ${TTS_PROVIDERS.join(', ')}`);
+}
+
+let chain = null;
+
+/** Providers from TTS_PROVIDER (default: elevenlabs), created on first use. */
+export function getTtsChain() {
+  if (!chain) {
+    const names = (process.env.TTS_PROVIDER || 'elevenlabs').split(',').map((s) => s.trim().toLowerCase()).filter(Boolean);
+    chain = names.map(createTtsProvider);
+  }
+  return chain;
+}
+
+/** Replace the chain (tests). null = back to TTS_PROVIDER. */
+export function setTtsChain(providers) {
+  chain = providers;
+}
+
+const voiceSettings = new Map();
+
+/** voice.json of a persona ({} when there is none). */
+export function loadVoiceSettings(personaId) {
+  const file = personaFile(personaId, 'voice.json');
+  if (!voiceSettings.has(file)) {
+    let settings = {};
+    try {
+      if (fs.existsSync(file)) settings = JSON.parse(fs.readFileSync(file, 'utf8')) || {};
+    } catch (err) {
+      console.error(`Voice settings ${file} invalid, using env defaults:`, err.message);
+    }
+    voiceSettings.set(file, settings);
+  }
+  return voiceSettings.get(file);
+}
+
+function settingsFor(provider, voice) {
+  const own = voice[provider.name] || {};
+  return { ...own, speed: own.speed ?? voice.speed };
+}
+
+/** True when some provider of the chain is configured for this persona (and, given the text, within its limit). */
+export function isTtsAvailable(personaId, text = '', providers = getTtsChain()) {
+  const voice = loadVoiceSettings(personaId);
+  return providers.some((p) => {
+    const settings = settingsFor(p, voice);
+    return p.configured(settings) && p.available(settings, text);
+  });
+}
+
+/**
+ * Speak a reply with the first provider that works.
+ * @param {string} text - Reply as sent in chat
+ * @param {{ personaId?: string, providers?: object[] }} [opts]
+ * @returns {Promise<{ audio?: Buffer, stream?: ReadableStream, format: 'mp3'|'wav', provider: string, model: string, chars: number }>}
+ *   ElevenLabs returns the response body as a stream (feed it to toOggOpus), local engines a Buffer.
+ */
+export async function synthesizeSpeech(text, { personaId, providers = getTtsChain() } = {}) {
+  const voice = loadVoiceSettings(personaId);
+  let lastError = null;
+  for (const provider of providers) {
+    const settings = settingsFor(provider, voice);
+    if (!provider.configured(settings)) continue;
+    const prepared = prepareSpeechText(text, { pause: provider.pause });
+    if (!prepared) throw new Error('Nothing to say: reply has no speakable text');
+    if (!provider.available(settings, prepared)) {
+      console.log(`TTS ${provider.name}: over its limit, trying the next provider`);
+      continue;
+    }
+    try {
+      const result = await provider.synthesize(prepared, settings);
+      return { ...result, provider: provider.name, chars: prepared.length };
+    } catch (err) {
+      lastError = err;
+      console.error(`TTS ${provider.name} failed: ${err.message}`);
+    }
+  }
+  throw lastError || new Error('No TTS provider available (TTS_PROVIDER, ELEVENLABS_*, PIPER_MODEL)');
+}
@@ -0,0 +1,56 @@
+/**
+ * Which persona speaks in which chat.
+ * Defaults: CHAT_PERSONAS=chatId:personaId,... then DEFAULT_PERSONA (see src/persona/registry.js).
+ * Choices made with /persona are saved to data/chat_personas.json so they survive restarts.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { defaultPersonaId } from '../persona/registry.js';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const STATE_FILE = path.join(DATA_DIR, 'chat_personas.json');
+
+function envDefaults() {
+  const out = new Map();
+  for (const part of (process.env.CHAT_PERSONAS || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const idx = part.lastIndexOf(':');
+    if (idx <= 0) continue;
+    out.set(part.slice(0, idx).trim(), part.slice(idx + 1).trim());
+  }
+  return out;
+}
+
+function readState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (data && typeof data === 'object') return data;
+    }
+  } catch (_) {}
+  return {};
+}
+
+function writeState(state) {
+  try {
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+  } catch (err) {
+    console.error('Chat personas save failed:', err.message);
+  }
+}
+
+let state = null;
+
+/** Persona id for a chat: /persona choice, then CHAT_PERSONAS, then DEFAULT_PERSONA. */
+export function getChatPersonaId(chatId) {
+  if (!state) state = readState();
+  const key = String(chatId);
+  return state[key] || envDefaults().get(key) || defaultPersonaId();
+}
+
+export function setChatPersonaId(chatId, personaId) {
+  if (!state) state = readState();
+  state[String(chatId)] = personaId;
+  writeState(state);
+}
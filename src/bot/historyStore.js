@@ -0,0 +1,156 @@
+/**
+ * Conversation history store for the bot (per chat / per chat+user key).
+ * Backends: "json" (persists to data/history.json, survives redeploys) and "memory" (tests, one-off runs).
+ * Select with HISTORY_STORE=json|memory (default json). HISTORY_FILE overrides the file path (e.g. Railway volume).
+ *
+ * Retention: HISTORY_MAX_MESSAGES (default 20) and HISTORY_MAX_AGE_HOURS (default 0 = no age limit).
+ * Per-chat overrides: HISTORY_CHAT_RETENTION=chatId:maxMessages:maxAgeHours,... (e.g. -1001234567890:50:72); an empty
+ * field keeps the global value (-1001234567890:50: = 50 messages, HISTORY_MAX_AGE_HOURS).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const DEFAULT_FILE = path.join(DATA_DIR, 'history.json');
+const DEFAULT_MAX_MESSAGES = 20;
+
+/** Empty or non-numeric fields are left undefined: the chat falls back to HISTORY_MAX_MESSAGES / HISTORY_MAX_AGE_HOURS. */
+function parseChatRetention(raw) {
+  const out = new Map();
+  for (const part of (raw || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [chatId, maxMessages, maxAgeHours] = part.split(':').map((s) => s.trim());
+    if (!chatId) continue;
+    const hours = maxAgeHours ? Number(maxAgeHours) : NaN;
+    out.set(chatId, {
+      maxMessages: Number(maxMessages) || undefined,
+      maxAgeHours: Number.isFinite(hours) ? Math.max(0, hours) : undefined
+    });
+  }
+  return out;
+}
+
+/**
+ * Retention rules from env. Returned function resolves rules for a history key ("chatId" or "chatId:userId").
+ * @returns {(key: string) => { maxMessages: number, maxAgeMs: number }}
+ */
+export function retentionFromEnv(env = process.env) {
+  const maxMessages = Math.max(1, Number(env.HISTORY_MAX_MESSAGES) || DEFAULT_MAX_MESSAGES);
+  const maxAgeHours = Math.max(0, Number(env.HISTORY_MAX_AGE_HOURS) || 0);
+  const perChat = parseChatRetention(env.HISTORY_CHAT_RETENTION);
+  return (key) => {
+    const chatId = String(key).split(':')[0];
+    const rule = perChat.get(chatId) || {};
+    const hours = rule.maxAgeHours ?? maxAgeHours;
+    return {
+      maxMessages: rule.maxMessages ?? maxMessages,
+      maxAgeMs: hours > 0 ? hours * 60 * 60 * 1000 : 0
+    };
+  };
+}
+
+function applyRetention(entries, { maxMessages, maxAgeMs }, now = Date.now()) {
+  let out = entries;
+  if (maxAgeMs > 0) out = out.filter((m) => !m.at || now - m.at <= maxAgeMs);
+  if (out.length > maxMessages) out = out.slice(out.length - maxMessages);
+  return out;
+}
+
+/**
+ * In-memory store. Nothing is persisted; `onChange` lets file-backed stores hook in.
+ * @param {{ retention?: (key: string) => { maxMessages: number, maxAgeMs: number }, initial?: object, onChange?: (data: object) => void }} [opts]
+ */
+export function createMemoryHistoryStore(opts = {}) {
+  const retention = opts.retention || retentionFromEnv();
+  const data = new Map(Object.entries(opts.initial || {}));
+  const onChange = opts.onChange || (() => {});
+
+  const snapshot = () => Object.fromEntries(data);
+
+  return {
+    /** @returns {Array<{ role: 'user'|'bot', text: string, at: number }>} */
+    get(key) {
+      const entries = data.get(key) || [];
+      const kept = applyRetention(entries, retention(key));
+      if (kept.length !== entries.length) {
+        if (kept.length) data.set(key, kept);
+        else data.delete(key);
+        onChange(snapshot());
+      }
+      return kept.map((m) => ({ ...m }));
+    },
+
+    push(key, role, text) {
+      const entries = [...(data.get(key) || []), { role, text, at: Date.now() }];
+      data.set(key, applyRetention(entries, retention(key)));
+      onChange(snapshot());
+    },
+
+    /** Remove history for one key. Returns number of removed messages. */
+    clear(key) {
+      const count = (data.get(key) || []).length;
+      if (data.delete(key)) onChange(snapshot());
+      return count;
+    },
+
+    /** Remove history for every key of a chat (group: all users). Returns number of removed messages. */
+    clearChat(chatId) {
+      const prefix = `${chatId}:`;
+      let count = 0;
+      for (const key of [...data.keys()]) {
+        if (key === String(chatId) || key.startsWith(prefix)) {
+          count += data.get(key).length;
+          data.delete(key);
+        }
+      }
+      if (count) onChange(snapshot());
+      return count;
+    }
+  };
+}
+
+function readJson(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (parsed && typeof parsed === 'object') return parsed.chats || {};
+    }
+  } catch (err) {
+    console.error('History read failed, starting empty:', err.message);
+  }
+  return {};
+}
+
+function writeJson(file, chats) {
+  try {
+    const dir = path.dirname(file);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version: 1, chats }), 'utf8');
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    console.error('History write failed:', err.message);
+  }
+}
+
+/**
+ * JSON file store: loads once on start, rewrites the file (atomically) on every change.
+ * @param {string} [file] - Defaults to HISTORY_FILE or data/history.json
+ */
+export function createJsonHistoryStore(file = process.env.HISTORY_FILE?.trim() || DEFAULT_FILE, opts = {}) {
+  return createMemoryHistoryStore({
+    ...opts,
+    initial: readJson(file),
+    onChange: (chats) => writeJson(file, chats)
+  });
+}
+
+/** Store selected by HISTORY_STORE (json | memory). */
+export function createHistoryStore(env = process.env) {
+  const backend = (env.HISTORY_STORE || 'json').trim().toLowerCase();
+  if (backend === 'memory') return createMemoryHistoryStore();
+  if (backend !== 'json') {
+    console.warn(`Unknown HISTORY_STORE "${backend}", using json`);
+  }
+  return createJsonHistoryStore();
+}
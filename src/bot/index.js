@@ -1,23 +1,48 @@
 /**
  * Telegram bot: receives messages, calls OpenAI in persona style, replies.
  * Works in private chat and in groups (when @mentioned or when replying to the bot).
- * Requires BOT_TOKEN and OPENAI_API_KEY in .env; run npm run parse and npm run build-persona first.
+ * Text, photos, stickers, voice notes and video notes (transcribed, see src/ai/stt.js).
+ * /meme and /swap draw face-swap memes (from ready templates / from photos sent to the chat).
+ * Requires BOT_TOKEN and OPENAI_API_KEY (or OPENAI_BASE_URL for a local model server) in .env; run npm run parse and npm run build-persona first.
  */
 
-import { Telegraf, Input } from 'telegraf';
-import { getReply, loadPersona } from '../ai/openaiService.js';
+import { Telegraf, Input, Markup } from 'telegraf';
+import { getReply, loadPersona, fallbackReply } from '../ai/openaiService.js';
+import { getLlmProvider } from '../llm/provider.js';
+import { getUsageLedger, withUsage, degradedReplyOptions, CAP_SCOPES, CAP_PERIODS } from '../llm/usage.js';
 import { hasRagIndex } from '../rag/retrieve.js';
-import { getSpeech, isElevenLabsConfigured } from '../ai/elevenlabsService.js';
-import { mp3ToOggOpus } from '../ai/mp3ToOgg.js';
-import { wouldExceedDailyLimit, addVoiceChars } from '../ai/voiceUsage.js';
-
-const bot = new Telegraf(process.env.BOT_TOKEN);
-
-const userHistory = new Map();
-let lastVoiceAt = 0;
-const MAX_HISTORY = 20;
-const VOICE_COOLDOWN_MS = 60 * 60 * 1000; // 1 голосовое в час
-const dailyVoiceCharLimit = Math.max(0, Number(process.env.ELEVENLABS_DAILY_CHAR_LIMIT) || 0);
+import { synthesizeSpeech, isTtsAvailable, getTtsChain } from '../ai/tts.js';
+import { toOggOpus } from '../ai/mp3ToOgg.js';
+import { transcribeAudio, createSttProvider } from '../ai/stt.js';
+import { createHistoryStore } from './historyStore.js';
+import { loadInterlocutors } from '../ai/interlocutors.js';
+import { listPersonaIds, personaExists } from '../persona/registry.js';
+import { getChatPersonaId, setChatPersonaId } from './chatPersonas.js';
+import { decideVoice, markVoiceSent, isChatVoiceEnabled, setChatVoiceEnabled } from './voicePolicy.js';
+import {
+  loadMemeTemplates,
+  swapFace,
+  findFace,
+  listFaces,
+  prepareUpload,
+  FACESWAP_QUALITY,
+  GENERIC_SWAP_PROMPT
+} from '../services/faceSwapService.js';
+import { listTemplates, getTemplate, findBySource, addTemplate, removeTemplate } from '../services/templateGallery.js';
+import { checkMeme, memeStarted, memeDone } from './memePolicy.js';
+
+// One update may take this long before Telegraf gives up on it (bot.catch logs it, polling goes on)
+const handlerTimeoutMs = Math.max(10000, Number(process.env.BOT_HANDLER_TIMEOUT_MS) || 120000);
+// getReply's deadline leaves room for what follows the reply in the same handler (voice synthesis, sending)
+const replyDeadlineMs = Math.min(Number(process.env.REPLY_DEADLINE_MS) || 60000, Math.max(5000, handlerTimeoutMs - 30000));
+
+const bot = new Telegraf(process.env.BOT_TOKEN, { handlerTimeout: handlerTimeoutMs });
+
+const historyStore = createHistoryStore();
+const usageLedger = getUsageLedger();
+const adminIds = new Set((process.env.BOT_ADMIN_IDS || '').split(',').map((s) => s.trim()).filter(Boolean));
+const degradedModel = process.env.USAGE_DEGRADED_MODEL?.trim() || '';
+const sttMaxSeconds = Math.max(0, Number(process.env.STT_MAX_SECONDS) || 180);
 
 let botUsername = null;
 let botId = null;
@@ -31,18 +56,11 @@ function historyKey(ctx) {
 }
 
 function getHistory(key) {
-  if (!userHistory.has(key)) {
-    userHistory.set(key, []);
-  }
-  return userHistory.get(key);
+  return historyStore.get(key);
 }
 
 function pushHistory(key, role, text) {
-  const h = getHistory(key);
-  h.push({ role, text });
-  if (h.length > MAX_HISTORY) {
-    h.splice(0, h.length - MAX_HISTORY);
-  }
+  historyStore.push(key, role, text);
 }
 
 function stripMention(text) {
@@ -136,6 +154,23 @@ function isAskingToDescribeSomeone(text) {
   return patterns.some((re) => re.test(t));
 }
 
+/**
+ * True when the sender may manage the chat: always in private chats; in groups the creator, an administrator
+ * or an admin posting anonymously as the group (getChatMember).
+ */
+async function isChatAdmin(ctx) {
+  if (ctx.chat?.type === 'private') return true;
+  if (ctx.message?.sender_chat?.id === ctx.chat?.id) return true;
+  if (!ctx.from?.id) return false;
+  try {
+    const member = await ctx.telegram.getChatMember(ctx.chat.id, ctx.from.id);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (err) {
+    console.error('getChatMember failed:', err.message);
+    return false;
+  }
+}
+
 async function downloadTelegramFile(telegram, fileId) {
   const file = await telegram.getFile(fileId);
   const token = process.env.BOT_TOKEN;
@@ -145,27 +180,42 @@ async function downloadTelegramFile(telegram, fileId) {
   return Buffer.from(await res.arrayBuffer());
 }
 
-async function sendReplyAndSave(ctx, key, userMsg, reply) {
-  const voiceId = process.env.ELEVENLABS_VOICE_ID?.trim();
-  const now = Date.now();
-  const voiceCooldownExpired = now - lastVoiceAt >= VOICE_COOLDOWN_MS;
+/**
+ * getReply options for a message: the LLM provider tagged for the usage ledger (chat, user, feature), the reply
+ * deadline (falls back to the canned reply before the handler times out) and, when the chat or user is over a spend
+ * cap, the degraded setup: no fine-tuned model, USAGE_DEGRADED_MODEL, no vision, no voice.
+ */
+function usageSetup(ctx, feature) {
+  const tags = { chatId: ctx.chat?.id, userId: ctx.from?.id, feature };
+  const hit = usageLedger.checkCaps(tags);
+  const options = { llm: withUsage(getLlmProvider(), tags, usageLedger), deadlineMs: replyDeadlineMs };
+  if (hit.length) {
+    const caps = hit.map((h) => `${h.scope} ${h.period} $${h.capUsd}`).join(', ');
+    console.warn(`Usage cap reached (${caps}) for chat ${tags.chatId}, user ${tags.userId}: degraded reply`);
+    Object.assign(options, degradedReplyOptions(hit, degradedModel));
+  }
+  return { options, tags, degraded: hit.length > 0 };
+}
+
+async function sendReplyAndSave(ctx, key, userMsg, reply, usage) {
+  const personaId = getChatPersonaId(ctx.chat.id);
+  const voiceTarget = { chatId: ctx.chat.id, userId: ctx.from?.id };
   const useVoice =
-    isElevenLabsConfigured() &&
-    voiceId &&
-    voiceCooldownExpired &&
-    !wouldExceedDailyLimit(reply.length, dailyVoiceCharLimit);
+    !usage?.degraded &&
+    isTtsAvailable(personaId, reply) &&
+    decideVoice({ ...voiceTarget, text: reply, userSentVoice: !!(ctx.message?.voice || ctx.message?.video_note) }).voice;
 
   if (useVoice) {
     try {
       await ctx.sendChatAction('record_voice');
-      const mp3Buffer = await getSpeech(reply, voiceId);
-      const oggBuffer = await mp3ToOggOpus(mp3Buffer);
-      const file = Input.fromBuffer(oggBuffer, 'voice.ogg');
-      await ctx.replyWithVoice(file);
-      lastVoiceAt = now;
-      addVoiceChars(reply.length);
+      const speech = await synthesizeSpeech(reply, { personaId });
+      const { ogg, duration } = await toOggOpus(speech.stream || speech.audio, { format: speech.format });
+      const file = Input.fromBuffer(ogg, 'voice.ogg');
+      await ctx.replyWithVoice(file, duration ? { duration: Math.max(1, Math.round(duration)) } : {});
+      markVoiceSent(voiceTarget);
+      usageLedger.record({ ...usage?.tags, feature: 'voice', method: 'tts', model: speech.model, chars: speech.chars });
     } catch (voiceErr) {
-      console.error('ElevenLabs voice failed, sending text:', voiceErr.message);
+      console.error('Voice reply failed, sending text:', voiceErr.message);
       await ctx.reply(reply);
     }
   } else {
@@ -179,6 +229,408 @@ bot.start((ctx) => {
   return ctx.reply("Hi. Send me a message and I'll reply in character. In groups, @mention me or reply to my message.");
 });
 
+/** /forget — wipe the caller's history; in groups "/forget all" wipes the whole chat (chat admins only). */
+bot.command('forget', async (ctx) => {
+  const arg = (ctx.message?.text || '').split(/\s+/).slice(1).join(' ').trim().toLowerCase();
+  const isGroup = ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+  if (isGroup && arg === 'all' && !(await isChatAdmin(ctx))) {
+    await ctx.reply('Only chat admins can wipe the whole chat. /forget clears your own history.');
+    return;
+  }
+  const removed = isGroup && arg === 'all'
+    ? historyStore.clearChat(ctx.chat.id)
+    : historyStore.clear(historyKey(ctx));
+  console.log('History forgotten:', historyKey(ctx), arg || '', removed);
+  await ctx.reply(removed ? 'Всё, забыл. Кто ты вообще' : 'Да я и так ничего не помню');
+});
+
+/** /persona — show the chat's persona and the available ones; /persona <id> switches it (chat admins) and clears the chat's history. */
+bot.command('persona', async (ctx) => {
+  const arg = (ctx.message?.text || '').split(/\s+/).slice(1).join(' ').trim();
+  const current = getChatPersonaId(ctx.chat.id);
+  const ids = listPersonaIds();
+  if (!arg) {
+    await ctx.reply(`Persona: ${current}\nAvailable: ${ids.join(', ') || '—'}\nSwitch: /persona <id>`);
+    return;
+  }
+  if (!(await isChatAdmin(ctx))) {
+    await ctx.reply('Only chat admins can switch the persona.');
+    return;
+  }
+  if (!personaExists(arg)) {
+    await ctx.reply(`Unknown persona "${arg}". Available: ${ids.join(', ') || '—'}`);
+    return;
+  }
+  try {
+    const persona = loadPersona(arg);
+    setChatPersonaId(ctx.chat.id, arg);
+    // History keys don't carry the persona: the old persona's replies would become the new one's own turns
+    const cleared = arg === current ? 0 : historyStore.clearChat(ctx.chat.id);
+    console.log('Chat persona switched:', ctx.chat.id, current, '->', arg, `(history cleared: ${cleared})`);
+    await ctx.reply(`Persona: ${arg} (${persona.personName || arg})`);
+  } catch (err) {
+    console.error(err);
+    await ctx.reply(`Persona "${arg}" failed to load. Check logs.`);
+  }
+});
+
+const usd = (n) => `$${n < 1 ? n.toFixed(4) : n.toFixed(2)}`;
+
+function costList(byKey, limit = 5) {
+  const top = Object.entries(byKey).sort((a, b) => b[1] - a[1]).slice(0, limit);
+  return top.length ? top.map(([k, v]) => `${k} ${usd(v)}`).join(', ') : '—';
+}
+
+function usageReport(title, filter, capTarget) {
+  const day = usageLedger.totals({ ...filter, period: 'daily' });
+  const month = usageLedger.totals({ ...filter, period: 'monthly' });
+  const line = (name, t) => `${name}: ${usd(t.costUsd)} (${t.calls} calls, ${t.tokens} tokens${t.chars ? `, ${t.chars} voice chars` : ''})`;
+  const lines = [
+    title,
+    line('Today', day),
+    line('Month', month),
+    `By feature (month): ${costList(month.byFeature)}`,
+    `By model (month): ${costList(month.byModel)}`,
+    filter.chatId == null ? `Top chats (month): ${costList(month.byChat)}` : `Top users (month): ${costList(month.byUser)}`
+  ];
+  if (capTarget) {
+    const caps = CAP_PERIODS.map((p) => `${p} ${usageLedger.getCap(capTarget.scope, capTarget.id, p) ? usd(usageLedger.getCap(capTarget.scope, capTarget.id, p)) : '—'}`);
+    lines.push(`Caps (${capTarget.scope}): ${caps.join(', ')}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * /usage (admins, BOT_ADMIN_IDS) — spend of this chat today and this month; /usage all — every chat;
+ * /usage user <id> — one user; /usage cap chat|user [<userId>] daily|monthly <usd|default> — set a cap (0 = none).
+ */
+bot.command('usage', async (ctx) => {
+  if (!adminIds.has(String(ctx.from?.id))) {
+    await ctx.reply(adminIds.size ? 'Only for admins.' : 'No admins configured. Set BOT_ADMIN_IDS (Telegram user ids).');
+    return;
+  }
+  const args = (ctx.message?.text || '').split(/\s+/).slice(1);
+  const chatId = ctx.chat.id;
+  if (args[0] === 'cap') {
+    const scope = args[1];
+    const rest = scope === 'user' ? args.slice(3) : args.slice(2);
+    const id = scope === 'user' ? args[2] : chatId;
+    const [period, value] = rest;
+    const usdValue = value === 'default' ? null : Number(value);
+    if (!CAP_SCOPES.includes(scope) || !id || !CAP_PERIODS.includes(period) || (usdValue !== null && !(usdValue >= 0))) {
+      await ctx.reply('Usage: /usage cap chat daily|monthly <usd|default>\n/usage cap user <userId> daily|monthly <usd|default>\n0 = no cap');
+      return;
+    }
+    usageLedger.setCap(scope, id, period, usdValue);
+    console.log('Usage cap set:', scope, id, period, usdValue ?? 'default');
+    await ctx.reply(`Cap ${scope} ${id} ${period}: ${usageLedger.getCap(scope, id, period) ? usd(usageLedger.getCap(scope, id, period)) : 'none'}`);
+    return;
+  }
+  if (args[0] === 'all') {
+    await ctx.reply(usageReport('All chats', {}));
+    return;
+  }
+  if (args[0] === 'user' && args[1]) {
+    await ctx.reply(usageReport(`User ${args[1]}`, { userId: args[1] }, { scope: 'user', id: args[1] }));
+    return;
+  }
+  await ctx.reply(usageReport(`Chat ${chatId}`, { chatId }, { scope: 'chat', id: chatId }));
+});
+
+/** /voice — show whether the bot may answer with voice in this chat; /voice on|off switches it (chat admins). */
+bot.command('voice', async (ctx) => {
+  const arg = (ctx.message?.text || '').split(/\s+/)[1]?.toLowerCase();
+  if (arg === 'on' || arg === 'off') {
+    if (!(await isChatAdmin(ctx))) {
+      await ctx.reply('Only chat admins can switch voice replies.');
+      return;
+    }
+    setChatVoiceEnabled(ctx.chat.id, arg === 'on');
+    console.log('Chat voice switched:', ctx.chat.id, arg);
+    await ctx.reply(arg === 'on' ? 'Ладно\nбуду иногда голосом' : 'Всё\nмолчу\nтолько текстом');
+    return;
+  }
+  await ctx.reply(`Voice replies: ${isChatVoiceEnabled(ctx.chat.id) ? 'on' : 'off'}\nSwitch: /voice on | /voice off`);
+});
+
+/** Template by id ("random" = any); null when unknown. */
+function findMemeTemplate(templates, id) {
+  if (id === 'random') return templates[Math.floor(Math.random() * templates.length)] || null;
+  return templates.find((t) => t.id.toLowerCase() === id.toLowerCase()) || null;
+}
+
+/** Template buttons, two per row, and a random pick. */
+function memeKeyboard(templates) {
+  const buttons = templates.map((t) => Markup.button.callback(t.title, `meme:${t.id}`));
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  rows.push([Markup.button.callback('🎲 Любой', 'meme:random')]);
+  return Markup.inlineKeyboard(rows);
+}
+
+const memeRefusals = {
+  busy: () => 'Погоди\nещё прошлый рисую',
+  cooldown: (c) => `Хватит мемов\nчерез ${c.waitMin} мин`,
+  'daily limit': () => 'Всё\nна сегодня мемов хватит',
+  'daily cost cap': () => 'Всё\nна сегодня мемов хватит'
+};
+
+/**
+ * Draw a meme: a face from the persona's registry swapped into the template (faceSwapService.js, feature "meme" in
+ * the usage ledger), captioned in character by getReply. Limits in memePolicy.js; over a general spend cap there are no memes.
+ * Refusals are answered here; the drawing itself (image edit plus caption, a minute or more) runs detached in
+ * drawMeme, so the update handler returns before Telegraf's handlerTimeout and other chats aren't held up.
+ * @param {{ path: string, prompt: string, captionHint: string, title: string }} template
+ * @param {{ name: string, path: string }} face - see findFace
+ */
+async function sendMeme(ctx, template, face) {
+  const chatId = ctx.chat.id;
+  const usage = usageSetup(ctx, 'meme');
+  if (usage.degraded) {
+    await ctx.reply('Денег на картинки нет\nпотом');
+    return;
+  }
+  const check = checkMeme({ chatId, quality: FACESWAP_QUALITY, ledger: usageLedger });
+  if (!check.allowed) {
+    console.log(`Meme refused for chat ${chatId}: ${check.reason}`);
+    await ctx.reply(memeRefusals[check.reason](check));
+    return;
+  }
+
+  memeStarted(chatId);
+  void drawMeme(ctx, template, face, usage);
+}
+
+/** Detached part of sendMeme: never rejects, failures are logged and answered in the chat. */
+async function drawMeme(ctx, template, face, usage) {
+  const chatId = ctx.chat.id;
+  let sent = false;
+  // Image edits take up to a minute; the chat action lasts 5 s
+  const action = () => ctx.sendChatAction('upload_photo').catch(() => {});
+  const actionTimer = setInterval(action, 5000);
+  try {
+    await action();
+    const image = await swapFace(template.path, template.prompt, { llm: usage.options.llm, facePath: face.path });
+    if (!image) {
+      await ctx.reply('Не нарисовалось\nпопробуй потом');
+      return;
+    }
+    const key = historyKey(ctx);
+    const history = getHistory(key).map((m) => ({ role: m.role, text: m.text }));
+    let caption = '';
+    try {
+      caption = await getReply(
+        `Ты только что скинул в чат мем ${face.name === 'default' ? 'со своим лицом' : `с лицом ${face.name}`}. ` +
+          `На нём: ${template.captionHint}. Подпиши его одной-двумя короткими строчками в своём стиле.`,
+        history,
+        {
+          ...usage.options,
+          textOnly: true,
+          username: ctx.from?.username ?? '',
+          userId: ctx.from?.id,
+          personaId: getChatPersonaId(chatId),
+          interlocutorName: getInterlocutorName(ctx)
+        }
+      );
+    } catch (err) {
+      console.error('Meme caption failed:', err.message);
+    }
+    // Telegram caption limit: 1024 chars
+    await ctx.replyWithPhoto(Input.fromBuffer(image, 'meme.png'), caption ? { caption: caption.slice(0, 1024) } : {});
+    sent = true;
+    pushHistory(key, 'user', `[мем: ${template.title}]`);
+    if (caption) pushHistory(key, 'bot', caption);
+  } catch (err) {
+    console.error(`Meme failed in chat ${chatId}:`, err);
+    await ctx.reply('Не нарисовалось\nпопробуй потом').catch(() => {});
+  } finally {
+    clearInterval(actionTimer);
+    memeDone(chatId, sent);
+  }
+}
+
+/** /meme — pick a template from buttons; /meme <template>|random draws it right away. Templates: data/faceswap/templates/manifest.json. */
+bot.command('meme', async (ctx) => {
+  const arg = (ctx.message?.text || '').split(/\s+/)[1]?.trim();
+  const templates = loadMemeTemplates();
+  if (!templates.length) {
+    await ctx.reply('No meme templates. Add images and data/faceswap/templates/manifest.json.');
+    return;
+  }
+  if (!arg) {
+    await ctx.reply('Какой мем?', memeKeyboard(templates));
+    return;
+  }
+  const template = findMemeTemplate(templates, arg);
+  if (!template) {
+    await ctx.reply(`Unknown template "${arg}". Available: ${templates.map((t) => t.id).join(', ')}, random`);
+    return;
+  }
+  const face = findFace(getChatPersonaId(ctx.chat.id));
+  if (!face) {
+    await ctx.reply('No face image. Add data/faceswap/vlad_face.jpg or data/faceswap/faces/<persona>/default.jpg.');
+    return;
+  }
+  await sendMeme(ctx, template, face);
+});
+
+bot.action(/^meme:(.+)$/, async (ctx) => {
+  const template = findMemeTemplate(loadMemeTemplates(), ctx.match[1]);
+  await ctx.answerCbQuery(template ? template.title : 'Нет такого шаблона').catch(() => {});
+  if (!template) return;
+  const face = findFace(getChatPersonaId(ctx.chat.id));
+  if (!face) return;
+  // Drop the keyboard so the same message can't start a second meme
+  await ctx.deleteMessage().catch(() => {});
+  await sendMeme(ctx, template, face);
+});
+
+/** Photo of a message as a swap source: largest photo size, or an image sent as a file. */
+function swapSource(message) {
+  if (message?.photo?.length) {
+    const photo = message.photo[message.photo.length - 1];
+    return { fileId: photo.file_id, uniqueId: photo.file_unique_id };
+  }
+  if (message?.document?.mime_type?.startsWith('image/')) {
+    return { fileId: message.document.file_id, uniqueId: message.document.file_unique_id };
+  }
+  return null;
+}
+
+/** A gallery entry as a sendMeme template. */
+function galleryMemeTemplate(t) {
+  return {
+    path: t.path,
+    prompt: GENERIC_SWAP_PROMPT,
+    title: `#${t.id}`,
+    captionHint: `фото, которое ${t.author ? `скинул ${t.author}` : 'скинули в чат'}`
+  };
+}
+
+/** Gallery buttons (newest first), with the face name carried in the callback. */
+function galleryKeyboard(templates, faceName) {
+  const buttons = templates.map((t) =>
+    Markup.button.callback(`#${t.id}${t.author ? ` ${t.author}` : ''} ${t.addedAt.slice(5, 10)}`, `swap:${t.id}${faceName ? `:${faceName}` : ''}`)
+  );
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+  return Markup.inlineKeyboard(rows);
+}
+
+const uploadRefusals = {
+  TOO_LARGE: 'Картинка огромная\nпоменьше давай',
+  TOO_SMALL: 'Картинка мелкая\nтам лица не разглядеть',
+  BAD_FORMAT: 'Это не картинка\nили какая-то кривая',
+  BAD_IMAGE: 'Это не картинка\nили какая-то кривая'
+};
+
+/** Chat + photo (file_unique_id) of /swap downloads in flight, so a repeated /swap doesn't store the photo twice. */
+const swapDownloads = new Set();
+
+/**
+ * Detached part of /swap: the photo is downloaded and validated once per chat (prepareUpload, addTemplate), then
+ * drawn by sendMeme. Never rejects; refusals and failures are answered in the chat.
+ */
+async function swapPhoto(ctx, source, face) {
+  const chatId = ctx.chat.id;
+  const photoMessage = ctx.message.reply_to_message;
+  const downloadKey = `${chatId}:${source.uniqueId}`;
+  try {
+    let template = findBySource(chatId, source.uniqueId);
+    if (!template) {
+      if (swapDownloads.has(downloadKey)) {
+        await ctx.reply(memeRefusals.busy());
+        return;
+      }
+      swapDownloads.add(downloadKey);
+      try {
+        const upload = await prepareUpload(await downloadTelegramFile(ctx.telegram, source.fileId));
+        template = addTemplate({
+          chatId,
+          ...upload,
+          sourceId: source.uniqueId,
+          userId: photoMessage.from?.id,
+          addedBy: ctx.from?.id,
+          author: photoMessage.from?.first_name
+        });
+        console.log(`Swap template #${template.id} added in chat ${chatId} (${upload.width}x${upload.height})`);
+      } catch (err) {
+        console.error('Swap template rejected:', err.message);
+        await ctx.reply(uploadRefusals[err.code] || 'Не скачалось\nпопробуй ещё раз');
+        return;
+      } finally {
+        swapDownloads.delete(downloadKey);
+      }
+    }
+    await sendMeme(ctx, galleryMemeTemplate(template), face);
+  } catch (err) {
+    console.error(`Swap failed in chat ${chatId}:`, err);
+  }
+}
+
+/**
+ * /swap as a reply to a photo — the photo becomes a template (kept in the chat's gallery, templateGallery.js) and gets
+ * the persona's face; /swap <face> — another face from the persona's registry (data/faceswap/faces/<persona>/).
+ * Without a reply: the chat's gallery as buttons. /swap remove <n> — delete template #n (its photo's author, whoever
+ * added it, or a chat admin).
+ */
+bot.command('swap', async (ctx) => {
+  const args = (ctx.message?.text || '').split(/\s+/).slice(1);
+  const chatId = ctx.chat.id;
+  const personaId = getChatPersonaId(chatId);
+  if (args[0] === 'remove') {
+    const id = args[1]?.replace(/^#/, '');
+    const template = id && getTemplate(chatId, id);
+    if (!template) {
+      await ctx.reply('Usage: /swap remove <n> (numbers: /swap)');
+      return;
+    }
+    const userId = ctx.from?.id != null ? String(ctx.from.id) : null;
+    const isOwner = userId && (template.userId === userId || template.addedBy === userId);
+    if (!isOwner && !(await isChatAdmin(ctx))) {
+      await ctx.reply('Only the author of the photo, whoever added it or a chat admin can remove it.');
+      return;
+    }
+    removeTemplate(chatId, id);
+    console.log('Swap template removed:', chatId, id, 'by', userId);
+    await ctx.reply(`Template #${id} removed.`);
+    return;
+  }
+  const faceName = args[0]?.toLowerCase();
+  const face = findFace(personaId, faceName);
+  if (!face) {
+    const names = listFaces(personaId).map((f) => f.name);
+    await ctx.reply(
+      faceName
+        ? `Unknown face "${faceName}". Faces of ${personaId}: ${names.join(', ') || '—'} (data/faceswap/faces/${personaId}/)`
+        : 'No face image. Add data/faceswap/vlad_face.jpg or data/faceswap/faces/<persona>/default.jpg.'
+    );
+    return;
+  }
+
+  const source = swapSource(ctx.message.reply_to_message);
+  if (!source) {
+    const templates = listTemplates(chatId);
+    await ctx.reply(
+      templates.length ? 'Какую?' : 'Reply /swap to a photo to turn it into a meme (/swap <face> for another face).',
+      templates.length ? galleryKeyboard(templates, faceName) : {}
+    );
+    return;
+  }
+  // Downloading and drawing can take over a minute: don't hold the update handler
+  void swapPhoto(ctx, source, face);
+});
+
+bot.action(/^swap:(\d+)(?::([a-z0-9_-]+))?$/i, async (ctx) => {
+  const template = getTemplate(ctx.chat.id, ctx.match[1]);
+  const face = findFace(getChatPersonaId(ctx.chat.id), ctx.match[2]);
+  await ctx.answerCbQuery(template && face ? `#${template.id}` : 'Этой картинки уже нет').catch(() => {});
+  if (!template || !face) return;
+  await ctx.deleteMessage().catch(() => {});
+  // Returns once the meme is started; the drawing runs detached (see sendMeme)
+  await sendMeme(ctx, galleryMemeTemplate(template), face);
+});
+
 bot.on('text', async (ctx) => {
   if (!shouldRespond(ctx)) return;
 
@@ -197,18 +649,22 @@ bot.on('text', async (ctx) => {
 
   await ctx.sendChatAction('typing');
 
+  const usage = usageSetup(ctx, 'reply');
   try {
     const reply = await getReply(text, history, {
+      ...usage.options,
       quotedText,
       interlocutorName,
       username: ctx.from?.username ?? '',
+      userId: ctx.from?.id,
+      personaId: getChatPersonaId(ctx.chat.id),
       mentionedUsers: mentionedUsers.length ? mentionedUsers : undefined,
       askingOpinionAboutSomeone
     });
-    await sendReplyAndSave(ctx, key, text, reply);
+    await sendReplyAndSave(ctx, key, text, reply, usage);
   } catch (err) {
     console.error(err);
-    await ctx.reply("Something went wrong. Check logs and that OPENAI_API_KEY and persona are set.");
+    await ctx.reply(fallbackReply(getChatPersonaId(ctx.chat.id)));
   }
 });
 
@@ -222,6 +678,7 @@ bot.on('photo', async (ctx) => {
 
   await ctx.sendChatAction('typing');
 
+  const usage = usageSetup(ctx, 'photo');
   try {
     const photo = ctx.message.photo[ctx.message.photo.length - 1];
     const imageBuffer = await downloadTelegramFile(ctx.telegram, photo.file_id);
@@ -229,13 +686,16 @@ bot.on('photo', async (ctx) => {
     const prompt = promptText || 'Что на картинке? Ответь в своём стиле (подкалывай, мат, политика).';
     const mentionedUsers = getMentionedUsers(ctx);
     const reply = await getReply(prompt, history, {
+      ...usage.options,
       imageBuffer,
       imageMimeType: 'image/jpeg',
       username: ctx.from?.username ?? '',
+      userId: ctx.from?.id,
+      personaId: getChatPersonaId(ctx.chat.id),
       interlocutorName: getInterlocutorName(ctx),
       mentionedUsers: mentionedUsers.length ? mentionedUsers : undefined
     });
-    await sendReplyAndSave(ctx, key, userMsg, reply);
+    await sendReplyAndSave(ctx, key, userMsg, reply, usage);
   } catch (err) {
     console.error(err);
     await ctx.reply('Не разобрал картинку, блять. Попробуй ещё раз или напиши текстом.');
@@ -248,14 +708,18 @@ bot.on('sticker', async (ctx) => {
   const key = historyKey(ctx);
   const history = getHistory(key).map((m) => ({ role: m.role, text: m.text }));
   const sticker = ctx.message.sticker;
+  const usage = usageSetup(ctx, 'sticker');
 
   if (sticker.is_animated) {
     try {
       const reply = await getReply('Юзер прислал анимированный стикер. Ответь в своём стиле что такие не смотришь.', history, {
+        ...usage.options,
         username: ctx.from?.username ?? '',
+        userId: ctx.from?.id,
+        personaId: getChatPersonaId(ctx.chat.id),
         interlocutorName: getInterlocutorName(ctx)
       });
-      await sendReplyAndSave(ctx, key, '[аним. стикер]', reply);
+      await sendReplyAndSave(ctx, key, '[аним. стикер]', reply, usage);
     } catch (err) {
       console.error(err);
       await ctx.reply('Анимированные стикеры не смотрю, блять.');
@@ -268,29 +732,107 @@ bot.on('sticker', async (ctx) => {
   try {
     const imageBuffer = await downloadTelegramFile(ctx.telegram, sticker.file_id);
     const reply = await getReply('Что на стикере? Ответь в своём стиле (подкалывай, мат, политика).', history, {
+      ...usage.options,
       imageBuffer,
       imageMimeType: 'image/webp',
       username: ctx.from?.username ?? '',
+      userId: ctx.from?.id,
+      personaId: getChatPersonaId(ctx.chat.id),
       interlocutorName: getInterlocutorName(ctx)
     });
-    await sendReplyAndSave(ctx, key, '[стикер]', reply);
+    await sendReplyAndSave(ctx, key, '[стикер]', reply, usage);
   } catch (err) {
     console.error(err);
     await ctx.reply('Стикер не разобрал. Пиши текстом.');
   }
 });
 
+/**
+ * Voice notes and video notes (кружочки): transcribe (src/ai/stt.js), reply to the transcript in character.
+ * The transcript goes to history with a [голосовое] / [кружок] mark so later turns can refer to it.
+ */
+bot.on(['voice', 'video_note'], async (ctx) => {
+  if (!shouldRespondMedia(ctx)) return;
+
+  const isVideo = !!ctx.message.video_note;
+  const media = ctx.message.voice || ctx.message.video_note;
+  const mark = isVideo ? '[кружок]' : '[голосовое]';
+  if (sttMaxSeconds && media.duration > sttMaxSeconds) {
+    await ctx.reply(isVideo ? 'Кружок на полчаса\nне буду смотреть' : 'Чё так долго\nне буду слушать\nнапиши коротко');
+    return;
+  }
+
+  const key = historyKey(ctx);
+  const history = getHistory(key).map((m) => ({ role: m.role, text: m.text }));
+
+  await ctx.sendChatAction('typing');
+
+  const usage = usageSetup(ctx, isVideo ? 'video_note' : 'voice_in');
+  let transcript;
+  try {
+    const audio = await downloadTelegramFile(ctx.telegram, media.file_id);
+    transcript = await transcribeAudio(audio, { filename: isVideo ? 'video_note.mp4' : 'voice.ogg', llm: usage.options.llm });
+  } catch (err) {
+    console.error('Transcription failed:', err.message);
+    await ctx.reply(isVideo ? 'Кружок не грузится\nнапиши текстом' : 'Не расслышал\nнапиши текстом');
+    return;
+  }
+  if (!transcript) {
+    await ctx.reply('Ничё не понял\nтам тишина');
+    return;
+  }
+  console.log(`${mark} ${ctx.chat.id}: ${transcript.slice(0, 120)}`);
+
+  const userMsg = `${mark} ${transcript}`;
+  try {
+    const reply = await getReply(userMsg, history, {
+      ...usage.options,
+      quotedText: getQuotedText(ctx),
+      interlocutorName: getInterlocutorName(ctx),
+      username: ctx.from?.username ?? '',
+      userId: ctx.from?.id,
+      personaId: getChatPersonaId(ctx.chat.id),
+      askingOpinionAboutSomeone: isAskingToDescribeSomeone(transcript)
+    });
+    await sendReplyAndSave(ctx, key, userMsg, reply, usage);
+  } catch (err) {
+    console.error(err);
+    await ctx.reply(fallbackReply(getChatPersonaId(ctx.chat.id)));
+  }
+});
+
 export async function runBot() {
   const token = process.env.BOT_TOKEN;
   if (!token) {
     throw new Error('BOT_TOKEN is not set. Set BOT_TOKEN in Railway Variables.');
   }
-  if (!process.env.OPENAI_API_KEY?.trim()) {
-    throw new Error('OPENAI_API_KEY is not set. Set it in Railway Variables.');
+  // Fails fast when the LLM provider isn't configured (OPENAI_API_KEY or OPENAI_BASE_URL)
+  const llm = getLlmProvider();
+  console.log(`LLM provider: ${llm.name} (${llm.models.chat})`);
+  try {
+    console.log(`STT provider (voice notes): ${createSttProvider({ llm }).name}`);
+  } catch (err) {
+    console.warn(`STT not configured, voice notes will get a canned reply: ${err.message}`);
+  }
+  console.log(`TTS providers (voice replies): ${getTtsChain().map((p) => p.name).join(' -> ')}`);
+  // Env defaults only (null id: no per-chat override); /usage cap overrides set later are not checked here
+  const capsSet = CAP_SCOPES.some((scope) => CAP_PERIODS.some((period) => usageLedger.getCap(scope, null, period)));
+  if (capsSet && !degradedModel) {
+    console.warn(`Spend caps are set but USAGE_DEGRADED_MODEL is not: over a cap, text replies stay on ${llm.models.chat} at full price.`);
+  }
+  const personaIds = listPersonaIds();
+  if (!personaIds.length) loadPersona(); // throws "Persona not built"
+  for (const id of personaIds) {
+    const persona = loadPersona(id);
+    const interlocutors = loadInterlocutors({ strict: true, personaId: id });
+    console.log(
+      `Persona loaded: ${id} (${persona?.personName || 'ok'}); interlocutor profiles: ${interlocutors.length}; RAG index: ${hasRagIndex(id) ? 'yes' : 'no (optional)'}`
+    );
   }
-  const persona = loadPersona();
-  console.log('Persona loaded:', persona?.personName || 'ok');
-  console.log('RAG index:', hasRagIndex() ? 'yes' : 'no (optional)');
+  // Default handler rethrows, which stops polling and ends the process
+  bot.catch((err, ctx) => {
+    console.error(`Update ${ctx?.update?.update_id} (${ctx?.updateType}) failed:`, err);
+  });
   const me = await bot.telegram.getMe();
   botUsername = me.username;
   botId = me.id;
@@ -0,0 +1,47 @@
+/**
+ * Limits for /meme (face swap through gpt-image-1, the bot's most expensive call). Checked per chat, in order:
+ * - one meme at a time (a second request while one is drawing is refused)
+ * - MEME_COOLDOWN_MIN minutes since the chat's last meme (default 10, 0 = none)
+ * - MEME_CHAT_DAILY_LIMIT memes per UTC day (default 5, 0 = no limit), counted in the usage ledger
+ * - MEME_CHAT_DAILY_USD: the chat's meme spend today plus the next image must stay under it (default 0.5, 0 = no cap)
+ * The general spend caps (USAGE_*) are checked by the bot on top: over them no memes at all.
+ */
+
+import { getUsageLedger, estimateCost } from '../llm/usage.js';
+
+const MINUTE = 60 * 1000;
+const COOLDOWN_MS = Math.max(0, Number(process.env.MEME_COOLDOWN_MIN ?? 10) || 0) * MINUTE;
+const DAILY_LIMIT = Math.max(0, Number(process.env.MEME_CHAT_DAILY_LIMIT ?? 5) || 0);
+const DAILY_USD = Math.max(0, Number(process.env.MEME_CHAT_DAILY_USD ?? 0.5) || 0);
+
+const lastMemeByChat = new Map();
+const drawing = new Set();
+
+/**
+ * @param {{ chatId: number|string, quality: string, now?: number, ledger?: object }} input - quality of the next image (for its price)
+ * @returns {{ allowed: boolean, reason: string, waitMin?: number }}
+ */
+export function checkMeme({ chatId, quality, now = Date.now(), ledger = getUsageLedger() }) {
+  const key = String(chatId);
+  if (drawing.has(key)) return { allowed: false, reason: 'busy' };
+  const last = lastMemeByChat.get(key) || 0;
+  if (now - last < COOLDOWN_MS) return { allowed: false, reason: 'cooldown', waitMin: Math.ceil((COOLDOWN_MS - (now - last)) / MINUTE) };
+  if (DAILY_LIMIT || DAILY_USD) {
+    const today = ledger.totals({ chatId, feature: 'meme', period: 'daily' });
+    if (DAILY_LIMIT && today.images >= DAILY_LIMIT) return { allowed: false, reason: 'daily limit' };
+    const next = estimateCost({ method: 'editImage', images: 1, quality });
+    if (DAILY_USD && today.costUsd + next > DAILY_USD) return { allowed: false, reason: 'daily cost cap' };
+  }
+  return { allowed: true, reason: 'ok' };
+}
+
+/** Mark a chat as drawing (checkMeme refuses it until memeDone). */
+export function memeStarted(chatId) {
+  drawing.add(String(chatId));
+}
+
+/** @param {boolean} sent - Start the cooldown only when a meme actually went out */
+export function memeDone(chatId, sent, now = Date.now()) {
+  drawing.delete(String(chatId));
+  if (sent) lastMemeByChat.set(String(chatId), now);
+}
@@ -6,6 +6,8 @@
 import fs from 'fs';
 import path from 'path';
 import { getReply } from '../ai/openaiService.js';
+import { getLlmProvider } from '../llm/provider.js';
+import { withUsage } from '../llm/usage.js';
 
 const DATA_DIR = path.join(process.cwd(), 'data');
 const STATE_DIR = process.env.MORNING_STATE_DIR?.trim() || DATA_DIR;
@@ -52,9 +54,10 @@ const ANECDOTE_PROMPT = `Ты — Владосик. Напиши один мин
 Выдай только текст анекдота, без заголовков и пояснений.
 Формат: каждая фраза с новой строки (не один сплошной абзац).`;
 
-/** То же, что уходит в утренний крон — удобно для `npm run preview-morning`. */
-export async function generateMorningAnecdote() {
-  return getReply(ANECDOTE_PROMPT, [], { username: '', interlocutorName: null });
+/** То же, что уходит в утренний крон — удобно для `npm run preview-morning`. chatId: для учёта расходов (usage ledger). */
+export async function generateMorningAnecdote(chatId = null) {
+  const llm = withUsage(getLlmProvider(), { chatId, feature: 'morning' });
+  return getReply(ANECDOTE_PROMPT, [], { username: '', interlocutorName: null, llm });
 }
 
 export async function sendMorningMessage(telegram) {
@@ -73,7 +76,7 @@ export async function sendMorningMessage(telegram) {
 
   let text;
   try {
-    text = await generateMorningAnecdote();
+    text = await generateMorningAnecdote(chatId);
   } catch (err) {
     console.error('Morning anecdote generate failed:', err.message);
     return;
@@ -0,0 +1,86 @@
+/**
+ * When a reply goes out as voice instead of text. Checked in order:
+ * - /voice on|off per chat (saved to data/chat_voice.json; default VOICE_DEFAULT, on)
+ * - reply length: VOICE_MIN_CHARS .. VOICE_MAX_CHARS (long replies stay text)
+ * - user sent a voice / video note: voice, skipping cooldowns and probability (VOICE_REPLY_TO_VOICE, on unless 0)
+ * - cooldowns since the last voice reply: per chat (VOICE_CHAT_COOLDOWN_MIN) and per user (VOICE_USER_COOLDOWN_MIN)
+ * - VOICE_PROBABILITY (0..1; unset, empty or not a number = 1)
+ * Usage caps are checked by the caller on top; the daily ElevenLabs character limit by the TTS chain (tts.js).
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const STATE_FILE = path.join(DATA_DIR, 'chat_voice.json');
+
+const MINUTE = 60 * 1000;
+const CHAT_COOLDOWN_MS = Math.max(0, Number(process.env.VOICE_CHAT_COOLDOWN_MIN ?? 60) || 0) * MINUTE;
+const USER_COOLDOWN_MS = Math.max(0, Number(process.env.VOICE_USER_COOLDOWN_MIN) || 0) * MINUTE;
+const MIN_CHARS = Math.max(0, Number(process.env.VOICE_MIN_CHARS) || 0);
+const MAX_CHARS = Math.max(0, Number(process.env.VOICE_MAX_CHARS ?? 400) || 0);
+const RAW_PROBABILITY = Number(process.env.VOICE_PROBABILITY?.trim() || 1);
+const PROBABILITY = Number.isFinite(RAW_PROBABILITY) ? Math.min(1, Math.max(0, RAW_PROBABILITY)) : 1;
+const REPLY_TO_VOICE = process.env.VOICE_REPLY_TO_VOICE !== '0';
+const DEFAULT_ON = (process.env.VOICE_DEFAULT || 'on').trim().toLowerCase() !== 'off';
+
+const lastVoiceByChat = new Map();
+const lastVoiceByUser = new Map();
+
+function readState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (data && typeof data === 'object') return data;
+    }
+  } catch (_) {}
+  return {};
+}
+
+function writeState(state) {
+  try {
+    if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+  } catch (err) {
+    console.error('Chat voice settings save failed:', err.message);
+  }
+}
+
+let state = null;
+
+/** Voice replies on for a chat: /voice choice, else VOICE_DEFAULT. */
+export function isChatVoiceEnabled(chatId) {
+  if (!state) state = readState();
+  const value = state[String(chatId)];
+  return value === undefined ? DEFAULT_ON : value;
+}
+
+export function setChatVoiceEnabled(chatId, enabled) {
+  if (!state) state = readState();
+  state[String(chatId)] = !!enabled;
+  writeState(state);
+}
+
+/**
+ * @param {{ chatId: number|string, userId?: number|string, text: string, userSentVoice?: boolean, now?: number }} input
+ * @returns {{ voice: boolean, reason: string }}
+ */
+export function decideVoice({ chatId, userId, text, userSentVoice = false, now = Date.now() }) {
+  if (!isChatVoiceEnabled(chatId)) return { voice: false, reason: 'off in chat' };
+  const length = (text || '').length;
+  if (length < MIN_CHARS) return { voice: false, reason: `shorter than ${MIN_CHARS} chars` };
+  if (MAX_CHARS && length > MAX_CHARS) return { voice: false, reason: `longer than ${MAX_CHARS} chars` };
+  if (userSentVoice && REPLY_TO_VOICE) return { voice: true, reason: 'answering voice' };
+  const lastChat = lastVoiceByChat.get(String(chatId)) || 0;
+  if (now - lastChat < CHAT_COOLDOWN_MS) return { voice: false, reason: 'chat cooldown' };
+  const lastUser = userId != null ? lastVoiceByUser.get(String(userId)) || 0 : 0;
+  if (now - lastUser < USER_COOLDOWN_MS) return { voice: false, reason: 'user cooldown' };
+  if (PROBABILITY < 1 && Math.random() >= PROBABILITY) return { voice: false, reason: 'probability' };
+  return { voice: true, reason: 'policy' };
+}
+
+/** Start the cooldowns after a voice reply was sent. */
+export function markVoiceSent({ chatId, userId, now = Date.now() }) {
+  lastVoiceByChat.set(String(chatId), now);
+  if (userId != null) lastVoiceByUser.set(String(userId), now);
+}
@@ -0,0 +1,59 @@
+/**
+ * Author resolution: which export names belong to the person being mimicked.
+ * PERSON_NAME is the canonical name, PERSON_ALIASES lists other names for the same person.
+ */
+
+/** Known short alias that exports use for the canonical name (e.g. "Владислав Тимохин" also posts as "Влад"). */
+const IMPLIED_ALIASES = [{ nameIncludes: 'Тимохин', alias: 'Влад' }];
+
+/**
+ * Aliases for the canonical name: PERSON_ALIASES plus implied ones.
+ * @param {string} canonicalName
+ * @param {string[]} aliases
+ * @returns {string[]}
+ */
+export function withImpliedAliases(canonicalName, aliases = []) {
+  let out = [...aliases];
+  for (const { nameIncludes, alias } of IMPLIED_ALIASES) {
+    if (canonicalName && canonicalName.includes(nameIncludes) && !out.includes(alias)) {
+      out = [...out, alias];
+    }
+  }
+  return out;
+}
+
+export function getPersonAliases(env = process.env) {
+  const main = (env.PERSON_NAME || '').trim();
+  const aliases = (env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
+  return withImpliedAliases(main, aliases);
+}
+
+/** Canonical person name (PERSON_NAME, default "Vlad"). */
+export function getPersonName(env = process.env) {
+  return (env.PERSON_NAME || '').trim() || 'Vlad';
+}
+
+/** Canonical name first, then aliases. */
+export function getPersonNames(env = process.env) {
+  const main = getPersonName(env);
+  return [main, ...getPersonAliases(env).filter((a) => a !== main)];
+}
+
+/** Predicate: is this author one of the person's names. */
+export function createPersonMatcher(personNames = getPersonNames()) {
+  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
+  return (author) => set.has(author);
+}
+
+/**
+ * Rewrite alias authors to the canonical name.
+ * @returns {{ messages: Array<object>, aliases: string[] }}
+ */
+export function normalizeAuthors(messages, canonicalName, aliases) {
+  if (!canonicalName || !aliases.length) return { messages, aliases };
+  const aliasSet = new Set(aliases);
+  return {
+    messages: messages.map((m) => (aliasSet.has(m.author) ? { ...m, author: canonicalName } : m)),
+    aliases
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * Cleaning of Telegram export artifacts: "HH:MM Name" prefixes, "In reply to this message",
+ * media placeholders ("Photo Not included ..."), stray sender names glued into the text.
+ */
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/** Media placeholder or bare link — not a real phrase (style samples, analysis). */
+export const MEDIA_PLACEHOLDER = /^(Photo|Video file|Sticker) Not included|^In reply to this message\s*$|^https?:\/\/\S+$/i;
+
+/** Strip leading "HH:MM PersonName " for any of the person's names. */
+export function stripTimeAndName(text, personNames) {
+  if (!text || typeof text !== 'string') return text;
+  const names = Array.isArray(personNames) ? personNames : [personNames];
+  for (const name of names) {
+    const escaped = escapeRegExp(name);
+    const trimmed = text.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim();
+    if (trimmed !== text) return trimmed || text;
+  }
+  return text;
+}
+
+/**
+ * Aggressive cleanup for analysis: time+name prefix, reply markers, media placeholders and sender names
+ * that HTML exports glue into the text (including truncated "…слав Фамилия").
+ */
+export function stripExportArtifacts(text, personNames) {
+  const names = Array.isArray(personNames) ? personNames : [personNames];
+  let out = text || '';
+  for (const name of names) {
+    out = out.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escapeRegExp(name)}\\s*`, 'i'), '');
+  }
+  out = out.replace(/In reply to this message\s*/gi, '');
+  for (const name of [...names].sort((a, b) => b.length - a.length)) {
+    const words = name.split(/\s+/).filter(Boolean);
+    if (words.length > 1) {
+      out = out.replace(new RegExp(`\\s*${escapeRegExp(name)}\\s*`, 'gi'), ' ');
+      const tail = words[0].slice(-3);
+      out = out.replace(new RegExp(`\\s*\\S*${escapeRegExp(tail)}\\s+${escapeRegExp(words[words.length - 1])}\\s*`, 'gi'), ' ');
+    } else {
+      out = out.replace(new RegExp(`\\s*${escapeRegExp(name)}\\s+`, 'gi'), ' ');
+    }
+  }
+  return out
+    .replace(/\b(Photo|Video file|Sticker) Not included[^.\n]*/gi, '')
+    .trim();
+}
+
+/**
+ * Matcher for leftover sender-name fragments (surnames of multi-word names, e.g. "Тимохин").
+ * Lines that still contain them after cleanup are export noise, not phrases.
+ */
+export function createNameArtifactMatcher(personNames) {
+  const names = Array.isArray(personNames) ? personNames : [personNames];
+  const surnames = names
+    .map((n) => n.split(/\s+/).filter(Boolean))
+    .filter((words) => words.length > 1)
+    .map((words) => escapeRegExp(words[words.length - 1]));
+  if (!surnames.length) return () => false;
+  const re = new RegExp(surnames.join('|'), 'i');
+  return (text) => re.test(text || '');
+}
+
+/** Lowercased words of the person's names (to exclude from word-frequency stats). */
+export function personNameWords(personNames) {
+  const names = Array.isArray(personNames) ? personNames : [personNames];
+  return new Set(names.flatMap((n) => n.toLowerCase().split(/\s+/).filter(Boolean)));
+}
+
+/** Remove Telegram export artifacts from model output. Preserve newlines so messages don't stick together. */
+export function stripTelegramArtifacts(text) {
+  if (!text || typeof text !== 'string') return text;
+  let out = text
+    .replace(/\s*In reply to this message\s*/gi, '\n')
+    .replace(/\s*Reply to this message\s*/gi, '\n')
+    .replace(/\s*Video file Not included[^.]*\.\s*/gi, '\n')
+    .replace(/\s*Photo Not included[^.]*\.\s*/gi, '\n')
+    .replace(/\s*Voice message Not included[^.]*\.\s*/gi, '\n')
+    .replace(/\s*Audio file Not included[^.]*\.\s*/gi, '\n')
+    .replace(/\s*Document Not included[^.]*\.\s*/gi, '\n')
+    .replace(/\s*Sticker Not included[^.]*\.\s*/gi, '\n');
+  out = out.replace(/[ \t]{2,}/g, ' ');
+  return out.trim();
+}
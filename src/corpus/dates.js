@@ -0,0 +1,19 @@
+/**
+ * Message date helpers shared by the parser and pipeline steps.
+ */
+
+/**
+ * Timestamp (ms) for a message date: ISO (JSON export) or "DD.MM.YYYY HH:MM:SS UTC+03:00" (HTML title).
+ * Returns null when the date can't be parsed (e.g. HTML "14:05" without a day).
+ */
+export function dateToTime(date) {
+  if (!date) return null;
+  const html = String(date).match(/^(\d{2})\.(\d{2})\.(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?(?:\s+UTC([+-]\d{2}):?(\d{2}))?/);
+  if (html) {
+    const [, dd, mm, yyyy, hh, min, ss = '00', tzH = '+00', tzM = '00'] = html;
+    const t = Date.parse(`${yyyy}-${mm}-${dd}T${hh}:${min}:${ss}${tzH}:${tzM}`);
+    return Number.isNaN(t) ? null : t;
+  }
+  const t = Date.parse(date);
+  return Number.isNaN(t) ? null : t;
+}
@@ -0,0 +1,62 @@
+/**
+ * Conversation loader shared by pipeline steps (persona, RAG, fine-tune, analysis scripts).
+ * Reads data/conversation.json (written by npm run parse) and normalizes text to plain strings.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const DATA_DIR = path.join(__dirname, '../../data');
+export const CONVERSATION_FILE = path.join(DATA_DIR, 'conversation.json');
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} author - Display name (after alias normalization in npm run parse)
+ * @property {string} text - Plain text; may be empty for media-only messages
+ * @property {string} [date] - ISO (JSON export) or "DD.MM.YYYY HH:MM:SS UTC+03:00" (HTML export)
+ * @property {number} [id] - Telegram message id (JSON export only)
+ * @property {number} [replyToId] - Id of the message this one replies to (JSON export only)
+ * @property {string} [chatId] - Chat of the export the message came from; ids and replyToId are unique per chat (JSON export only)
+ * @property {string} [fromId] - Stable sender id, e.g. "user123456" (JSON export only)
+ * @property {string} [forwardedFrom] - Original author of a forwarded message (JSON export only)
+ * @property {string} [mediaType] - photo, sticker, voice_message, video_file, ... (JSON export only)
+ */
+
+/** Plain text from a message text field: string, array of strings/entities, or { text }. */
+export function getText(obj) {
+  if (typeof obj === 'string') return obj;
+  if (Array.isArray(obj)) return obj.map((e) => (typeof e === 'string' ? e : e?.text || '')).join('');
+  return obj?.text || '';
+}
+
+/**
+ * Normalize raw parsed entries into ChatMessage objects.
+ * @param {Array<object>} raw
+ * @returns {ChatMessage[]}
+ */
+export function normalizeMessages(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((m) => m && typeof m === 'object')
+    .map((m) => ({
+      ...m,
+      author: (typeof m.author === 'string' && m.author.trim()) || 'Unknown',
+      text: getText(m.text)
+    }));
+}
+
+/**
+ * Load data/conversation.json (or another file). Exits with a hint when the file is missing,
+ * like every pipeline step did before.
+ * @param {string} [file]
+ * @returns {ChatMessage[]}
+ */
+export function loadConversation(file = CONVERSATION_FILE) {
+  if (!fs.existsSync(file)) {
+    console.error(`Run "npm run parse" first. Missing: ${file}`);
+    process.exit(1);
+  }
+  return normalizeMessages(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
@@ -0,0 +1,128 @@
+/**
+ * Dialogue pairing shared by persona, RAG and fine-tune steps: (other person's turn -> person's reply).
+ * - Consecutive messages from the same author are merged into one turn (joined by newline, ladder style).
+ * - Explicit reply links (replyToId, JSON export) are followed when present; otherwise the previous turn is used.
+ * - Messages of several chats (chatId, set by npm run parse for JSON exports) are paired within their own chat only:
+ *   message ids are unique per chat, and turns never span chats.
+ * - Pairs whose prompt and reply are more than maxGapMinutes apart are dropped (PAIR_MAX_GAP_MINUTES, default 30; 0 = off).
+ */
+
+import { dateToTime } from './dates.js';
+import { getText } from './messages.js';
+
+const DEFAULT_MAX_GAP_MINUTES = 30;
+
+export function maxGapMinutesFromEnv() {
+  const raw = process.env.PAIR_MAX_GAP_MINUTES;
+  if (raw === undefined || raw.trim() === '') return DEFAULT_MAX_GAP_MINUTES;
+  return Math.max(0, Number(raw) || 0);
+}
+
+/**
+ * Group messages into turns. A turn ends when the chat or the author changes, the gap between messages exceeds
+ * maxGapMs, or a message explicitly replies to something other than what the turn replies to.
+ */
+function buildTurns(messages, { isPerson, cleanPersonText, maxGapMs }) {
+  const turns = [];
+  // Open turn per chat: messages of merged exports interleave by date
+  const currentOfChat = new Map();
+  for (let i = 0; i < messages.length; i++) {
+    const m = messages[i];
+    let text = getText(m.text).trim();
+    const person = isPerson(m.author);
+    if (person && text) text = (cleanPersonText(text) || '').trim();
+    if (!text) continue;
+    const time = dateToTime(m.date);
+    const replyToId = m.replyToId ?? null;
+    const chatId = m.chatId ?? null;
+    const current = currentOfChat.get(chatId);
+
+    const sameTurn =
+      current &&
+      current.author === m.author &&
+      !(maxGapMs > 0 && time !== null && current.lastTime !== null && time - current.lastTime > maxGapMs) &&
+      !(replyToId !== null && current.replyToId !== null && replyToId !== current.replyToId);
+
+    if (sameTurn) {
+      current.texts.push(text);
+      if (m.id !== undefined) current.ids.push(m.id);
+      if (time !== null) current.lastTime = time;
+      if (current.replyToId === null) current.replyToId = replyToId;
+      continue;
+    }
+    const turn = {
+      chatId,
+      author: m.author,
+      person,
+      texts: [text],
+      ids: m.id !== undefined ? [m.id] : [],
+      index: i,
+      date: m.date,
+      firstTime: time,
+      lastTime: time,
+      replyToId
+    };
+    currentOfChat.set(chatId, turn);
+    turns.push(turn);
+  }
+  return turns;
+}
+
+/**
+ * Build (prompt -> person reply) pairs.
+ * @param {Array<{ author: string, text: string, date?: string, id?: number, replyToId?: number, chatId?: string }>} messages
+ * @param {string[]|string} personNames - Author names that count as the person
+ * @param {{ maxGapMinutes?: number, cleanPersonText?: (text: string) => string }} [opts]
+ * @returns {Array<{ user: string, assistant: string, userAuthor: string, index: number, date?: string, explicitReply: boolean }>}
+ */
+export function buildDialoguePairs(messages, personNames, opts = {}) {
+  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
+  const maxGapMinutes = opts.maxGapMinutes ?? maxGapMinutesFromEnv();
+  const maxGapMs = maxGapMinutes * 60 * 1000;
+  const turns = buildTurns(messages, {
+    isPerson: (author) => set.has(author),
+    cleanPersonText: opts.cleanPersonText || ((t) => t),
+    maxGapMs
+  });
+
+  // Ids are only unique within a chat
+  const turnById = new Map();
+  for (const turn of turns) {
+    for (const id of turn.ids) turnById.set(`${turn.chatId}:${id}`, turn);
+  }
+
+  const pairs = [];
+  const lastTurnOfChat = new Map();
+  for (const reply of turns) {
+    const previous = lastTurnOfChat.get(reply.chatId);
+    lastTurnOfChat.set(reply.chatId, reply);
+    if (!reply.person) continue;
+
+    let prompt = null;
+    let explicitReply = false;
+    const target = reply.replyToId !== null ? turnById.get(`${reply.chatId}:${reply.replyToId}`) : undefined;
+    if (target) {
+      // Person replying to himself is a continuation, not a dialogue pair
+      if (target.person) continue;
+      prompt = target;
+      explicitReply = true;
+    } else if (previous && !previous.person) {
+      prompt = previous;
+    }
+    if (!prompt || prompt.author === 'Unknown') continue;
+
+    if (maxGapMs > 0 && prompt.lastTime !== null && reply.firstTime !== null) {
+      if (reply.firstTime - prompt.lastTime > maxGapMs) continue;
+    }
+
+    pairs.push({
+      user: prompt.texts.join('\n'),
+      assistant: reply.texts.join('\n'),
+      userAuthor: prompt.author,
+      index: prompt.index,
+      date: reply.date,
+      explicitReply
+    });
+  }
+  return pairs;
+}
@@ -0,0 +1,31 @@
+/**
+ * Situation patterns shared by the analysis scripts (scripts/analyzeVlad*.js, extractPoliticalPhrases.js)
+ * and the persona build (situational trait sections, src/persona/traits.js).
+ * - context: the person's message or a neighbouring one is about this situation (corpus mining)
+ * - trigger: an incoming message puts the person into this situation (request time)
+ */
+
+export const SITUATIONS = {
+  disputes: {
+    // The person's own message in a dispute: politics, conflict, disagreement, insults, escalation
+    message: /орк|ватник|мобик|сво(?![а-яё])|завод|войн|украин|росси|вторжен|полит|реальность|похуй|нахуй|конч|заебал|отстань|пиздец|несоглас|не соглас|хуй тебе|иди нахуй|да пошёл|заебись|разъеб|пиздеж|терпил|нытик|база|умнича|доказыва|спор|спорить|обосрал|обоссал|подставил|предател/i,
+    context: /орк|ватник|мобик|сво(?![а-яё])|завод|войн|украин|ростик|никита|вася|деньги|ипотек|зарплат|работа|зп(?![а-яё])|реальность|полит|вторжен/i,
+    trigger: /несоглас|не соглас|не прав|бред|чушь|пиздеж|пиздишь|гонишь|врёшь|врешь|спор|доказ|заебал|отстань|конч|иди нахуй|да пошёл|да пошел|хуй тебе|нытик|терпил|обосрал|дурак|дебил|придурок|ты чё|ты че/i
+  },
+  politics: {
+    context: /украин|росси|войн|орк|ватник|мобик|вторжен|сво(?![а-яё])|власть|путин|нато|донбасс|крым|нацист|фашист|захват|агресс|полит|срач|завод|реальность|мобилизац|призыв|контрактник/i,
+    trigger: /украин|росси|войн|орк|ватник|мобик|вторжен|сво(?![а-яё])|власть|путин|нато|донбасс|крым|нацист|фашист|полит|мобилизац|призыв|контрактник|санкци|выбор/i
+  },
+  invites: {
+    context: /поехали|поедем|приезжай|звать|позвать|зовут|в гости|на дачу|на рыбалку|отдых|тусить|встреча|сборы|собраться|погнали|гости|в субботу|в воскресенье|на выходных|на неделе|приезд|приехать|катайся|кататься|поездк|вылазк|на природу|на шашлык|на пикник|на озеро|в лес|Лосево|рыбалк|охот|в баню|бухать|выпить|встретимся|встретиться|отдохнуть|отдыхать|потусоваться|затусить/i,
+    trigger: /поехали|поедем|приезжай|в гости|на дачу|рыбалк|отдых|тусить|собраться|погнали|в субботу|в воскресенье|на выходных|поездк|вылазк|на природу|на шашлык|в баню|бухать|выпить|встретимся|встретиться|отдохнуть|потусоваться|затусить|пойдёшь|пойдешь|придёшь|придешь|будешь\?/i
+  },
+  money: {
+    context: /деньги|денег|денег нет|нет денег|зп(?![а-яё])|зарплат|ипотек|кредит|бабки|бабла|рублей|тысяч|лям|по карману|не по карману|150к|лишних|нищ|бюджет|трат|потратил|проебал|проебали|заработал|платят|заплатить|стоит|цена|дорого|дёшево|не потянуть|потянуть/i,
+    trigger: /деньги|денег|зп(?![а-яё])|зарплат|ипотек|кредит|бабки|бабла|рублей|тысяч|лям|по карману|бюджет|потратил|заработал|платят|заплатить|сколько стоит|цена|дорого|дёшево|купил|купить|\d+\s?к(?![а-яё])|\d+\s?(тыс|руб|₽)/i
+  },
+  health: {
+    context: /нога|ногу|спина|спину|зуб|здоровь|болит|больн|врач|больниц|таблетк|нагрузк|травм|операци/i,
+    trigger: /нога|ногу|спина|спину|зуб|здоровь|болит|болеешь|больн|врач|больниц|таблетк|нагрузк|травм|операци|спорт|в зал|качал|бегать|пробежк/i
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Topic categories of the person's lines (politics, whining, cars, invites, roasts, work, health, games, support).
+ * Used to stratify style samples in the persona build and to match few-shot pairs / samples to the incoming message.
+ * Cyrillic words need explicit boundaries: \b only knows ASCII word characters.
+ */
+
+/** Topic categories for stratified style samples (order = priority). */
+export const STYLE_TOPICS = [
+  {
+    key: 'politics',
+    name: 'политика/споры',
+    re: /орк|ватник|мобик|сво(?![а-яё])|завод(?![а-яё]).*(развал|войн|параплан)|войн|украин|вторжен|зона войны|до всех орков|реальность vs|политик/i
+  },
+  {
+    key: 'whining',
+    name: 'нытьё/деньги/жертва',
+    re: /денег нет|нет денег|похуй|нищ|терпил|зп(?![а-яё])|кредит|ипотек|подставили|150к|не по карману|пятизначн|только на себя|реальность(?![а-яё])/i
+  },
+  {
+    key: 'cars',
+    name: 'машины/мото',
+    re: /машин|жигул|omoda|некро|крета|авто|бмв|двигатель|кузов|колес|мопед|мото|гараж|маслорий|тигуан|грант/i
+  },
+  {
+    key: 'invites',
+    name: 'приглашения/планы',
+    re: /поехали|приезжай|тусить|на дачу|рыбалк|погнали|в субботу|в воскресенье|подумаю|надо думать|чуть позже|собраться|в спб|на вышку/i
+  },
+  {
+    key: 'roasts',
+    name: 'подколы/сарказм',
+    re: /конч|заебал|zемский|не выебывайся|конченн|подкол|соскуфился|придурок|дауны|сосите жопу/i
+  },
+  {
+    key: 'work',
+    name: 'работа/смена',
+    re: /завод|смен|пивточк|работа|зарплат|магнит|терплю у магнита/i
+  },
+  {
+    key: 'health',
+    name: 'здоровье',
+    re: /нога|спина|зуб|здоровь|болит|больн|врач|больничн/i
+  },
+  {
+    key: 'games',
+    name: 'игры/контент',
+    re: /(?<![а-яё])кс(?![а-яё])|кромвельк|дока|игр|двач|нормис|видос|пикабу|слово пацана/i
+  },
+  {
+    key: 'support',
+    name: 'сухая поддержка/реакции',
+    re: /(?<![а-яё])(угу|окей|красиво|круто|топ|найс|респект|соглы|прикольно|возьми|потянем|бери)(?![а-яё])/i
+  }
+];
+
+export function assignTopic(text) {
+  if (text.length <= 55 && STYLE_TOPICS.find((t) => t.key === 'support').re.test(text)) return 'support';
+  for (const { key, re } of STYLE_TOPICS) {
+    if (key === 'support') continue;
+    if (re.test(text)) return key;
+  }
+  return 'other';
+}
+
+/** Dialogue pair with its topic (prompt + reply) and reply length in lines and chars (persona pair pool). */
+export function tagPair(pair) {
+  const assistant = pair.assistant || '';
+  return {
+    user: pair.user,
+    assistant,
+    topic: assignTopic(`${pair.user || ''}\n${assistant}`),
+    lines: assistant.split(/\n/).filter((l) => l.trim()).length,
+    length: assistant.length
+  };
+}
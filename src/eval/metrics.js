@@ -0,0 +1,82 @@
+/**
+ * Local reply-quality metrics for the eval harness (no model calls): how close replies are to the person's style.
+ * - lines: "ladder" line count (non-empty lines per reply)
+ * - commaRate: commas per word (the person barely uses commas)
+ * - lexiconOverlap: share of reply words that are in the person's lexicon
+ * - lengthRatio: reply length / reference reply length
+ * - artifact: reply contains a URL or an export timestamp ("14:05", "12.03.2021 14:05:00")
+ */
+
+const URL_RE = /https?:\/\/|www\.|t\.me\//i;
+const TIMESTAMP_RE = /(?<!\d)\d{1,2}:\d{2}(?::\d{2})?(?!\d)|\d{2}\.\d{2}\.\d{4}/;
+
+/** Lowercased words of a text (ё -> е). */
+export function words(text) {
+  return (text || '').toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Lexicon of the person: words (3+ chars) they used at least minCount times.
+ * @param {string[]} texts - The person's messages (training part only, not the held-out replies)
+ */
+export function buildLexicon(texts, minCount = 2) {
+  const counts = new Map();
+  for (const t of texts) {
+    for (const w of words(t)) {
+      if (w.length >= 3) counts.set(w, (counts.get(w) || 0) + 1);
+    }
+  }
+  return new Set([...counts].filter(([, n]) => n >= minCount).map(([w]) => w));
+}
+
+export function lineCount(text) {
+  return (text || '').split('\n').filter((l) => l.trim()).length;
+}
+
+export function commaRate(text) {
+  const n = words(text).length;
+  return n ? ((text.match(/,/g) || []).length / n) : 0;
+}
+
+export function lexiconOverlap(text, lexicon) {
+  const ws = words(text).filter((w) => w.length >= 3);
+  return ws.length ? ws.filter((w) => lexicon.has(w)).length / ws.length : 0;
+}
+
+export function hasArtifact(text) {
+  return URL_RE.test(text || '') || TIMESTAMP_RE.test(text || '');
+}
+
+/** Metrics of one reply against the reference (what the person actually answered). */
+export function scoreReply(reply, reference, lexicon) {
+  return {
+    lines: lineCount(reply),
+    commaRate: commaRate(reply),
+    lexiconOverlap: lexiconOverlap(reply, lexicon),
+    lengthRatio: reference.length ? reply.length / reference.length : 0,
+    artifact: hasArtifact(reply) ? 1 : 0
+  };
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Aggregate per-reply scores: means, median length ratio (robust to one huge reply), artifact rate.
+ * @param {Array<ReturnType<typeof scoreReply>>} scores
+ */
+export function summarize(scores) {
+  const mean = (key) => (scores.length ? scores.reduce((a, s) => a + s[key], 0) / scores.length : 0);
+  return {
+    count: scores.length,
+    lines: mean('lines'),
+    commaRate: mean('commaRate'),
+    lexiconOverlap: mean('lexiconOverlap'),
+    lengthRatio: median(scores.map((s) => s.lengthRatio)),
+    artifactRate: mean('artifact')
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * OpenAI-compatible client that records responses to a file, or replays them without network.
+ * Covers what getReply and retrieval call: chat.completions.create and embeddings.create.
+ * - record: forward to the real client, save each response keyed by a hash of the request
+ * - replay: answer from the recording; an unrecorded request throws (re-record after changing prompts)
+ * The last chat completion text is kept in lastContent (raw model output, before getReply's cleanup).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+function requestKey(kind, body) {
+  return crypto.createHash('sha1').update(`${kind}\n${JSON.stringify(body)}`, 'utf8').digest('hex');
+}
+
+/**
+ * @param {{ mode: 'record'|'replay', file: string, client?: object }} opts - client: real client (record mode)
+ */
+export function createRecordedClient({ mode, file, client }) {
+  if (mode === 'record' && !client) throw new Error('Recording needs a real client (OPENAI_API_KEY)');
+  const recordings = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  let dirty = false;
+
+  async function call(kind, body, forward) {
+    const key = requestKey(kind, body);
+    if (mode === 'replay') {
+      if (!recordings[key]) {
+        throw new Error(`No recorded ${kind} response for this request in ${file}. Run with EVAL_CLIENT=record first.`);
+      }
+      return recordings[key];
+    }
+    const res = await forward(body);
+    // Keep only what callers read: plain JSON, no SDK response wrappers
+    recordings[key] = JSON.parse(JSON.stringify(res));
+    dirty = true;
+    return recordings[key];
+  }
+
+  const recorded = {
+    lastContent: null,
+    chat: {
+      completions: {
+        async create(body) {
+          const res = await call('chat', body, (b) => client.chat.completions.create(b));
+          recorded.lastContent = res.choices?.[0]?.message?.content ?? null;
+          return res;
+        }
+      }
+    },
+    embeddings: {
+      create: (body) => call('embeddings', body, (b) => client.embeddings.create(b))
+    },
+    /** Write new recordings (record mode). */
+    save() {
+      if (!dirty) return;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify(recordings), 'utf8');
+      dirty = false;
+    }
+  };
+  return recorded;
+}
+
+/** Pass-through wrapper over a real client that only tracks lastContent (live mode). */
+export function createTrackingClient(client) {
+  const tracking = {
+    lastContent: null,
+    chat: {
+      completions: {
+        async create(body) {
+          const res = await client.chat.completions.create(body);
+          tracking.lastContent = res.choices?.[0]?.message?.content ?? null;
+          return res;
+        }
+      }
+    },
+    embeddings: client.embeddings,
+    save() {}
+  };
+  return tracking;
+}
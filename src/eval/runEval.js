@@ -0,0 +1,243 @@
+/**
+ * Offline evaluation of reply quality: a held-out slice of conversation.json dialogue pairs goes through getReply
+ * under each setup, replies are scored with local metrics (src/eval/metrics.js) next to what the person really
+ * answered. Report: data/eval/report-<time>.json (every reply) and .md (comparison table).
+ *
+ * Setups (EVAL_SETUPS, default: all available): base-fewshot (base model, no RAG), base-rag (base model + RAG),
+ * finetuned (the persona's fine-tuned model, see OPENAI_FINETUNED_MODELS).
+ * Held-out slice: the last EVAL_SIZE pairs (default 40). Retrieval only sees dialogues from before the slice, and
+ * held-out replies are removed from the loaded persona's few-shot pool and style samples.
+ * EVAL_CLIENT: live (default), record (live, responses saved to data/eval/recordings.json),
+ * replay (answers from the recording: no network, no key; re-record after changing prompts or setups).
+ * Run: npm run eval (PERSONA_ID selects the persona). Run after: npm run build-persona (build-rag for base-rag).
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import OpenAI from 'openai';
+import { buildDialoguePairs } from '../corpus/pairs.js';
+import { loadConversation, getText, DATA_DIR } from '../corpus/messages.js';
+import { getPersonNames, createPersonMatcher } from '../corpus/authors.js';
+import { stripTimeAndName } from '../corpus/clean.js';
+import { dateToTime } from '../corpus/dates.js';
+import { getReply, loadPersona, finetunedModelFor } from '../ai/openaiService.js';
+import { seedFewShotSelection } from '../ai/fewShotSelector.js';
+import { hasRagIndex } from '../rag/retrieve.js';
+import { createOpenAIProvider } from '../llm/openaiProvider.js';
+import { createRecordedClient, createTrackingClient } from './recordedClient.js';
+import { buildLexicon, scoreReply, summarize, commaRate, hasArtifact } from './metrics.js';
+
+const EVAL_DIR = path.join(DATA_DIR, 'eval');
+const RECORDINGS_FILE = path.join(EVAL_DIR, 'recordings.json');
+const SIZE = Math.max(1, Number(process.env.EVAL_SIZE) || 40);
+const HISTORY_MESSAGES = 6;
+const SEED = Number(process.env.EVAL_SEED) || 1;
+const ALL_SETUPS = ['base-fewshot', 'base-rag', 'finetuned'];
+
+const SETUP_OPTIONS = {
+  'base-fewshot': { useFinetuned: false, useRag: false },
+  'base-rag': { useFinetuned: false, useRag: true },
+  finetuned: { useFinetuned: true, useRag: false }
+};
+
+function createClient(mode) {
+  const apiKey = process.env.OPENAI_API_KEY?.trim();
+  const baseURL = process.env.OPENAI_BASE_URL?.trim() || undefined;
+  if (mode === 'replay') return createRecordedClient({ mode, file: RECORDINGS_FILE });
+  if (!apiKey && !baseURL) throw new Error(`OPENAI_API_KEY is not set (needed for EVAL_CLIENT=${mode}; use replay to run offline)`);
+  const client = new OpenAI({ apiKey: apiKey || 'local', baseURL });
+  if (mode === 'record') return createRecordedClient({ mode, file: RECORDINGS_FILE, client });
+  if (mode === 'live') return createTrackingClient(client);
+  throw new Error(`Unknown EVAL_CLIENT "${mode}". Use one of: live, record, replay`);
+}
+
+function availableSetups(persona) {
+  const requested = (process.env.EVAL_SETUPS || '').split(',').map((s) => s.trim()).filter(Boolean);
+  const wanted = requested.length ? requested : ALL_SETUPS;
+  const out = [];
+  for (const name of wanted) {
+    if (!SETUP_OPTIONS[name]) {
+      console.warn(`Unknown setup "${name}" (${ALL_SETUPS.join(', ')}), skipped.`);
+    } else if (name === 'base-rag' && !hasRagIndex(persona.id)) {
+      if (requested.length) console.warn('base-rag skipped: no RAG index (npm run build-rag).');
+    } else if (name === 'finetuned' && !finetunedModelFor(persona)) {
+      if (requested.length) console.warn(`finetuned skipped: no fine-tuned model for persona "${persona.id}".`);
+    } else {
+      out.push(name);
+    }
+  }
+  return out;
+}
+
+/** Held-out pairs with their preceding messages as history (oldest first). */
+function heldOutSlice(messages, personNames) {
+  const isPerson = createPersonMatcher(personNames);
+  const pairs = buildDialoguePairs(messages, personNames, {
+    cleanPersonText: (t) => stripTimeAndName(t, personNames)
+  }).filter((p) => p.user.length <= 600 && p.assistant.length <= 600 && dateToTime(p.date) !== null);
+  return pairs.slice(-SIZE).map((p) => ({
+    ...p,
+    history: messages
+      .slice(Math.max(0, p.index - HISTORY_MESSAGES), p.index)
+      .map((m) => ({ role: isPerson(m.author) ? 'bot' : 'user', text: getText(m.text).trim() }))
+      .filter((h) => h.text)
+  }));
+}
+
+/** The person's messages before the slice (lexicon source). */
+function trainingTexts(messages, personNames, before) {
+  const isPerson = createPersonMatcher(personNames);
+  return messages
+    .filter((m) => isPerson(m.author) && (dateToTime(m.date) ?? Infinity) < before)
+    .map((m) => stripTimeAndName(getText(m.text), personNames));
+}
+
+/** Keep held-out replies out of the prompt: drop them from the loaded persona's pool and samples. */
+function withoutHeldOut(persona, slice) {
+  const replies = new Set(slice.map((p) => p.assistant.trim()));
+  const keep = (text) => !replies.has((text || '').trim());
+  if (Array.isArray(persona.pairPool)) persona.pairPool = persona.pairPool.filter((p) => keep(p.assistant));
+  if (Array.isArray(persona.fewShotPairs)) persona.fewShotPairs = persona.fewShotPairs.filter((p) => keep(p.assistant));
+  if (Array.isArray(persona.styleSamples)) persona.styleSamples = persona.styleSamples.filter(keep);
+}
+
+const fmt = (n, digits = 2) => n.toFixed(digits);
+const pct = (n) => `${(n * 100).toFixed(0)}%`;
+
+function markdownReport(report) {
+  const rows = [
+    '| Setup | Replies | Lines | Commas/word | Lexicon overlap | Length ratio | Artifacts | Raw commas/word | Raw artifacts |',
+    '|---|---|---|---|---|---|---|---|---|'
+  ];
+  const ref = report.reference;
+  rows.push(`| reference (real replies) | ${ref.count} | ${fmt(ref.lines)} | ${fmt(ref.commaRate, 3)} | ${pct(ref.lexiconOverlap)} | 1.00 | ${pct(ref.artifactRate)} | – | – |`);
+  for (const [name, s] of Object.entries(report.setups)) {
+    rows.push(
+      `| ${name} | ${s.summary.count}${s.errors ? ` (${s.errors} failed)` : ''} | ${fmt(s.summary.lines)} | ${fmt(s.summary.commaRate, 3)} | ` +
+        `${pct(s.summary.lexiconOverlap)} | ${fmt(s.summary.lengthRatio)} | ${pct(s.summary.artifactRate)} | ` +
+        `${fmt(s.raw.commaRate, 3)} | ${pct(s.raw.artifactRate)} |`
+    );
+  }
+  return [
+    `# Eval: ${report.persona} (${report.createdAt})`,
+    '',
+    `${report.size} held-out pairs from ${report.from} to ${report.to}, client: ${report.client}.`,
+    'Lines, commas and lexicon overlap should be close to the reference row; length ratio near 1; artifacts near 0.',
+    'Raw columns are the model output before getReply strips commas and links.',
+    '',
+    ...rows,
+    ''
+  ].join('\n');
+}
+
+async function main() {
+  const mode = (process.env.EVAL_CLIENT || 'live').trim().toLowerCase();
+  const personaId = process.env.PERSONA_ID?.trim() || undefined;
+  let client;
+  let llm;
+  let persona;
+  try {
+    client = createClient(mode);
+    llm = createOpenAIProvider({ client });
+    persona = loadPersona(personaId);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const personNames = getPersonNames();
+  const messages = loadConversation();
+  const slice = heldOutSlice(messages, personNames);
+  if (!slice.length) {
+    console.error(`No dialogue pairs for ${personNames.join(' / ')} in conversation.json. Check PERSON_NAME.`);
+    process.exit(1);
+  }
+  const setups = availableSetups(persona);
+  if (!setups.length) {
+    console.error('No setup to evaluate.');
+    process.exit(1);
+  }
+
+  const start = dateToTime(slice[0].date);
+  const dayBefore = new Date(start - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const lexicon = buildLexicon(trainingTexts(messages, personNames, start));
+  withoutHeldOut(persona, slice);
+  console.log(`Eval: persona ${persona.id}, ${slice.length} held-out pairs, setups: ${setups.join(', ')}, client: ${mode}.`);
+
+  const samples = slice.map((p) => ({
+    author: p.userAuthor,
+    date: p.date,
+    prompt: p.user,
+    reference: p.assistant,
+    replies: {}
+  }));
+  const report = {
+    createdAt: new Date().toISOString(),
+    persona: persona.id,
+    client: mode,
+    size: slice.length,
+    from: slice[0].date,
+    to: slice[slice.length - 1].date,
+    lexiconSize: lexicon.size,
+    reference: summarize(slice.map((p) => scoreReply(p.assistant, p.assistant, lexicon))),
+    setups: {},
+    samples
+  };
+
+  try {
+    for (const name of setups) {
+      seedFewShotSelection(SEED);
+      const scores = [];
+      const raw = [];
+      let errors = 0;
+      for (let i = 0; i < slice.length; i++) {
+        const p = slice[i];
+        process.stdout.write(`\r${name}: ${i + 1} / ${slice.length}`);
+        client.lastContent = null;
+        try {
+          const reply = await getReply(p.user, p.history, {
+            ...SETUP_OPTIONS[name],
+            personaId: persona.id,
+            interlocutorName: p.userAuthor,
+            llm,
+            ragFilter: { until: dayBefore }
+          });
+          const rawReply = client.lastContent || reply;
+          const score = scoreReply(reply, p.assistant, lexicon);
+          scores.push(score);
+          raw.push({ commaRate: commaRate(rawReply), artifact: hasArtifact(rawReply) ? 1 : 0 });
+          samples[i].replies[name] = { reply, raw: rawReply, score };
+        } catch (err) {
+          errors++;
+          samples[i].replies[name] = { error: err.message };
+        }
+      }
+      console.log('');
+      const mean = (key) => (raw.length ? raw.reduce((a, r) => a + r[key], 0) / raw.length : 0);
+      report.setups[name] = {
+        summary: summarize(scores),
+        raw: { commaRate: mean('commaRate'), artifactRate: mean('artifact') },
+        errors
+      };
+      if (errors) console.warn(`${name}: ${errors} replies failed (see report samples).`);
+    }
+  } finally {
+    client.save();
+  }
+
+  fs.mkdirSync(EVAL_DIR, { recursive: true });
+  const stamp = report.createdAt.replace(/[:.]/g, '-');
+  const jsonFile = path.join(EVAL_DIR, `report-${stamp}.json`);
+  const mdFile = path.join(EVAL_DIR, `report-${stamp}.md`);
+  fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2), 'utf8');
+  const md = markdownReport(report);
+  fs.writeFileSync(mdFile, md, 'utf8');
+  console.log(`\n${md}`);
+  console.log(`Report saved to ${mdFile} (replies: ${jsonFile}).`);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -1,48 +1,25 @@
 /**
- * Prepares fine-tuning data: conversation.json -> data/training.jsonl.
+ * Prepares fine-tuning data: conversation.json -> data/training.jsonl
+ * (data/personas/<PERSONA_ID>/training.jsonl when PERSONA_ID is set).
  * Each line: {"messages": [{"role": "system", ...}, {"role": "user", ...}, {"role": "assistant", ...}]}.
  * Run after: npm run parse, npm run build-persona.
  */
 
 import 'dotenv/config';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { buildDialoguePairs } from '../corpus/pairs.js';
+import { loadConversation } from '../corpus/messages.js';
+import { getPersonName, getPersonNames } from '../corpus/authors.js';
+import { stripTimeAndName } from '../corpus/clean.js';
+import { buildOutputFile } from '../persona/registry.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const CONVERSATION_FILE = path.join(DATA_DIR, 'conversation.json');
-const PERSONA_FILE = path.join(DATA_DIR, 'persona.json');
-const OUTPUT_FILE = path.join(DATA_DIR, 'training.jsonl');
+const PERSONA_FILE = buildOutputFile('persona.json');
+const OUTPUT_FILE = buildOutputFile('training.jsonl');
 
 const MAX_EXAMPLES = Math.min(Number(process.env.FINETUNE_MAX_EXAMPLES) || 5000, 10000);
 const MAX_USER_TOKENS = 800;
 const MAX_ASSISTANT_TOKENS = 400;
 
-function getText(obj) {
-  if (typeof obj === 'string') return obj;
-  if (Array.isArray(obj)) return obj.map((e) => (typeof e === 'string' ? e : e?.text || '')).join('');
-  return obj?.text || '';
-}
-
-function getPersonNames() {
-  const main = process.env.PERSON_NAME || 'Vlad';
-  let aliases = (process.env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
-  if (main.includes('Тимохин') && !aliases.includes('Влад')) aliases = [...aliases, 'Влад'];
-  return [main, ...aliases];
-}
-
-function stripTimeAndName(text, personNames) {
-  if (!text || typeof text !== 'string') return text;
-  const names = Array.isArray(personNames) ? personNames : [personNames];
-  for (const name of names) {
-    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const trimmed = text.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim();
-    if (trimmed !== text) return trimmed || text;
-  }
-  return text;
-}
-
 function roughTokenCount(str) {
   return Math.ceil((str || '').length / 3);
 }
@@ -54,19 +31,14 @@ function trimToTokens(str, maxTokens) {
 }
 
 function buildExamples(messages, personNames, systemPrompt) {
-  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
+  const pairs = buildDialoguePairs(messages, personNames, {
+    cleanPersonText: (t) => stripTimeAndName(t, personNames)
+  });
   const examples = [];
-  for (let i = 0; i < messages.length - 1 && examples.length < MAX_EXAMPLES; i++) {
-    const curr = messages[i];
-    const next = messages[i + 1];
-    if (!set.has(next.author)) continue;
-    if (curr.author === 'Unknown') continue;
-    const userText = (typeof curr.text === 'string' ? curr.text : getText(curr.text)).trim();
-    let assistantText = (typeof next.text === 'string' ? next.text : getText(next.text)).trim();
-    assistantText = stripTimeAndName(assistantText, personNames);
-    if (!userText || !assistantText) continue;
+  for (const { user: userText, assistant: assistantText, userAuthor } of pairs) {
+    if (examples.length >= MAX_EXAMPLES) break;
     if (userText.length > 2000 || assistantText.length > 1500) continue;
-    const interlocutorPrefix = curr.author + ': ';
+    const interlocutorPrefix = userAuthor + ': ';
     const userWithAuthor = interlocutorPrefix + userText;
     const userTrimmed = trimToTokens(userWithAuthor, MAX_USER_TOKENS);
     const assistantTrimmed = trimToTokens(assistantText, MAX_ASSISTANT_TOKENS);
@@ -82,12 +54,9 @@ function buildExamples(messages, personNames, systemPrompt) {
 }
 
 function main() {
-  if (!fs.existsSync(CONVERSATION_FILE)) {
-    console.error('Run npm run parse first. Missing:', CONVERSATION_FILE);
-    process.exit(1);
-  }
+  const messages = loadConversation();
 
-  let personName = process.env.PERSON_NAME || 'Vlad';
+  let personName = getPersonName();
   let systemPrompt = `You are ${personName} in a Telegram chat. Reply as this person. Reply with only the message text, no timestamp or name. Use newlines instead of periods. Stay in character.`;
   if (fs.existsSync(PERSONA_FILE)) {
     const persona = JSON.parse(fs.readFileSync(PERSONA_FILE, 'utf8'));
@@ -98,7 +67,6 @@ function main() {
     }
   }
 
-  const messages = JSON.parse(fs.readFileSync(CONVERSATION_FILE, 'utf8'));
   const personNames = getPersonNames();
   const examples = buildExamples(messages, personNames, systemPrompt);
 
@@ -107,7 +75,6 @@ function main() {
     process.exit(1);
   }
 
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
   const lines = examples.map((ex) => JSON.stringify(ex));
   fs.writeFileSync(OUTPUT_FILE, lines.join('\n'), 'utf8');
 
@@ -1,24 +1,24 @@
 /**
- * Uploads data/training.jsonl and starts an OpenAI fine-tuning job.
+ * Uploads data/training.jsonl (data/personas/<PERSONA_ID>/training.jsonl when PERSONA_ID is set) and starts an OpenAI fine-tuning job.
  * Run after: npm run prepare-finetune.
  * When the job completes, set OPENAI_FINETUNED_MODEL in .env to the returned model name.
  */
 
 import 'dotenv/config';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import { getLlmProvider } from '../llm/provider.js';
+import { buildOutputFile } from '../persona/registry.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const TRAINING_FILE = path.join(__dirname, '../../data/training.jsonl');
+const TRAINING_FILE = buildOutputFile('training.jsonl');
 
 const BASE_MODEL = process.env.OPENAI_FINE_TUNE_BASE_MODEL || 'gpt-4o-mini-2024-07-18';
 
 async function main() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.error('OPENAI_API_KEY is not set');
+  let llm;
+  try {
+    llm = getLlmProvider();
+  } catch (err) {
+    console.error(err.message);
     process.exit(1);
   }
 
@@ -27,27 +27,20 @@ async function main() {
     process.exit(1);
   }
 
-  const openai = new OpenAI({ apiKey });
-  console.log('Uploading training file...');
-  const file = await openai.files.create({
-    file: fs.createReadStream(TRAINING_FILE),
-    purpose: 'fine-tune'
-  });
-  console.log('File ID:', file.id);
-
-  console.log('Starting fine-tuning job (base model: %s)...', BASE_MODEL);
-  const job = await openai.fineTuning.jobs.create({
-    model: BASE_MODEL,
-    training_file: file.id
-  });
+  console.log('Uploading training file and starting fine-tuning job (base model: %s)...', BASE_MODEL);
+  const job = await llm.startFineTune({ file: TRAINING_FILE, model: BASE_MODEL });
+  console.log('File ID:', job.fileId);
 
   console.log('');
-  console.log('Job ID:', job.id);
+  console.log('Job ID:', job.jobId);
   console.log('Status:', job.status);
   console.log('');
   console.log('Check status: https://platform.openai.com/fine-tuning');
   console.log('When status is "succeeded", copy the model name (e.g. ft:gpt-4.1-mini:org:...)');
-  console.log('and set in .env: OPENAI_FINETUNED_MODEL=<that-model-name>');
+  const personaId = process.env.PERSONA_ID?.trim();
+  console.log(personaId
+    ? `and set in .env: OPENAI_FINETUNED_MODELS=${personaId}:<that-model-name>`
+    : 'and set in .env: OPENAI_FINETUNED_MODEL=<that-model-name>');
   console.log('Then restart the bot.');
 }
 
@@ -0,0 +1,75 @@
+/**
+ * Deterministic LLM provider for tests and offline runs (LLM_PROVIDER=fake): no network, same input -> same output.
+ * - chat / vision: a reply derived from the last user message ("[fake] <first words>")
+ * - embed: character trigram hashing (similar texts get similar vectors)
+ * - editImage: returns the input image
+ * - transcribe: "[fake] transcript of <n> bytes"
+ * Every call is appended to provider.calls ({ method, model, input }) so tests can assert on prompts.
+ */
+
+import crypto from 'crypto';
+
+const EMBEDDING_DIM = 64;
+
+function lastUserText(messages = []) {
+  const last = [...messages].reverse().find((m) => m.role === 'user');
+  if (!last) return '';
+  if (typeof last.content === 'string') return last.content;
+  return (last.content || []).filter((p) => p.type === 'text').map((p) => p.text).join('\n');
+}
+
+function fakeVector(text) {
+  const vec = new Array(EMBEDDING_DIM).fill(0);
+  const t = ` ${(text || '').toLowerCase()} `;
+  for (let i = 0; i + 3 <= t.length; i++) {
+    const h = crypto.createHash('md5').update(t.slice(i, i + 3)).digest();
+    vec[h[0] % EMBEDDING_DIM] += h[1] & 1 ? 1 : -1;
+  }
+  const norm = Math.sqrt(vec.reduce((a, v) => a + v * v, 0)) || 1;
+  return vec.map((v) => v / norm);
+}
+
+/**
+ * @param {{ reply?: (messages: object[], model: string) => string }} [opts] - Custom reply function
+ */
+export function createFakeProvider({ reply } = {}) {
+  const calls = [];
+  const models = { chat: 'fake-chat', vision: 'fake-vision', embedding: 'fake-embedding', image: 'fake-image', stt: 'fake-stt' };
+
+  function complete(kind, { model, messages }) {
+    const used = model || models[kind];
+    calls.push({ method: kind, model: used, input: messages });
+    const words = lastUserText(messages).split(/\s+/).filter(Boolean).slice(0, 6).join(' ');
+    const content = reply ? reply(messages, used) : `[fake] ${words}`.trim();
+    return {
+      content,
+      model: used,
+      usage: { prompt_tokens: JSON.stringify(messages).length >> 2, completion_tokens: content.length >> 2 }
+    };
+  }
+
+  return {
+    name: 'fake',
+    models,
+    calls,
+    chat: async (req) => complete('chat', req),
+    vision: async (req) => complete('vision', req),
+    async embed(texts, { model } = {}) {
+      calls.push({ method: 'embed', model: model || models.embedding, input: texts });
+      return texts.map(fakeVector);
+    },
+    async editImage({ image, prompt, model }) {
+      calls.push({ method: 'editImage', model: model || models.image, input: prompt });
+      return Buffer.from(image);
+    },
+    async transcribe({ audio, model }) {
+      const used = model || models.stt;
+      calls.push({ method: 'transcribe', model: used, input: audio.length });
+      return { text: `[fake] transcript of ${audio.length} bytes`, model: used };
+    },
+    async startFineTune({ file, model }) {
+      calls.push({ method: 'startFineTune', model, input: file });
+      return { fileId: 'file-fake', jobId: 'ftjob-fake', status: 'queued' };
+    }
+  };
+}
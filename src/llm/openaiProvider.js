@@ -0,0 +1,102 @@
+/**
+ * LLM provider backed by the OpenAI SDK. With a base URL it talks to any OpenAI-compatible server
+ * (llama.cpp server, Ollama, vLLM, LM Studio): chat and embeddings work there (transcription where the server has
+ * /v1/audio/transcriptions); image edits and fine-tuning are OpenAI-only.
+ */
+
+import fs from 'fs';
+import OpenAI, { toFile } from 'openai';
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.apiKey] - Required for api.openai.com; local servers accept any placeholder
+ * @param {string} [opts.baseURL] - OpenAI-compatible server, e.g. http://localhost:11434/v1
+ * @param {object} [opts.client] - Prebuilt OpenAI-compatible client (eval recordings, tests)
+ * @param {{ chat?: string, vision?: string, embedding?: string, image?: string }} [opts.models] - Default models
+ */
+export function createOpenAIProvider({ apiKey, baseURL, client, models = {} } = {}) {
+  if (!client && !apiKey && !baseURL) {
+    throw new Error('OPENAI_API_KEY is not set (or set OPENAI_BASE_URL for a local OpenAI-compatible server)');
+  }
+  // SDK retries off: retries, timeouts and fallbacks are the call policy's job (resilience.js)
+  const openai = client || new OpenAI({ apiKey: apiKey || 'local', maxRetries: 0, ...(baseURL ? { baseURL } : {}) });
+  const defaults = {
+    chat: models.chat || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    vision: models.vision || process.env.OPENAI_VISION_MODEL || 'gpt-4o-mini',
+    embedding: models.embedding || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    image: models.image || process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1',
+    stt: models.stt || process.env.OPENAI_STT_MODEL || 'gpt-4o-mini-transcribe'
+  };
+
+  async function complete(defaultModel, { model, messages, maxTokens, temperature, signal }) {
+    const completion = await openai.chat.completions.create(
+      {
+        model: model || defaultModel,
+        messages,
+        ...(maxTokens ? { max_tokens: maxTokens } : {}),
+        ...(temperature !== undefined ? { temperature } : {})
+      },
+      { signal }
+    );
+    return {
+      content: completion.choices?.[0]?.message?.content ?? null,
+      model: completion.model || model || defaultModel,
+      usage: completion.usage || null
+    };
+  }
+
+  return {
+    name: baseURL ? 'openai-compatible' : 'openai',
+    models: defaults,
+
+    /** Chat completion. @returns {Promise<{ content: string|null, model: string, usage: object|null }>} */
+    chat: (req) => complete(defaults.chat, req),
+
+    /** Chat completion with image parts (image_url content), on the vision model by default. */
+    vision: (req) => complete(defaults.vision, req),
+
+    /** @returns {Promise<number[][]>} One vector per text, in input order */
+    async embed(texts, { model, signal } = {}) {
+      const res = await openai.embeddings.create({ model: model || defaults.embedding, input: texts }, { signal });
+      return [...res.data].sort((a, b) => a.index - b.index).map((d) => d.embedding);
+    },
+
+    /** Edit an image with a prompt. @returns {Promise<Buffer>} */
+    async editImage({ image, filename = 'image.jpg', mimeType = 'image/jpeg', prompt, model, size = '1024x1024', quality, signal }) {
+      const result = await openai.images.edit(
+        {
+          model: model || defaults.image,
+          image: await toFile(image, filename, { type: mimeType }),
+          prompt,
+          size,
+          ...(quality ? { quality } : {})
+        },
+        { signal }
+      );
+      const b64 = result.data?.[0]?.b64_json;
+      if (!b64) throw new Error('Empty image in response');
+      return Buffer.from(b64, 'base64');
+    },
+
+    /** Speech to text. @returns {Promise<{ text: string, model: string }>} */
+    async transcribe({ audio, filename = 'audio.wav', mimeType = 'audio/wav', model, language, signal }) {
+      const used = model || defaults.stt;
+      const result = await openai.audio.transcriptions.create(
+        {
+          model: used,
+          file: await toFile(audio, filename, { type: mimeType }),
+          ...(language ? { language } : {})
+        },
+        { signal }
+      );
+      return { text: (result.text || '').trim(), model: used };
+    },
+
+    /** Upload a JSONL training file and start a fine-tuning job. */
+    async startFineTune({ file, model }) {
+      const uploaded = await openai.files.create({ file: fs.createReadStream(file), purpose: 'fine-tune' });
+      const job = await openai.fineTuning.jobs.create({ model, training_file: uploaded.id });
+      return { fileId: uploaded.id, jobId: job.id, status: job.status };
+    }
+  };
+}
@@ -0,0 +1,52 @@
+/**
+ * LLM provider layer: the one place that knows how to reach a model. Callers take a provider as an option
+ * (dependency injection) and fall back to getLlmProvider(), the provider configured by env:
+ * - LLM_PROVIDER=openai (default): OpenAI (OPENAI_API_KEY), or any OpenAI-compatible server when
+ *   OPENAI_BASE_URL is set (llama.cpp, Ollama; OPENAI_MODEL etc. name its models)
+ * - LLM_PROVIDER=fake: deterministic offline provider for tests (see fakeProvider.js)
+ *
+ * Provider: { name, models: { chat, vision, embedding, image, stt },
+ *   chat(req), vision(req) => { content, model, usage }, embed(texts, { model }) => number[][],
+ *   editImage({ image, prompt, ... }) => Buffer, transcribe({ audio, filename, mimeType, language }) => { text, model },
+ *   startFineTune({ file, model }) => { fileId, jobId, status } }.
+ * req: { model?, messages, maxTokens?, temperature? } (OpenAI chat message format).
+ */
+
+import { createOpenAIProvider } from './openaiProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+import { withResilience } from './resilience.js';
+
+export const LLM_PROVIDERS = ['openai', 'fake'];
+
+let defaultProvider = null;
+
+/**
+ * Provider chosen by LLM_PROVIDER (or opts.name).
+ * @param {{ name?: string, apiKey?: string, baseURL?: string, client?: object }} [opts]
+ */
+export function createLlmProvider(opts = {}) {
+  const name = (opts.name || process.env.LLM_PROVIDER || 'openai').trim().toLowerCase();
+  if (name === 'openai') {
+    return createOpenAIProvider({
+      apiKey: opts.apiKey ?? process.env.OPENAI_API_KEY?.trim(),
+      baseURL: opts.baseURL ?? (process.env.OPENAI_BASE_URL?.trim() || undefined),
+      client: opts.client
+    });
+  }
+  if (name === 'fake') return createFakeProvider(opts);
+  throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${LLM_PROVIDERS.join(', ')}`);
+}
+
+/**
+ * The env-configured provider with the call policy (timeouts, retries, circuit breaker; see resilience.js),
+ * created on first use. Throws when it isn't configured (e.g. no API key).
+ */
+export function getLlmProvider() {
+  if (!defaultProvider) defaultProvider = withResilience(createLlmProvider());
+  return defaultProvider;
+}
+
+/** Replace the default provider (tests, scripts that build their own). null = back to env config. */
+export function setLlmProvider(provider) {
+  defaultProvider = provider;
+}
@@ -0,0 +1,194 @@
+/**
+ * Call policy for model requests: timeout, retries with exponential backoff + full jitter, circuit breaker.
+ * withResilience(provider) wraps chat / vision / embed / editImage / transcribe of any provider; getLlmProvider() returns the
+ * wrapped env provider. Fallbacks between models (fine-tuned -> base, vision -> caption-only) are the caller's
+ * choice and live in getReply.
+ *
+ * - Retried: 429 (honouring Retry-After), 408, 409, 5xx, timeouts, connection errors. Other 4xx fail at once.
+ * - Breaker per method + model: after LLM_BREAKER_THRESHOLD failed calls in a row the model is skipped for
+ *   LLM_BREAKER_COOLDOWN_MS (errors with code LLM_CIRCUIT_OPEN), then one trial call decides whether it closes.
+ * Errors keep their status; timeouts get code LLM_TIMEOUT.
+ * A request's own signal (req.signal, e.g. getReply's reply deadline) aborts the call and stops further retries.
+ */
+
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 45000;
+const IMAGE_TIMEOUT_MS = Number(process.env.LLM_IMAGE_TIMEOUT_MS) || 120000;
+// Unset, empty or not a number: the default 2 (0 turns retries off)
+const RAW_RETRIES = Number(process.env.LLM_RETRIES?.trim() || 2);
+const RETRIES = Number.isFinite(RAW_RETRIES) ? Math.max(0, Math.floor(RAW_RETRIES)) : 2;
+const BASE_DELAY_MS = Number(process.env.LLM_RETRY_BASE_MS) || 500;
+const MAX_DELAY_MS = Number(process.env.LLM_RETRY_MAX_MS) || 8000;
+const BREAKER_THRESHOLD = Math.max(1, Number(process.env.LLM_BREAKER_THRESHOLD) || 5);
+const BREAKER_COOLDOWN_MS = Number(process.env.LLM_BREAKER_COOLDOWN_MS) || 60000;
+
+/** Client errors that say nothing about the model's health (bad input for this one request). */
+const REQUEST_ERRORS = new Set([400, 413, 422]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function isRetryable(err) {
+  if (err?.code === 'LLM_TIMEOUT') return true;
+  const status = err?.status;
+  if (status === 408 || status === 409 || status === 429 || status >= 500) return true;
+  if (status) return false;
+  // No HTTP status: connection reset, DNS, socket hang up
+  return err?.name === 'APIConnectionError' || /ECONNRESET|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed/i.test(String(err?.code || err?.message));
+}
+
+/** Delay before retry `attempt` (0-based): Retry-After when the server sent one, else full jitter. */
+function retryDelay(err, attempt) {
+  const retryAfter = Number(err?.headers?.['retry-after'] ?? err?.headers?.get?.('retry-after'));
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS * 4);
+  return Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt);
+}
+
+/**
+ * @param {{ threshold?: number, cooldownMs?: number }} [opts]
+ */
+export function createCircuitBreaker({ threshold = BREAKER_THRESHOLD, cooldownMs = BREAKER_COOLDOWN_MS } = {}) {
+  const circuits = new Map();
+  const get = (key) => {
+    if (!circuits.has(key)) circuits.set(key, { failures: 0, openedAt: 0, trial: false });
+    return circuits.get(key);
+  };
+  return {
+    /**
+     * Throws LLM_CIRCUIT_OPEN while the circuit is open; lets one trial call through after the cooldown.
+     * @returns {boolean} true for the trial call: it must end in success, failure or release
+     */
+    check(key) {
+      const c = get(key);
+      if (c.failures < threshold) return false;
+      if (Date.now() - c.openedAt < cooldownMs || c.trial) {
+        const err = new Error(`${key}: circuit open after ${c.failures} failures, skipping`);
+        err.code = 'LLM_CIRCUIT_OPEN';
+        throw err;
+      }
+      c.trial = true;
+      return true;
+    },
+    success(key) {
+      circuits.set(key, { failures: 0, openedAt: 0, trial: false });
+    },
+    failure(key) {
+      const c = get(key);
+      c.failures++;
+      c.trial = false;
+      if (c.failures >= threshold) {
+        if (c.failures === threshold) console.warn(`${key}: circuit opened for ${cooldownMs / 1000}s`);
+        c.openedAt = Date.now();
+      }
+    },
+    /** End a trial that said nothing about the model (request error, aborted): the next call is a trial again. */
+    release(key) {
+      get(key).trial = false;
+    },
+    state(key) {
+      const c = get(key);
+      return c.failures >= threshold ? 'open' : 'closed';
+    }
+  };
+}
+
+function abortedError(label) {
+  const err = new Error(`${label}: aborted by caller`);
+  err.code = 'LLM_ABORTED';
+  return err;
+}
+
+/** Run fn(signal) with a timeout; the signal aborts the underlying request (also when the caller's signal aborts). */
+async function withTimeout(fn, timeoutMs, label, outerSignal) {
+  const controller = new AbortController();
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    // Reject before aborting: a request that fails synchronously on abort must not win the race with its own error
+    timer = setTimeout(() => {
+      const err = new Error(`${label}: no response in ${timeoutMs} ms`);
+      err.code = 'LLM_TIMEOUT';
+      reject(err);
+      controller.abort();
+    }, timeoutMs);
+    onAbort = () => {
+      reject(abortedError(label));
+      controller.abort();
+    };
+    if (outerSignal?.aborted) onAbort();
+    else outerSignal?.addEventListener('abort', onAbort, { once: true });
+  });
+  try {
+    return await Promise.race([fn(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    outerSignal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Call with the policy.
+ * @param {(signal: AbortSignal) => Promise<any>} fn
+ * @param {{ key: string, breaker?: ReturnType<typeof createCircuitBreaker>, timeoutMs?: number, retries?: number, signal?: AbortSignal }} opts
+ *   signal: the caller's; aborting it fails the call with code LLM_ABORTED, no retry, breaker untouched
+ */
+export async function callWithPolicy(fn, { key, breaker, timeoutMs = TIMEOUT_MS, retries = RETRIES, signal }) {
+  const trial = breaker?.check(key);
+  try {
+    for (let attempt = 0; ; attempt++) {
+      // Aborted while waiting for a retry
+      if (signal?.aborted) throw abortedError(key);
+      try {
+        const result = await withTimeout(fn, timeoutMs, key, signal);
+        breaker?.success(key);
+        return result;
+      } catch (err) {
+        if (signal?.aborted) throw err.code === 'LLM_ABORTED' ? err : abortedError(key);
+        if (attempt < retries && isRetryable(err)) {
+          const delay = retryDelay(err, attempt);
+          console.warn(`${key}: ${err.status || err.code || 'error'} (${err.message}), retry ${attempt + 1}/${retries} in ${Math.round(delay)} ms`);
+          await sleep(delay);
+          continue;
+        }
+        if (!REQUEST_ERRORS.has(err?.status)) breaker?.failure(key);
+        throw err;
+      }
+    }
+  } finally {
+    // A trial ended by a request error or the caller's abort must not keep the circuit shut for good
+    if (trial) breaker.release(key);
+  }
+}
+
+/**
+ * Provider with the policy on every model call (fine-tuning uploads are left alone: long, not user-facing).
+ * Image edits get their own timeout (LLM_IMAGE_TIMEOUT_MS): gpt-image-1 often needs a minute.
+ * @param {object} provider - See provider.js
+ * @param {{ breaker?: object, timeoutMs?: number, imageTimeoutMs?: number, retries?: number }} [opts]
+ */
+export function withResilience(provider, opts = {}) {
+  const breaker = opts.breaker || createCircuitBreaker();
+  const policy = (key, callerSignal, timeoutMs = opts.timeoutMs) => ({ key, breaker, timeoutMs, retries: opts.retries, signal: callerSignal });
+  const { models } = provider;
+  return {
+    ...provider,
+    breaker,
+    chat: (req) =>
+      callWithPolicy((signal) => provider.chat({ ...req, signal }), policy(`chat:${req.model || models.chat}`, req.signal)),
+    vision: (req) =>
+      callWithPolicy((signal) => provider.vision({ ...req, signal }), policy(`vision:${req.model || models.vision}`, req.signal)),
+    embed: (texts, embedOpts = {}) =>
+      callWithPolicy(
+        (signal) => provider.embed(texts, { ...embedOpts, signal }),
+        policy(`embed:${embedOpts.model || models.embedding}`, embedOpts.signal)
+      ),
+    editImage: (req) =>
+      callWithPolicy(
+        (signal) => provider.editImage({ ...req, signal }),
+        policy(`editImage:${req.model || models.image}`, req.signal, opts.imageTimeoutMs ?? IMAGE_TIMEOUT_MS)
+      ),
+    transcribe: (req) =>
+      callWithPolicy(
+        (signal) => provider.transcribe({ ...req, signal }),
+        policy(`transcribe:${req.model || models.stt}`, req.signal)
+      )
+  };
+}
@@ -0,0 +1,333 @@
+/**
+ * Usage ledger: every model call (chat, vision, embeddings, image edits, transcription) and every voice reply is recorded with
+ * tokens and estimated cost, tagged with chat, user, model and feature. One JSON line per call in
+ * data/usage/<YYYY-MM>.jsonl (UTC months); the current month is kept in memory for totals and caps.
+ *
+ * withUsage(provider, tags) wraps a provider (see provider.js) so each call is recorded with the caller's tags;
+ * the bot builds one per incoming message. Costs come from PRICES (USD per 1M tokens, longest model-name prefix
+ * wins; fine-tuned "ft:<base>:..." models use FT_PRICES), overridable with LLM_PRICES=model:input/output,...
+ * Image edits are priced per image by quality, transcription per minute of audio, voice by characters
+ * (ELEVENLABS_USD_PER_1K_CHARS).
+ *
+ * Caps (USD, 0 = none): USAGE_CHAT_DAILY_USD, USAGE_CHAT_MONTHLY_USD, USAGE_USER_DAILY_USD, USAGE_USER_MONTHLY_USD,
+ * overridden per chat / user in data/usage_caps.json (set with /usage cap). checkCaps() says which are hit;
+ * the bot then degrades instead of refusing (cheaper model, text only, no voice, no memes).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { countTokens } from 'gpt-tokenizer';
+
+const DATA_DIR = path.join(process.cwd(), 'data');
+const USAGE_DIR = path.join(DATA_DIR, 'usage');
+const CAPS_FILE = path.join(DATA_DIR, 'usage_caps.json');
+
+/** USD per 1M tokens: [input, output]. */
+const PRICES = {
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1': [2, 8],
+  'text-embedding-3-small': [0.02, 0],
+  'text-embedding-3-large': [0.13, 0],
+  'text-embedding-ada-002': [0.1, 0]
+};
+/** Inference on fine-tuned models, by base model. */
+const FT_PRICES = {
+  'gpt-4o-mini': [0.3, 1.2],
+  'gpt-4o': [3.75, 15],
+  'gpt-4.1-nano': [0.2, 0.8],
+  'gpt-4.1-mini': [0.8, 3.2],
+  'gpt-4.1': [3, 12]
+};
+/** gpt-image-1, USD per 1024x1024 output image (auto is billed like high in practice). */
+const IMAGE_PRICES = { low: 0.011, medium: 0.042, high: 0.167, auto: 0.167 };
+/** Speech to text, USD per minute of audio. */
+const STT_PRICES = { 'gpt-4o-mini-transcribe': 0.003, 'gpt-4o-transcribe': 0.006, 'whisper-1': 0.006 };
+const VOICE_USD_PER_1K_CHARS = Math.max(0, Number(process.env.ELEVENLABS_USD_PER_1K_CHARS) || 0);
+
+export const CAP_SCOPES = ['chat', 'user'];
+export const CAP_PERIODS = ['daily', 'monthly'];
+
+function envPrices() {
+  const out = {};
+  for (const part of (process.env.LLM_PRICES || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    // Split on the last ":" (fine-tuned model names contain colons)
+    const idx = part.lastIndexOf(':');
+    if (idx <= 0) continue;
+    const [input, output] = part.slice(idx + 1).split('/').map(Number);
+    if (Number.isFinite(input)) out[part.slice(0, idx).trim()] = [input, Number.isFinite(output) ? output : 0];
+  }
+  return out;
+}
+
+function longestPrefix(table, model) {
+  const key = Object.keys(table)
+    .filter((k) => model === k || model.startsWith(`${k}-`) || model.startsWith(`${k}:`))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+/** [input, output] USD per 1M tokens for a model; null when unknown (local models, new names). */
+export function priceFor(model) {
+  if (!model) return null;
+  const custom = envPrices();
+  if (custom[model]) return custom[model];
+  const fromEnv = longestPrefix(custom, model);
+  if (fromEnv) return fromEnv;
+  if (model.startsWith('ft:')) return longestPrefix(FT_PRICES, model.split(':')[1] || '');
+  return longestPrefix(PRICES, model);
+}
+
+const unpriced = new Set();
+
+/** Estimated USD for one ledger entry. */
+export function estimateCost({ method, model, promptTokens = 0, completionTokens = 0, images = 0, quality, chars = 0, seconds = 0 }) {
+  if (method === 'editImage') return images * (IMAGE_PRICES[quality || 'auto'] ?? IMAGE_PRICES.auto);
+  // Local engines (piper, espeak) are free
+  if (method === 'tts') return model?.startsWith('local:') ? 0 : (chars / 1000) * VOICE_USD_PER_1K_CHARS;
+  if (method === 'transcribe') return (seconds / 60) * (longestPrefix(STT_PRICES, model || '') ?? 0);
+  const price = priceFor(model);
+  if (!price) {
+    if (model && !unpriced.has(model)) {
+      unpriced.add(model);
+      console.warn(`Usage: no price for model "${model}", counted as $0 (set LLM_PRICES=${model}:input/output).`);
+    }
+    return 0;
+  }
+  return (promptTokens * price[0] + completionTokens * price[1]) / 1e6;
+}
+
+function monthKey(d = new Date()) {
+  return d.toISOString().slice(0, 7);
+}
+
+function dayKey(d = new Date()) {
+  return d.toISOString().slice(0, 10);
+}
+
+function readJsonLines(file) {
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch (_) {}
+  }
+  return out;
+}
+
+function readCaps(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data && typeof data === 'object') return { chat: data.chat || {}, user: data.user || {} };
+    }
+  } catch (_) {}
+  return { chat: {}, user: {} };
+}
+
+function envCap(scope, period) {
+  return Math.max(0, Number(process.env[`USAGE_${scope.toUpperCase()}_${period.toUpperCase()}_USD`]) || 0);
+}
+
+/**
+ * @param {{ dir?: string, capsFile?: string }} [opts]
+ */
+export function createUsageLedger({ dir = USAGE_DIR, capsFile = CAPS_FILE } = {}) {
+  let month = null;
+  let entries = [];
+  let caps = null;
+
+  function current() {
+    const m = monthKey();
+    if (m !== month) {
+      month = m;
+      entries = readJsonLines(path.join(dir, `${m}.jsonl`));
+    }
+    return entries;
+  }
+
+  function matches(e, { chatId, userId, feature, period }) {
+    if (chatId != null && String(e.chatId) !== String(chatId)) return false;
+    if (userId != null && String(e.userId) !== String(userId)) return false;
+    if (feature && e.feature !== feature) return false;
+    return period !== 'daily' || e.at.slice(0, 10) === dayKey();
+  }
+
+  const ledger = {
+    /**
+     * Record one call. entry: { chatId?, userId?, feature, method, model, promptTokens?, completionTokens?, images?, quality?, chars?, seconds? }
+     * @returns {object} The stored entry (with at and costUsd)
+     */
+    record(entry) {
+      const stored = {
+        at: new Date().toISOString(),
+        chatId: entry.chatId ?? null,
+        userId: entry.userId ?? null,
+        feature: entry.feature || 'other',
+        method: entry.method,
+        model: entry.model || null,
+        ...(entry.promptTokens ? { promptTokens: entry.promptTokens } : {}),
+        ...(entry.completionTokens ? { completionTokens: entry.completionTokens } : {}),
+        ...(entry.images ? { images: entry.images, quality: entry.quality || 'auto' } : {}),
+        ...(entry.chars ? { chars: entry.chars } : {}),
+        ...(entry.seconds ? { seconds: Math.round(entry.seconds) } : {}),
+        costUsd: Number(estimateCost(entry).toFixed(6))
+      };
+      current().push(stored);
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, `${month}.jsonl`), JSON.stringify(stored) + '\n', 'utf8');
+      } catch (err) {
+        console.error('Usage ledger write failed:', err.message);
+      }
+      return stored;
+    },
+
+    /**
+     * Totals for this UTC day ('daily') or month ('monthly'), optionally for one chat, user and/or feature.
+     * @returns {{ costUsd: number, calls: number, tokens: number, chars: number, images: number,
+     *   byFeature: Record<string, number>, byModel: Record<string, number>, byUser: Record<string, number>, byChat: Record<string, number> }}
+     */
+    totals({ chatId, userId, feature, period = 'monthly' } = {}) {
+      const t = { costUsd: 0, calls: 0, tokens: 0, chars: 0, images: 0, byFeature: {}, byModel: {}, byUser: {}, byChat: {} };
+      for (const e of current()) {
+        if (!matches(e, { chatId, userId, feature, period })) continue;
+        t.costUsd += e.costUsd;
+        t.calls++;
+        t.tokens += (e.promptTokens || 0) + (e.completionTokens || 0);
+        t.chars += e.chars || 0;
+        t.images += e.images || 0;
+        t.byFeature[e.feature] = (t.byFeature[e.feature] || 0) + e.costUsd;
+        t.byModel[e.model || e.method] = (t.byModel[e.model || e.method] || 0) + e.costUsd;
+        if (e.userId != null) t.byUser[e.userId] = (t.byUser[e.userId] || 0) + e.costUsd;
+        if (e.chatId != null) t.byChat[e.chatId] = (t.byChat[e.chatId] || 0) + e.costUsd;
+      }
+      return t;
+    },
+
+    /** Cap in USD for a chat or user (usage_caps.json override, else env default; 0 = none). */
+    getCap(scope, id, period) {
+      if (!caps) caps = readCaps(capsFile);
+      const override = caps[scope]?.[String(id)]?.[period];
+      return override !== undefined ? override : envCap(scope, period);
+    },
+
+    /** Override a cap (null = back to the env default). Saved to usage_caps.json. */
+    setCap(scope, id, period, usd) {
+      if (!CAP_SCOPES.includes(scope) || !CAP_PERIODS.includes(period)) {
+        throw new Error(`Unknown cap ${scope} ${period}. Scopes: ${CAP_SCOPES.join(', ')}; periods: ${CAP_PERIODS.join(', ')}`);
+      }
+      if (!caps) caps = readCaps(capsFile);
+      const key = String(id);
+      const row = { ...(caps[scope][key] || {}) };
+      if (usd === null) delete row[period];
+      else row[period] = Math.max(0, Number(usd) || 0);
+      if (Object.keys(row).length) caps[scope][key] = row;
+      else delete caps[scope][key];
+      try {
+        fs.mkdirSync(path.dirname(capsFile), { recursive: true });
+        fs.writeFileSync(capsFile, JSON.stringify(caps, null, 2), 'utf8');
+      } catch (err) {
+        console.error('Usage caps save failed:', err.message);
+      }
+    },
+
+    /**
+     * Caps reached by a chat and its user.
+     * @returns {Array<{ scope: 'chat'|'user', period: 'daily'|'monthly', capUsd: number, spentUsd: number }>} Empty = within caps
+     */
+    checkCaps({ chatId, userId }) {
+      const hit = [];
+      for (const [scope, id] of [['chat', chatId], ['user', userId]]) {
+        if (id == null) continue;
+        for (const period of CAP_PERIODS) {
+          const capUsd = ledger.getCap(scope, id, period);
+          if (!capUsd) continue;
+          const spentUsd = ledger.totals({ [`${scope}Id`]: id, period }).costUsd;
+          if (spentUsd >= capUsd) hit.push({ scope, period, capUsd, spentUsd });
+        }
+      }
+      return hit;
+    }
+  };
+  return ledger;
+}
+
+/**
+ * getReply options for a reply over a cap (hit from checkCaps): no fine-tuned model, no vision, and the chat model
+ * switched to degradedModel (USAGE_DEGRADED_MODEL; empty = OPENAI_MODEL at full price). Within caps: none.
+ * @param {ReturnType<ReturnType<typeof createUsageLedger>['checkCaps']>} hit
+ * @param {string} [degradedModel]
+ */
+export function degradedReplyOptions(hit, degradedModel) {
+  if (!hit.length) return {};
+  return { useFinetuned: false, textOnly: true, model: degradedModel || undefined };
+}
+
+let defaultLedger = null;
+
+/** The bot's ledger (data/usage/), created on first use. */
+export function getUsageLedger() {
+  if (!defaultLedger) defaultLedger = createUsageLedger();
+  return defaultLedger;
+}
+
+function messagesTokens(messages = []) {
+  let n = 0;
+  for (const m of messages) {
+    if (typeof m.content === 'string') n += countTokens(m.content);
+    else for (const part of m.content || []) if (part.type === 'text') n += countTokens(part.text || '');
+  }
+  return n;
+}
+
+/**
+ * Provider that records every call in the ledger with the given tags. Token counts come from the response
+ * (usage); when a server doesn't send them, they are estimated with gpt-tokenizer.
+ * @param {object} provider - See provider.js
+ * @param {{ chatId?: number|string, userId?: number|string, feature: string }} tags - feature: reply, photo, sticker, morning, ...
+ * @param {ReturnType<typeof createUsageLedger>} [ledger]
+ */
+export function withUsage(provider, tags, ledger = getUsageLedger()) {
+  const { models } = provider;
+  const complete = (method) => async (req) => {
+    const res = await provider[method](req);
+    ledger.record({
+      ...tags,
+      method,
+      model: res.model || req.model || models[method],
+      promptTokens: res.usage?.prompt_tokens ?? messagesTokens(req.messages),
+      completionTokens: res.usage?.completion_tokens ?? (res.content ? countTokens(res.content) : 0)
+    });
+    return res;
+  };
+  return {
+    ...provider,
+    chat: complete('chat'),
+    vision: complete('vision'),
+    async embed(texts, opts = {}) {
+      const vectors = await provider.embed(texts, opts);
+      ledger.record({
+        ...tags,
+        method: 'embed',
+        model: opts.model || models.embedding,
+        promptTokens: texts.reduce((n, t) => n + countTokens(t || ''), 0)
+      });
+      return vectors;
+    },
+    async editImage(req) {
+      const image = await provider.editImage(req);
+      ledger.record({ ...tags, method: 'editImage', model: req.model || models.image, images: 1, quality: req.quality });
+      return image;
+    },
+    async transcribe(req) {
+      const res = await provider.transcribe(req);
+      ledger.record({ ...tags, method: 'transcribe', model: res.model || req.model || models.stt, seconds: req.seconds });
+      return res;
+    }
+  };
+}
@@ -1,6 +1,8 @@
 /**
- * Parses Telegram HTML export (messages.html) into structured conversation JSON.
- * Handles common export structures; adapt selectors in parseMessages() if your export differs.
+ * Parses Telegram exports into structured conversation JSON.
+ * HTML (messages.html): handles common export structures; adapt selectors in parseMessages() if your export differs.
+ * JSON (result.json): see parseJsonExport.js; adds id, replyToId, fromId, ISO date, mediaType.
+ * Both formats can be mixed in one run (EXPORT_PATH / EXPORT_HTML_PATH).
  */
 
 import './polyfillReadableStream.js';
@@ -9,6 +11,9 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import * as cheerio from 'cheerio';
+import { parseJsonExport, isTelegramJsonExport } from './parseJsonExport.js';
+import { dateToTime } from '../corpus/dates.js';
+import { getPersonAliases, normalizeAuthors } from '../corpus/authors.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const DATA_DIR = path.join(__dirname, '../../data');
@@ -102,12 +107,12 @@ function parseMessages($) {
 }
 
 /**
- * Resolve EXPORT_HTML_PATH to a flat list of .html file paths.
- * - Single path: file -> that file; directory -> all .html inside
- * - Comma-separated: each path expanded (dir -> all .html, file -> that file), then merged
+ * Resolve EXPORT_PATH (or EXPORT_HTML_PATH) to a flat list of .html / .json file paths.
+ * - Single path: file -> that file; directory -> all .html and .json inside
+ * - Comma-separated: each path expanded (dir -> all .html/.json, file -> that file), then merged
  */
 function resolveInputPaths() {
-  const raw = process.env.EXPORT_HTML_PATH || DEFAULT_INPUT;
+  const raw = process.env.EXPORT_PATH || process.env.EXPORT_HTML_PATH || DEFAULT_INPUT;
   const cwd = process.cwd();
 
   const resolveOne = (p) => {
@@ -128,7 +133,7 @@ function resolveInputPaths() {
     const stat = fs.statSync(resolved);
     if (stat.isDirectory()) {
       const files = fs.readdirSync(resolved)
-        .filter((f) => f.toLowerCase().endsWith('.html'))
+        .filter((f) => isExportFile(f))
         .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
       for (const f of files) out.push(path.join(resolved, f));
     } else {
@@ -138,46 +143,72 @@ function resolveInputPaths() {
   return out;
 }
 
+function isExportFile(filePath) {
+  const lower = filePath.toLowerCase();
+  return lower.endsWith('.html') || lower.endsWith('.json');
+}
+
+/**
+ * @returns {{ messages: object[], chatKey: string|null }} chatKey: the export's chat (JSON top-level id, else name);
+ *   message ids are only unique within one chat. null for HTML (no message ids).
+ */
+function parseFile(filePath) {
+  if (filePath.toLowerCase().endsWith('.json')) {
+    const json = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!isTelegramJsonExport(json)) {
+      console.warn('Skip (not a Telegram JSON export):', filePath);
+      return { messages: [], chatKey: null };
+    }
+    return { messages: parseJsonExport(json), chatKey: String(json.id ?? json.name ?? filePath) };
+  }
+  const html = fs.readFileSync(filePath, 'utf8');
+  const $ = cheerio.load(html, { decodeEntities: true });
+  return { messages: parseMessages($), chatKey: null };
+}
+
 function main() {
   const paths = resolveInputPaths();
   const missing = paths.filter((p) => !fs.existsSync(p));
 
   if (missing.length > 0) {
     console.error('File(s) not found:', missing.join(', '));
-    console.error('Set EXPORT_HTML_PATH to a file, a folder, or comma-separated paths.');
+    console.error('Set EXPORT_PATH (or EXPORT_HTML_PATH) to a file, a folder, or comma-separated paths.');
     process.exit(1);
   }
 
   const allMessages = [];
+  const seenIds = new Set();
   for (const filePath of paths) {
-    const html = fs.readFileSync(filePath, 'utf8');
-    const $ = cheerio.load(html, { decodeEntities: true });
-    const messages = parseMessages($);
-    allMessages.push(...messages.map((m) => ({ ...m, _source: path.basename(filePath) })));
+    const { messages, chatKey } = parseFile(filePath);
+    for (const m of messages) {
+      // Overlapping JSON exports of the same chat repeat message ids (ids are per chat)
+      if (m.id !== undefined) {
+        const key = `${chatKey}:${m.id}`;
+        if (seenIds.has(key)) continue;
+        seenIds.add(key);
+      }
+      // chatId lets the pairing follow reply links within the right chat (src/corpus/pairs.js)
+      allMessages.push({ ...m, ...(chatKey !== null ? { chatId: chatKey } : {}), _source: path.basename(filePath), _time: dateToTime(m.date) });
+    }
   }
 
   let messages = allMessages
+    // Undated messages go last, in input order (sort is stable)
     .sort((a, b) => {
-      if (!a.date || !b.date) return 0;
-      return String(a.date).localeCompare(String(b.date));
+      if (a._time === null || b._time === null) return (a._time === null) - (b._time === null);
+      return a._time - b._time;
     })
-    .map(({ _source, ...m }) => m);
+    .map(({ _source, _time, ...m }) => m);
 
   const canonicalName = process.env.PERSON_NAME && process.env.PERSON_NAME.trim();
-  let aliases = (process.env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
-  if (canonicalName && canonicalName.includes('Тимохин') && !aliases.includes('Влад')) {
-    aliases = [...aliases, 'Влад'];
-  }
+  const aliases = getPersonAliases();
   if (canonicalName && aliases.length > 0) {
-    const aliasSet = new Set(aliases);
-    messages = messages.map((m) =>
-      aliasSet.has(m.author) ? { ...m, author: canonicalName } : m
-    );
+    messages = normalizeAuthors(messages, canonicalName, aliases).messages;
     console.log(`Normalized author: "${aliases.join('", "')}" -> "${canonicalName}"`);
   }
 
   if (messages.length === 0) {
-    console.error('No messages parsed from any file. Your HTML structure may differ.');
+    console.error('No messages parsed from any file. Your HTML structure may differ (JSON exports: check result.json has "messages").');
     console.error('Adapt selectors in src/parser/parseExport.js (e.g. .message, .from_name, .text).');
     process.exit(1);
   }
@@ -0,0 +1,60 @@
+/**
+ * Parses Telegram Desktop JSON export (result.json) into the conversation.json shape.
+ * Unlike the HTML export, JSON keeps message ids, reply links, sender ids, exact timestamps and media types.
+ */
+
+import { getText } from '../corpus/messages.js';
+
+function getMediaType(m) {
+  if (m.media_type) return m.media_type;
+  if (m.photo) return 'photo';
+  if (m.file) return 'document';
+  if (m.poll) return 'poll';
+  if (m.location_information) return 'location';
+  if (m.contact_information) return 'contact';
+  return undefined;
+}
+
+function toIsoDate(m) {
+  const unix = Number(m.date_unixtime);
+  if (unix > 0) return new Date(unix * 1000).toISOString();
+  if (m.date) {
+    const d = new Date(m.date);
+    if (!Number.isNaN(d.getTime())) return d.toISOString();
+  }
+  return undefined;
+}
+
+/**
+ * @param {object} json - Parsed result.json (single chat export: { name, type, id, messages: [...] })
+ * @returns {Array<{ id: number, author: string, fromId?: string, text: string, date?: string, replyToId?: number, forwardedFrom?: string, mediaType?: string }>}
+ */
+export function parseJsonExport(json) {
+  const list = Array.isArray(json?.messages) ? json.messages : [];
+  const entries = [];
+  for (const m of list) {
+    if (!m || m.type !== 'message') continue;
+    // Flattens entity arrays; newlines are preserved (ladder-style replies depend on them)
+    const text = getText(m.text).trim();
+    const mediaType = getMediaType(m);
+    if (!text && !mediaType) continue;
+
+    const entry = {
+      id: m.id,
+      author: (m.from || '').trim() || 'Unknown',
+      text,
+      date: toIsoDate(m)
+    };
+    if (m.from_id) entry.fromId = String(m.from_id);
+    if (m.reply_to_message_id) entry.replyToId = m.reply_to_message_id;
+    if (m.forwarded_from) entry.forwardedFrom = m.forwarded_from;
+    if (mediaType) entry.mediaType = mediaType;
+    entries.push(entry);
+  }
+  return entries;
+}
+
+/** True if parsed JSON looks like a Telegram Desktop chat export. */
+export function isTelegramJsonExport(json) {
+  return !!json && typeof json === 'object' && Array.isArray(json.messages);
+}
@@ -1,54 +1,25 @@
 /**
  * Builds persona (system prompt + few-shot examples) from data/conversation.json.
  * Set PERSON_NAME in .env to the display name of the person to mimic.
+ * PERSONA_TRAIT_PACK=<name> adds situational trait sections from data/trait-packs/<name>.json (see src/persona/traits.js);
+ * unset, the pack comes from the person's name (defaultTraitPack: "vlad" for Vlad), PERSONA_TRAIT_PACK=none builds without.
+ * With PERSONA_ID set, writes data/personas/<id>/persona.json instead of data/persona.json (see src/persona/registry.js).
  */
 
 import 'dotenv/config';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const CONVERSATION_FILE = path.join(DATA_DIR, 'conversation.json');
-const PERSONA_FILE = path.join(DATA_DIR, 'persona.json');
-
-function loadConversation() {
-  if (!fs.existsSync(CONVERSATION_FILE)) {
-    console.error(`Run "npm run parse" first. Missing: ${CONVERSATION_FILE}`);
-    process.exit(1);
-  }
-  return JSON.parse(fs.readFileSync(CONVERSATION_FILE, 'utf8'));
-}
-
-function getText(obj) {
-  if (typeof obj === 'string') return obj;
-  if (Array.isArray(obj)) return obj.map((e) => (typeof e === 'string' ? e : e?.text || '')).join('');
-  return obj?.text || '';
-}
-
-function getPersonNames() {
-  const main = process.env.PERSON_NAME || 'Vlad';
-  const aliases = (process.env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
-  return [main, ...aliases];
-}
-
-/** Strip leading "HH:MM PersonName " for any of the person's names. */
-function stripTimeAndName(text, personNames) {
-  if (!text || typeof text !== 'string') return text;
-  const names = Array.isArray(personNames) ? personNames : [personNames];
-  for (const name of names) {
-    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const trimmed = text.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim();
-    if (trimmed !== text) return trimmed || text;
-  }
-  return text;
-}
+import { buildDialoguePairs } from '../corpus/pairs.js';
+import { loadConversation } from '../corpus/messages.js';
+import { getPersonName, getPersonNames, createPersonMatcher } from '../corpus/authors.js';
+import { stripTimeAndName, MEDIA_PLACEHOLDER } from '../corpus/clean.js';
+import { STYLE_TOPICS, assignTopic, tagPair } from '../corpus/topics.js';
+import { buildOutputFile } from './registry.js';
+import { loadTraitPack, mineSituationPhrases, buildTraits, defaultTraitPack } from './traits.js';
 
 function extractStyle(messages, personNames) {
-  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
-  const byPerson = messages.filter((m) => set.has(m.author));
-  const texts = byPerson.map((m) => (typeof m.text === 'string' ? m.text : getText(m.text))).filter(Boolean);
+  const isPerson = createPersonMatcher(personNames);
+  const byPerson = messages.filter((m) => isPerson(m.author));
+  const texts = byPerson.map((m) => m.text).filter(Boolean);
   const joined = texts.join(' ');
   const hasEmoji = /[\u{1F300}-\u{1F9FF}]|[\u2600-\u26FF]|[\u2700-\u27BF]/u.test(joined);
   const avgLen = texts.reduce((a, t) => a + t.length, 0) / (texts.length || 1);
@@ -60,24 +31,14 @@ function extractStyle(messages, personNames) {
   };
 }
 
-function buildPairs(messages, personNames, maxPairs = 40) {
-  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
-  const candidatePairs = [];
-  for (let i = 0; i < messages.length - 1; i++) {
-    const curr = messages[i];
-    const next = messages[i + 1];
-    const currText = typeof curr.text === 'string' ? curr.text : getText(curr.text);
-    const nextText = typeof next.text === 'string' ? next.text : getText(next.text);
-    if (!currText || !nextText) continue;
-    if (!set.has(next.author)) continue;
-    if (curr.author === 'Unknown') continue;
-    if (currText.length > 400 || nextText.length > 400) continue;
-    candidatePairs.push({
-      user: currText.trim(),
-      assistant: stripTimeAndName(nextText.trim(), personNames),
-      index: i
-    });
-  }
+function buildCandidatePairs(messages, personNames) {
+  return buildDialoguePairs(messages, personNames, {
+    cleanPersonText: (t) => stripTimeAndName(t, personNames)
+  }).filter((p) => p.user.length <= 400 && p.assistant.length <= 400);
+}
+
+/** Evenly spaced pairs (default few-shot set; also used when a pool must be capped). */
+function pickEvenly(candidatePairs, maxPairs) {
   if (candidatePairs.length <= maxPairs) return candidatePairs.map((p) => ({ user: p.user, assistant: p.assistant }));
   const step = (candidatePairs.length - 1) / (maxPairs - 1);
   const indices = new Set();
@@ -91,64 +52,10 @@ function buildPairs(messages, personNames, maxPairs = 40) {
   }));
 }
 
-const BAD_STYLE_SAMPLE = /^(Photo|Video file|Sticker) Not included|^In reply to this message\s*$|^https?:\/\/\S+$/i;
-
-/** Topic categories for stratified style samples (order = priority). */
-const STYLE_TOPICS = [
-  {
-    key: 'politics',
-    name: 'политика/споры',
-    re: /орк|ватник|мобик|сво\b|завод\b.*(развал|войн|параплан)|войн|украин|вторжен|зона войны|до всех орков|реальность vs|политик/i
-  },
-  {
-    key: 'whining',
-    name: 'нытьё/деньги/жертва',
-    re: /денег нет|нет денег|похуй|нищ|терпил|зп\b|кредит|ипотек|подставили|150к|не по карману|пятизначн|только на себя|реальность\b/i
-  },
-  {
-    key: 'cars',
-    name: 'машины/мото',
-    re: /машин|жигул|omoda|некро|крета|авто|бмв|двигатель|кузов|колес|мопед|мото|гараж|маслорий|тигуан|грант/i
-  },
-  {
-    key: 'invites',
-    name: 'приглашения/планы',
-    re: /поехали|приезжай|тусить|на дачу|рыбалк|погнали|в субботу|в воскресенье|подумаю|надо думать|чуть позже|собраться|в спб|на вышку/i
-  },
-  {
-    key: 'roasts',
-    name: 'подколы/сарказм',
-    re: /конч|заебал|zемский|не выебывайся|конченн|подкол|соскуфился|придурок|дауны|сосите жопу/i
-  },
-  {
-    key: 'work',
-    name: 'работа/смена',
-    re: /завод|смен|пивточк|работа|зарплат|магнит|терплю у магнита/i
-  },
-  {
-    key: 'health',
-    name: 'здоровье',
-    re: /нога|спина|зуб|здоровь|болит|больн|врач|больничн/i
-  },
-  {
-    key: 'games',
-    name: 'игры/контент',
-    re: /кс\b|кромвельк|дока|игр|двач|нормис|видос|пикабу|слово пацана/i
-  },
-  {
-    key: 'support',
-    name: 'сухая поддержка/реакции',
-    re: /\b(угу|окей|красиво|круто|топ\b|найс|респект|соглы|прикольно|возьми|потянем|бери)\b/i
-  }
-];
-
-function assignTopic(text) {
-  if (text.length <= 55 && STYLE_TOPICS.find((t) => t.key === 'support').re.test(text)) return 'support';
-  for (const { key, re } of STYLE_TOPICS) {
-    if (key === 'support') continue;
-    if (re.test(text)) return key;
-  }
-  return 'other';
+/** All candidate pairs tagged with topic and reply length; the bot selects from them per request (src/ai/fewShotSelector.js). */
+function buildPairPool(candidatePairs, maxPool) {
+  const pairs = candidatePairs.length > maxPool ? pickEvenly(candidatePairs, maxPool) : candidatePairs;
+  return pairs.map(tagPair);
 }
 
 function pickFromBucket(arr, count) {
@@ -169,16 +76,16 @@ function pickFromBucket(arr, count) {
 }
 
 function buildStyleSamples(messages, personNames, maxSamples = 75, minLen = 8, maxLen = 280) {
-  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
+  const isPerson = createPersonMatcher(personNames);
   const all = messages
-    .filter((m) => set.has(m.author))
-    .map((m) => stripTimeAndName((typeof m.text === 'string' ? m.text : getText(m.text)).trim(), personNames))
+    .filter((m) => isPerson(m.author))
+    .map((m) => stripTimeAndName(m.text.trim(), personNames))
     .filter(
       (t) =>
         t.length >= minLen &&
         t.length <= maxLen &&
         !/^[\d:]+\s*$/.test(t) &&
-        !BAD_STYLE_SAMPLE.test(t) &&
+        !MEDIA_PLACEHOLDER.test(t) &&
         !/exporting settings to download/i.test(t)
     );
 
@@ -223,22 +130,35 @@ function countByTopic(samples, assignTopicFn) {
 }
 
 function main() {
-  const personName = process.env.PERSON_NAME || 'Vlad';
+  const personName = getPersonName();
   const personNames = getPersonNames();
   const maxPairs = Math.min(Number(process.env.PERSONA_FEW_SHOT_PAIRS) || 55, 70);
   const maxStyleSamples = Math.min(Number(process.env.PERSONA_STYLE_SAMPLES) || 75, 100);
   const messages = loadConversation();
 
   const style = extractStyle(messages, personNames);
-  const pairs = buildPairs(messages, personNames, maxPairs);
+  const candidatePairs = buildCandidatePairs(messages, personNames);
+  const pairs = pickEvenly(candidatePairs, maxPairs);
+  const pairPool = buildPairPool(candidatePairs, Math.max(maxPairs, Number(process.env.PERSONA_PAIR_POOL_MAX) || 5000));
   const { samples: styleSamples, byTopic: styleSamplesByTopic } = buildStyleSamples(messages, personNames, maxStyleSamples);
 
+  const packSetting = process.env.PERSONA_TRAIT_PACK?.trim();
+  const traitPack = packSetting ? (packSetting.toLowerCase() === 'none' ? null : packSetting) : defaultTraitPack(personName);
+  if (!packSetting) {
+    console.warn(
+      traitPack
+        ? `PERSONA_TRAIT_PACK not set: using trait pack "${traitPack}" for ${personName} (PERSONA_TRAIT_PACK=none to build without).`
+        : `PERSONA_TRAIT_PACK not set: ${personName} gets no situational trait sections (set PERSONA_TRAIT_PACK=<name> to add them).`
+    );
+  }
+  const pack = traitPack ? loadTraitPack(traitPack) : null;
+  // Formatting and tone of the person (ladder, no commas...) come from the pack: other personas don't inherit them
+  const packStyle = pack?.style || {};
+
   const styleNotes = [];
   if (style.hasEmoji) styleNotes.push('Uses emoji naturally.');
-  styleNotes.push('Replies: minimum 3–4 lines (ladder), one short phrase per line; never just 1–2 lines.');
-  styleNotes.push('Tone: toxic, negative—irritation, sarcasm, criticism, cynicism, complaining, dismissiveness.');
+  styleNotes.push(...(packStyle.notes || []));
   styleNotes.push('Improvises in character—same tone and slang, but new wording, do not copy examples verbatim.');
-  styleNotes.push('Separates thoughts by newline (ladder), not by periods.');
   styleNotes.push(`Based on ${style.sampleCount} messages from the conversation.`);
 
   const samplesInPrompt = Math.min(styleSamples.length, 65);
@@ -260,25 +180,34 @@ Reply with only the message text. Do not include timestamp or your name at the s
 
 Style: ${styleNotes.join(' ')} Use similar vocabulary, tone, and sentence length. Do not announce you are a bot or break character.${bioLine}${traitsLine}${samplesBlock}`;
 
+  const traits = pack
+    ? buildTraits(pack, mineSituationPhrases(messages, personNames, Number(process.env.PERSONA_TRAIT_PHRASES) || 12))
+    : null;
+
   const persona = {
     personName,
+    traitPack,
+    traits,
+    style: { noCommas: !!packStyle.noCommas, ladder: !!packStyle.ladder },
     systemPrompt,
     fewShotPairs: pairs,
+    pairPool,
     styleSamples,
     meta: {
       messageCount: messages.length,
       personMessageCount: style.sampleCount,
-      styleSamplesByTopic: styleSamplesByTopic || null
+      styleSamplesByTopic: styleSamplesByTopic || null,
+      pairPoolByTopic: countByTopic(pairPool, (p) => p.topic)
     }
   };
 
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-
+  const PERSONA_FILE = buildOutputFile('persona.json');
   fs.writeFileSync(PERSONA_FILE, JSON.stringify(persona, null, 2), 'utf8');
   console.log(`Persona for "${personName}" saved to ${PERSONA_FILE}`);
-  console.log(`System prompt: ${systemPrompt.length} chars. Few-shot pairs: ${pairs.length}. Style samples: ${styleSamples.length}.`);
+  console.log(`System prompt: ${systemPrompt.length} chars. Few-shot pairs: ${pairs.length} (pool ${pairPool.length}). Style samples: ${styleSamples.length}.`);
+  if (traits) {
+    console.log(`Trait sections (${traitPack}): ${traits.sections.map((t) => `${t.key}:${t.phrases.length}`).join(', ')}`);
+  }
   if (persona.meta?.styleSamplesByTopic) {
     console.log('Style samples by topic:', persona.meta.styleSamplesByTopic);
   }
@@ -0,0 +1,85 @@
+/**
+ * Persona registry: several impersonated people from one deployment.
+ * Layout: data/personas/<id>/persona.json (+ rag-index.json, interlocutors.json).
+ * Legacy single-persona layout (data/persona.json, data/rag-index.json) is exposed as persona "default".
+ *
+ * Build steps write into data/personas/<PERSONA_ID>/ when PERSONA_ID is set, otherwise into data/ (legacy).
+ * The bot picks the persona per chat (see src/bot/chatPersonas.js); DEFAULT_PERSONA sets the fallback.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DATA = path.join(process.cwd(), 'data');
+const REL_DATA = path.join(__dirname, '../../data');
+const DATA_DIR = fs.existsSync(ROOT_DATA) ? ROOT_DATA : REL_DATA;
+const PERSONAS_DIR = path.join(DATA_DIR, 'personas');
+
+export const LEGACY_PERSONA_ID = 'default';
+
+const PERSONA_ID_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+export function isValidPersonaId(id) {
+  return typeof id === 'string' && PERSONA_ID_RE.test(id);
+}
+
+function hasLegacyPersona() {
+  return fs.existsSync(path.join(DATA_DIR, 'persona.json'));
+}
+
+function isLegacy(id) {
+  return id === LEGACY_PERSONA_ID && !fs.existsSync(path.join(PERSONAS_DIR, id, 'persona.json')) && hasLegacyPersona();
+}
+
+/** Ids of all built personas (directories with persona.json, plus "default" for the legacy layout). */
+export function listPersonaIds() {
+  const ids = [];
+  if (fs.existsSync(PERSONAS_DIR)) {
+    for (const entry of fs.readdirSync(PERSONAS_DIR, { withFileTypes: true })) {
+      if (!entry.isDirectory() || !isValidPersonaId(entry.name)) continue;
+      if (fs.existsSync(path.join(PERSONAS_DIR, entry.name, 'persona.json'))) ids.push(entry.name);
+    }
+  }
+  if (hasLegacyPersona() && !ids.includes(LEGACY_PERSONA_ID)) ids.unshift(LEGACY_PERSONA_ID);
+  return ids.sort((a, b) => (a === LEGACY_PERSONA_ID ? -1 : b === LEGACY_PERSONA_ID ? 1 : a.localeCompare(b)));
+}
+
+export function personaExists(id) {
+  return listPersonaIds().includes(id);
+}
+
+/** Persona used when a chat has no explicit choice: DEFAULT_PERSONA, else "default", else the first built one. */
+export function defaultPersonaId() {
+  const fromEnv = process.env.DEFAULT_PERSONA?.trim();
+  if (fromEnv) return fromEnv;
+  const ids = listPersonaIds();
+  return ids.includes(LEGACY_PERSONA_ID) ? LEGACY_PERSONA_ID : ids[0] || LEGACY_PERSONA_ID;
+}
+
+/**
+ * Path of a persona artifact (persona.json, rag-index.json, interlocutors.json).
+ * @param {string} [id] - Persona id (default persona when omitted)
+ * @param {string} name - File name
+ */
+export function personaFile(id, name) {
+  const personaId = id || defaultPersonaId();
+  if (isLegacy(personaId)) return path.join(DATA_DIR, name);
+  return path.join(PERSONAS_DIR, personaId, name);
+}
+
+/**
+ * Output path for build steps: data/personas/<PERSONA_ID>/<name> when PERSONA_ID is set, else data/<name>.
+ * Creates the directory.
+ */
+export function buildOutputFile(name) {
+  const id = process.env.PERSONA_ID?.trim();
+  if (id && !isValidPersonaId(id)) {
+    console.error(`Invalid PERSONA_ID "${id}": use letters, digits, "-" or "_" (max 32 chars).`);
+    process.exit(1);
+  }
+  const dir = id ? path.join(PERSONAS_DIR, id) : DATA_DIR;
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, name);
+}
@@ -0,0 +1,178 @@
+/**
+ * Situational trait sections: how the persona behaves in disputes, invites, money talk, health, politics etc.
+ * Hand-written guidance lives in a trait pack (data/trait-packs/<name>.json, PERSONA_TRAIT_PACK at build time);
+ * npm run build-persona merges it with trigger patterns and phrases mined from the conversation
+ * (src/corpus/situations.js) and stores the result as persona.traits.
+ * At request time only the sections whose triggers match the incoming message are added to the prompt.
+ *
+ * persona.traits: { pack, base: string[], sections: [{ key, title, triggers: string[], guidance, phrases: string[] }],
+ *   fallbackReplies: string[] } (fallbackReplies: canned in-character replies for when the model is unreachable)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SITUATIONS } from '../corpus/situations.js';
+import { createPersonMatcher } from '../corpus/authors.js';
+import { stripExportArtifacts, createNameArtifactMatcher, MEDIA_PLACEHOLDER } from '../corpus/clean.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DATA = path.join(process.cwd(), 'data');
+const REL_DATA = path.join(__dirname, '../../data');
+const PACKS_DIR = fs.existsSync(path.join(ROOT_DATA, 'trait-packs'))
+  ? path.join(ROOT_DATA, 'trait-packs')
+  : path.join(REL_DATA, 'trait-packs');
+
+const DEFAULT_MINED_PHRASES = 12;
+
+/**
+ * Read a trait pack: { base: string[], sections: [{ key, title, guidance, triggers?, phrases? }], fallbackReplies?: string[],
+ *   style?: { noCommas?: boolean, ladder?: boolean, notes?: string[] } }.
+ * A section without own triggers uses the trigger of the situation with the same key.
+ * style is the person's formatting (see personaStyle in openaiService.js): noCommas strips commas from replies, ladder asks
+ * for one short phrase per line, notes go into the system prompt's style line at build time.
+ */
+export function loadTraitPack(name) {
+  const file = path.join(PACKS_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Trait pack "${name}" not found: ${file}`);
+  }
+  const pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!Array.isArray(pack.sections)) {
+    throw new Error(`Invalid trait pack ${file}: "sections" must be an array`);
+  }
+  pack.sections.forEach((s, i) => {
+    if (!s || typeof s.key !== 'string' || typeof s.guidance !== 'string') {
+      throw new Error(`Invalid trait pack ${file}: sections[${i}] needs "key" and "guidance"`);
+    }
+    if (!s.triggers?.length && !SITUATIONS[s.key]) {
+      throw new Error(`Invalid trait pack ${file}: sections[${i}] (${s.key}) has no triggers and no matching situation`);
+    }
+  });
+  const replies = pack.fallbackReplies;
+  if (replies !== undefined && !(Array.isArray(replies) && replies.every((r) => typeof r === 'string' && r.trim()))) {
+    throw new Error(`Invalid trait pack ${file}: "fallbackReplies" must be an array of non-empty strings`);
+  }
+  const style = pack.style;
+  if (
+    style !== undefined &&
+    !(style && typeof style === 'object' && !Array.isArray(style) &&
+      ['noCommas', 'ladder'].every((k) => style[k] === undefined || typeof style[k] === 'boolean') &&
+      (style.notes === undefined || (Array.isArray(style.notes) && style.notes.every((n) => typeof n === 'string'))))
+  ) {
+    throw new Error(`Invalid trait pack ${file}: "style" must be { noCommas?: boolean, ladder?: boolean, notes?: string[] }`);
+  }
+  return { name, ...pack };
+}
+
+/**
+ * Most frequent lines the person wrote in each situation (own message or neighbour matches situation.context).
+ * @returns {Record<string, string[]>} Phrases by situation key
+ */
+export function mineSituationPhrases(messages, personNames, maxPerSection = DEFAULT_MINED_PHRASES) {
+  const isPerson = createPersonMatcher(personNames);
+  const hasNameArtifact = createNameArtifactMatcher(personNames);
+  const counts = Object.fromEntries(Object.keys(SITUATIONS).map((key) => [key, new Map()]));
+
+  for (let i = 0; i < messages.length; i++) {
+    const m = messages[i];
+    if (!isPerson(m.author)) continue;
+    const text = stripExportArtifacts(m.text || '', personNames);
+    if (!text || MEDIA_PLACEHOLDER.test(text)) continue;
+    const prev = messages[i - 1]?.text || '';
+    const next = messages[i + 1]?.text || '';
+    const lines = text
+      .split(/\n+/)
+      .map((l) => l.trim())
+      .filter((l) => l.length >= 6 && l.length <= 80 && !/not included|https?:\/\//i.test(l) && !hasNameArtifact(l));
+    if (!lines.length) continue;
+
+    for (const [key, { context }] of Object.entries(SITUATIONS)) {
+      if (!context.test(text) && !context.test(prev) && !context.test(next)) continue;
+      const bucket = counts[key];
+      for (const line of lines) {
+        // Only lines that themselves carry the situation—otherwise every "Ну" next to a money message counts
+        if (!context.test(line)) continue;
+        bucket.set(line, (bucket.get(line) || 0) + 1);
+      }
+    }
+  }
+
+  const out = {};
+  for (const [key, bucket] of Object.entries(counts)) {
+    const seen = new Set();
+    out[key] = [...bucket.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].length - b[0].length)
+      .map(([line]) => line)
+      .filter((line) => {
+        const k = line.toLowerCase().replace(/[^а-яёa-z0-9 ]/gi, '').slice(0, 40);
+        if (seen.has(k)) return false;
+        seen.add(k);
+        return true;
+      })
+      .slice(0, maxPerSection);
+  }
+  return out;
+}
+
+/**
+ * Pack for a persona built without PERSONA_TRAIT_PACK: "vlad" when the name contains Тимохин/Влад (the persona the
+ * pack was written for), else none.
+ * @returns {string|null}
+ */
+export function defaultTraitPack(personName) {
+  const name = (personName || '').toLowerCase();
+  return name.includes('тимохин') || name.includes('влад') ? 'vlad' : null;
+}
+
+/**
+ * Build persona.traits from a pack and phrases mined from the corpus (empty when not building).
+ * @param {object} pack - From loadTraitPack
+ * @param {Record<string, string[]>} [mined] - From mineSituationPhrases
+ */
+export function buildTraits(pack, mined = {}) {
+  return {
+    pack: pack.name,
+    base: pack.base || [],
+    sections: pack.sections.map((s) => {
+      const triggers = s.triggers?.length ? s.triggers : [SITUATIONS[s.key].trigger.source];
+      const phrases = [...new Set([...(s.phrases || []), ...(mined[s.key] || [])])];
+      return { key: s.key, title: s.title || s.key, triggers, guidance: s.guidance, phrases };
+    }),
+    fallbackReplies: pack.fallbackReplies || []
+  };
+}
+
+const compiled = new WeakMap();
+
+function sectionMatches(section, text) {
+  if (!compiled.has(section)) {
+    compiled.set(section, section.triggers.map((t) => new RegExp(t, 'i')));
+  }
+  return compiled.get(section).some((re) => re.test(text));
+}
+
+/** Sections whose triggers match the text (incoming message, quoted message). */
+export function selectTraitSections(traits, text) {
+  if (!traits?.sections?.length || !text) return [];
+  return traits.sections.filter((s) => sectionMatches(s, text));
+}
+
+/**
+ * System prompt block: base traits plus the sections that match the current message.
+ * blocks: the same text split per trait (base first), for the prompt token budget.
+ * @returns {{ prompt: string, blocks: string[], keys: string[] }}
+ */
+export function buildTraitsPrompt(traits, text) {
+  if (!traits) return { prompt: '', blocks: [], keys: [] };
+  const blocks = [...(traits.base || [])];
+  const sections = selectTraitSections(traits, text);
+  for (const s of sections) {
+    let block = s.guidance;
+    if (s.phrases.length) {
+      block += ` Phrases for this (use naturally, do not paste verbatim): ${s.phrases.join(', ')}.`;
+    }
+    blocks.push(block);
+  }
+  return { prompt: blocks.map((b) => `\n\n${b}`).join(''), blocks, keys: sections.map((s) => s.key) };
+}
@@ -0,0 +1,68 @@
+/**
+ * BM25 keyword scoring over chunk texts (the keyword half of hybrid retrieval, see retrieve.js).
+ * Catches exact slang the embeddings blur (zемский, кромвелька). Terms: lowercased words plus a 5-letter
+ * prefix for longer words, so Russian inflections (кромвельку / кромвелькой) still match.
+ */
+
+const K1 = 1.2;
+const B = 0.75;
+const STEM_LENGTH = 5;
+
+/** Terms of a text. */
+export function tokenize(text) {
+  const words = (text || '').toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [];
+  const out = [];
+  for (const w of words) {
+    if (w.length < 2) continue;
+    out.push(w);
+    if (w.length > STEM_LENGTH) out.push(`${w.slice(0, STEM_LENGTH)}~`);
+  }
+  return out;
+}
+
+/**
+ * Build postings for texts.
+ * @param {string[]} texts
+ * @returns {{ postings: Map<string, Array<[number, number]>>, docLengths: Uint32Array, avgLength: number, count: number }}
+ */
+export function buildBm25(texts) {
+  const postings = new Map();
+  const docLengths = new Uint32Array(texts.length);
+  let total = 0;
+  texts.forEach((text, id) => {
+    const terms = tokenize(text);
+    docLengths[id] = terms.length;
+    total += terms.length;
+    const tf = new Map();
+    for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+    for (const [t, n] of tf) {
+      if (!postings.has(t)) postings.set(t, []);
+      postings.get(t).push([id, n]);
+    }
+  });
+  return { postings, docLengths, avgLength: total / (texts.length || 1), count: texts.length };
+}
+
+/**
+ * BM25 scores for a weighted query.
+ * @param {ReturnType<typeof buildBm25>} bm25
+ * @param {Array<{ text: string, weight: number }>} parts - e.g. current message (1) and recent history (0.5)
+ * @returns {Map<number, number>} Score by chunk id (only chunks sharing a term)
+ */
+export function scoreBm25(bm25, parts) {
+  const weights = new Map();
+  for (const { text, weight } of parts) {
+    for (const t of new Set(tokenize(text))) weights.set(t, Math.max(weights.get(t) || 0, weight));
+  }
+  const scores = new Map();
+  for (const [term, weight] of weights) {
+    const list = bm25.postings.get(term);
+    if (!list) continue;
+    const idf = Math.log(1 + (bm25.count - list.length + 0.5) / (list.length + 0.5));
+    for (const [id, tf] of list) {
+      const norm = tf + K1 * (1 - B + (B * bm25.docLengths[id]) / bm25.avgLength);
+      scores.set(id, (scores.get(id) || 0) + weight * idf * ((tf * (K1 + 1)) / norm));
+    }
+  }
+  return scores;
+}
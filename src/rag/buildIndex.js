@@ -1,113 +1,95 @@
 /**
- * Build RAG index: embed (other -> person) dialogue pairs, save to data/rag-index.json.
+ * Build RAG index: embed (other -> person) dialogue pairs, save to data/rag-index.json
+ * (data/personas/<PERSONA_ID>/rag-index.json when PERSONA_ID is set).
+ * Each chunk keeps metadata for retrieval filters and boosts: author of the prompt, date (YYYY-MM-DD) and topic.
+ * Embeddings come from EMBEDDING_PROVIDER (openai or local, see embeddings.js); the index records which one built it.
+ * Incremental (see indexUpdate.js): embeddings of unchanged chunks are reused, only new chunks are embedded, and
+ * embedded batches are checkpointed to rag-index.progress.jsonl, so an interrupted run resumes where it stopped.
+ * Dry run (npm run build-rag -- --dry-run, or RAG_DRY_RUN=1): report what would be embedded, call nothing.
  * Run after: npm run parse, npm run build-persona.
  */
 
 import 'dotenv/config';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
+import { buildDialoguePairs } from '../corpus/pairs.js';
+import { loadConversation } from '../corpus/messages.js';
+import { getPersonName, getPersonNames } from '../corpus/authors.js';
+import { stripTimeAndName } from '../corpus/clean.js';
+import { dateToTime } from '../corpus/dates.js';
+import { assignTopic } from '../corpus/topics.js';
+import { buildOutputFile } from '../persona/registry.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { chunkHash } from './indexStore.js';
+import { updateIndex } from './indexUpdate.js';
+import { createLlmProvider } from '../llm/provider.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const CONVERSATION_FILE = path.join(DATA_DIR, 'conversation.json');
-const PERSONA_FILE = path.join(DATA_DIR, 'persona.json');
-const RAG_INDEX_FILE = path.join(DATA_DIR, 'rag-index.json');
-const BATCH_SIZE = 100;
-const EMBEDDING_MODEL = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
-
-function getPersonNames() {
-  const main = process.env.PERSON_NAME || 'Vlad';
-  const aliases = (process.env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
-  return [main, ...aliases];
-}
-
-function stripTimeAndName(text, personNames) {
-  if (!text || typeof text !== 'string') return text;
-  const names = Array.isArray(personNames) ? personNames : [personNames];
-  for (const name of names) {
-    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const trimmed = text.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim();
-    if (trimmed !== text) return trimmed || text;
-  }
-  return text;
-}
-
-function getText(obj) {
-  if (typeof obj === 'string') return obj;
-  if (Array.isArray(obj)) return obj.map((e) => (typeof e === 'string' ? e : e?.text || '')).join('');
-  return obj?.text || '';
-}
+const PERSONA_FILE = buildOutputFile('persona.json');
+const RAG_INDEX_FILE = buildOutputFile('rag-index.json');
+const DRY_RUN = process.argv.includes('--dry-run') || process.env.RAG_DRY_RUN === '1';
 
 function buildChunks(messages, personName, personNames) {
-  const set = new Set(Array.isArray(personNames) ? personNames : [personNames]);
+  const pairs = buildDialoguePairs(messages, personNames, {
+    cleanPersonText: (t) => stripTimeAndName(t, personNames)
+  });
   const chunks = [];
-  for (let i = 0; i < messages.length - 1; i++) {
-    const curr = messages[i];
-    const next = messages[i + 1];
-    if (!set.has(next.author)) continue;
-    if (curr.author === 'Unknown') continue;
-    const userText = (typeof curr.text === 'string' ? curr.text : getText(curr.text)).trim();
-    let vladText = (typeof next.text === 'string' ? next.text : getText(next.text)).trim();
-    vladText = stripTimeAndName(vladText, personNames);
-    if (!userText || !vladText) continue;
+  for (const { user: userText, assistant: vladText, userAuthor, date } of pairs) {
     if (userText.length > 600 || vladText.length > 600) continue;
+    const text = `User: ${userText}\n${personName}: ${vladText}`;
+    const time = dateToTime(date);
     chunks.push({
       userText,
-      text: `User: ${userText}\n${personName}: ${vladText}`
+      text,
+      hash: chunkHash(text),
+      author: userAuthor || null,
+      date: time !== null ? new Date(time).toISOString().slice(0, 10) : null,
+      topic: assignTopic(`${userText}\n${vladText}`)
     });
   }
   return chunks;
 }
 
 async function main() {
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.error('OPENAI_API_KEY is not set');
+  let provider;
+  try {
+    // Dry run never calls the API, so it doesn't need a key
+    provider = createEmbeddingProvider(DRY_RUN ? { llm: createLlmProvider({ apiKey: process.env.OPENAI_API_KEY || 'dry-run' }) } : {});
+  } catch (err) {
+    console.error(err.message);
     process.exit(1);
   }
 
-  if (!fs.existsSync(CONVERSATION_FILE)) {
-    console.error('Run npm run parse first. Missing:', CONVERSATION_FILE);
-    process.exit(1);
-  }
-
-  let personName = process.env.PERSON_NAME || 'Vlad';
+  let personName = getPersonName();
   if (fs.existsSync(PERSONA_FILE)) {
     const persona = JSON.parse(fs.readFileSync(PERSONA_FILE, 'utf8'));
     personName = persona.personName || personName;
   }
   const personNames = getPersonNames();
 
-  const messages = JSON.parse(fs.readFileSync(CONVERSATION_FILE, 'utf8'));
+  const messages = loadConversation();
   const chunks = buildChunks(messages, personName, personNames);
-  console.log(`Built ${chunks.length} dialogue chunks for "${personName}". Embedding...`);
-
-  const openai = new OpenAI({ apiKey });
-  const index = { personName, chunks: [] };
-
-  for (let i = 0; i < chunks.length; i += BATCH_SIZE) {
-    const batch = chunks.slice(i, i + BATCH_SIZE);
-    const inputs = batch.map((c) => c.userText);
-    const res = await openai.embeddings.create({
-      model: EMBEDDING_MODEL,
-      input: inputs
-    });
-    const ordered = res.data.sort((a, b) => a.index - b.index);
-    for (let j = 0; j < batch.length; j++) {
-      index.chunks.push({
-        embedding: ordered[j].embedding,
-        text: batch[j].text
-      });
-    }
-    process.stdout.write(`\r${Math.min(i + BATCH_SIZE, chunks.length)} / ${chunks.length}`);
+  const ivf = (process.env.RAG_ANN || '').trim().toLowerCase() === 'ivf' ? { lists: Number(process.env.RAG_IVF_LISTS) || undefined } : null;
+  const { todo, embedding, ann } = await updateIndex(RAG_INDEX_FILE, {
+    personName,
+    chunks,
+    provider,
+    ivf,
+    dryRun: DRY_RUN,
+    onPlan: (plan) => {
+      console.log(`Built ${chunks.length} dialogue chunks for "${personName}" (${provider.name}, ${provider.model}).`);
+      console.log(`Reused: ${plan.reused}, resumed from checkpoint: ${plan.resumed}, to embed: ${plan.todo.length}, removed: ${plan.removed}.`);
+    },
+    onBatch: (done, total) => process.stdout.write(`\r${done} / ${total}`)
+  });
+  if (DRY_RUN) {
+    const chars = todo.reduce((a, c) => a + c.userText.length, 0);
+    console.log(`Dry run: would embed ${todo.length} chunks (~${Math.ceil(chars / 4)} tokens). Nothing written.`);
+    return;
   }
-  console.log('');
-
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-  fs.writeFileSync(RAG_INDEX_FILE, JSON.stringify(index), 'utf8');
-  console.log(`RAG index saved to ${RAG_INDEX_FILE} (${index.chunks.length} chunks).`);
+  if (todo.length) console.log('');
+  console.log(
+    `RAG index saved to ${RAG_INDEX_FILE} (${chunks.length} chunks, ${embedding.provider}, dim ${embedding.dimension}` +
+      `${ann ? `, IVF ${ann.centroidCount} lists` : ''}).`
+  );
 }
 
 main().catch((err) => {
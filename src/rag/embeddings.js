@@ -0,0 +1,128 @@
+/**
+ * Embedding providers for the RAG index (build and retrieve use the same one).
+ * EMBEDDING_PROVIDER=openai (default): embeddings of the LLM provider (src/llm/provider.js: OpenAI or an
+ * OpenAI-compatible server; OPENAI_EMBEDDING_MODEL), one API call per query.
+ * EMBEDDING_PROVIDER=local: character n-gram + word hashing vectorizer in pure JS—no network, no cost
+ * (EMBEDDING_LOCAL_DIM, default 1024).
+ *
+ * Provider: { name, model, dimension, batchSize, embed(texts) => Promise<number[][]> }.
+ * The index records { provider, model, dimension }; retrieve refuses an index built by another provider.
+ */
+
+import { getLlmProvider } from '../llm/provider.js';
+
+export const EMBEDDING_PROVIDERS = ['openai', 'local'];
+
+function createOpenAIProvider({ llm = getLlmProvider(), model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small' } = {}) {
+  const provider = {
+    name: 'openai',
+    model,
+    dimension: null, // known after the first call
+    batchSize: 100,
+    async embed(texts) {
+      const vectors = await llm.embed(texts, { model });
+      if (vectors.length) provider.dimension = vectors[0].length;
+      return vectors;
+    }
+  };
+  return provider;
+}
+
+/** FNV-1a 32-bit hash. */
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const NGRAM_SIZES = [3, 4, 5];
+
+/** Features of a text: words and character n-grams of each word (padded, so prefixes/suffixes count). */
+function features(text) {
+  const out = [];
+  const words = (text || '').toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [];
+  for (const w of words) {
+    out.push(`w:${w}`);
+    const padded = ` ${w} `;
+    for (const n of NGRAM_SIZES) {
+      for (let i = 0; i + n <= padded.length; i++) out.push(padded.slice(i, i + n));
+    }
+  }
+  return out;
+}
+
+/** Hashing vectorizer: signed feature hashing, sublinear tf, L2-normalized. */
+export function hashingVector(text, dimension) {
+  const vec = new Float64Array(dimension);
+  const counts = new Map();
+  for (const f of features(text)) counts.set(f, (counts.get(f) || 0) + 1);
+  for (const [f, tf] of counts) {
+    const h = hash32(f);
+    const sign = h & 0x80000000 ? -1 : 1;
+    // Words carry more meaning than single n-grams
+    const weight = (f.startsWith('w:') ? 2 : 1) * (1 + Math.log(tf));
+    vec[h % dimension] += sign * weight;
+  }
+  let norm = 0;
+  for (let i = 0; i < dimension; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  return Array.from(vec, (v) => (norm ? v / norm : 0));
+}
+
+function createLocalProvider({ dimension = Number(process.env.EMBEDDING_LOCAL_DIM) || 1024 } = {}) {
+  return {
+    name: 'local',
+    model: 'hashing-char-ngram-v1',
+    dimension,
+    batchSize: 500,
+    async embed(texts) {
+      return texts.map((t) => hashingVector(t, dimension));
+    }
+  };
+}
+
+/**
+ * Embedding provider chosen by EMBEDDING_PROVIDER (or opts.name).
+ * @param {{ name?: string, llm?: object }} [opts] - llm: LLM provider for EMBEDDING_PROVIDER=openai (default: getLlmProvider())
+ */
+export function createEmbeddingProvider(opts = {}) {
+  const name = (opts.name || process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase();
+  if (name === 'openai') return createOpenAIProvider(opts);
+  if (name === 'local') return createLocalProvider(opts);
+  throw new Error(`Unknown EMBEDDING_PROVIDER "${name}". Use one of: ${EMBEDDING_PROVIDERS.join(', ')}`);
+}
+
+/** What the index stores about the provider that built it. */
+export function describeProvider(provider) {
+  return { provider: provider.name, model: provider.model, dimension: provider.dimension };
+}
+
+/**
+ * Embedding info of an index. Indexes built before providers existed were OpenAI with the configured model.
+ */
+export function indexEmbeddingInfo(index) {
+  if (index.embedding) return index.embedding;
+  return {
+    provider: 'openai',
+    model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    dimension: index.dimension ?? index.chunks?.[0]?.embedding?.length ?? null
+  };
+}
+
+/** Throw if the index was built by another provider / model / dimension than the one configured now. */
+export function assertCompatible(index, provider) {
+  const info = indexEmbeddingInfo(index);
+  const mismatch =
+    info.provider !== provider.name ||
+    (info.model && provider.model && info.model !== provider.model) ||
+    (info.dimension && provider.dimension && info.dimension !== provider.dimension);
+  if (mismatch) {
+    throw new Error(
+      `RAG index was built with ${info.provider}/${info.model} (dim ${info.dimension}), ` +
+        `but EMBEDDING_PROVIDER is ${provider.name}/${provider.model}. Rebuild with npm run build-rag.`
+    );
+  }
+}
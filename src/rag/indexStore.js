@@ -0,0 +1,131 @@
+/**
+ * RAG index on disk: a small JSON manifest (rag-index.json) next to binary/compact parts:
+ * - rag-index.vectors.bin: all embeddings as one little-endian Float32Array, L2-normalized (dot product = cosine)
+ * - rag-index.chunks.json: chunk texts, content hashes (and metadata) in vector order
+ * - rag-index.ivf.json: optional IVF partition for approximate search (see vectorSearch.js)
+ *
+ * Indexes from before the binary format (version 1: chunks with inline float arrays) are still readable.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export const INDEX_VERSION = 2;
+
+/** Content hash of a chunk text: unchanged chunks keep their embedding across rebuilds. */
+export function chunkHash(text) {
+  return crypto.createHash('sha1').update(text, 'utf8').digest('hex');
+}
+
+/** L2-normalize in place; returns the vector. */
+export function normalizeVector(vec) {
+  let norm = 0;
+  for (let i = 0; i < vec.length; i++) norm += vec[i] * vec[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  }
+  return vec;
+}
+
+/** Pack embeddings (number[][]) into one normalized Float32Array. */
+export function packVectors(embeddings, dimension) {
+  const out = new Float32Array(embeddings.length * dimension);
+  embeddings.forEach((e, i) => {
+    if (e.length !== dimension) throw new Error(`Embedding ${i} has dimension ${e.length}, expected ${dimension}`);
+    out.set(e, i * dimension);
+    normalizeVector(out.subarray(i * dimension, (i + 1) * dimension));
+  });
+  return out;
+}
+
+/** Path of an index part next to the manifest (rag-index.json -> rag-index<suffix>). */
+export function sidecar(manifestFile, suffix) {
+  return manifestFile.replace(/\.json$/, '') + suffix;
+}
+
+function writeAtomic(file, data) {
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, data);
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * Write the index: parts first, manifest last (a reader never sees a manifest without its parts).
+ * @param {string} file - Manifest path (…/rag-index.json)
+ * @param {{ personName: string, embedding: object, chunks: object[], vectors: Float32Array, ann?: object|null }} index
+ */
+export function writeIndex(file, { personName, embedding, chunks, vectors, ann = null }) {
+  const dimension = embedding.dimension;
+  if (vectors.length !== chunks.length * dimension) {
+    throw new Error(`Index has ${chunks.length} chunks but ${vectors.length / dimension} vectors`);
+  }
+  const vectorsFile = sidecar(file, '.vectors.bin');
+  const chunksFile = sidecar(file, '.chunks.json');
+  const annFile = sidecar(file, '.ivf.json');
+  writeAtomic(vectorsFile, Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength));
+  writeAtomic(chunksFile, JSON.stringify(chunks));
+  if (ann) writeAtomic(annFile, JSON.stringify(ann));
+  else if (fs.existsSync(annFile)) fs.unlinkSync(annFile);
+
+  const manifest = {
+    version: INDEX_VERSION,
+    personName,
+    embedding,
+    count: chunks.length,
+    dimension,
+    normalized: true,
+    endianness: 'le',
+    files: {
+      vectors: path.basename(vectorsFile),
+      chunks: path.basename(chunksFile),
+      ann: ann ? path.basename(annFile) : null
+    },
+    ann: ann ? { type: ann.type, lists: ann.centroidCount } : null,
+    builtAt: new Date().toISOString()
+  };
+  writeAtomic(file, JSON.stringify(manifest, null, 2));
+  return manifest;
+}
+
+function readFloat32(file, expectedLength) {
+  const buf = fs.readFileSync(file);
+  // Float32Array views need 4-byte alignment; copy when the Buffer sits at an odd offset
+  const aligned = buf.byteOffset % 4 === 0 ? buf : Buffer.from(buf);
+  const vectors = new Float32Array(aligned.buffer, aligned.byteOffset, aligned.byteLength / 4);
+  if (vectors.length !== expectedLength) {
+    throw new Error(`${file}: expected ${expectedLength} floats, found ${vectors.length}`);
+  }
+  return vectors;
+}
+
+/** Convert a version 1 index (inline float arrays) to the in-memory shape. */
+function fromLegacy(json) {
+  const chunks = json.chunks || [];
+  const dimension = chunks[0]?.embedding?.length || 0;
+  return {
+    manifest: { version: 1, personName: json.personName, embedding: json.embedding, count: chunks.length, dimension },
+    chunks: chunks.map(({ embedding, ...rest }) => rest),
+    vectors: packVectors(chunks.map((c) => c.embedding), dimension),
+    dimension,
+    ann: null
+  };
+}
+
+/**
+ * Read an index into memory.
+ * @returns {{ manifest: object, chunks: object[], vectors: Float32Array, dimension: number, ann: object|null }}
+ */
+export function readIndex(file) {
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!json.version || json.version < 2) return fromLegacy(json);
+  if (json.endianness && json.endianness !== 'le') throw new Error(`${file}: unsupported endianness ${json.endianness}`);
+  const dir = path.dirname(file);
+  const chunks = JSON.parse(fs.readFileSync(path.join(dir, json.files.chunks), 'utf8'));
+  const vectors = readFloat32(path.join(dir, json.files.vectors), json.count * json.dimension);
+  const ann = json.files.ann && fs.existsSync(path.join(dir, json.files.ann))
+    ? JSON.parse(fs.readFileSync(path.join(dir, json.files.ann), 'utf8'))
+    : null;
+  return { manifest: json, chunks, vectors, dimension: json.dimension, ann };
+}
@@ -0,0 +1,149 @@
+/**
+ * Incremental RAG index update (used by buildIndex.js).
+ * Chunks are identified by a hash of their text: embeddings of unchanged chunks are reused from the existing index,
+ * only new chunks are embedded and chunks that are gone are dropped. Embedded batches are checkpointed to
+ * <index>.progress.jsonl (first line { provider, model }, then { hash, embedding } per chunk), so an interrupted
+ * run resumes where it stopped; the checkpoint is deleted once the index is written.
+ */
+
+import fs from 'fs';
+import { describeProvider, assertCompatible } from './embeddings.js';
+import { writeIndex, readIndex, packVectors, chunkHash, sidecar } from './indexStore.js';
+import { buildIvf } from './vectorSearch.js';
+
+export function progressFile(indexFile) {
+  return sidecar(indexFile, '.progress.jsonl');
+}
+
+/** Embeddings of the existing index by chunk hash (empty when missing or built by another provider). */
+export function loadExistingEmbeddings(indexFile, provider) {
+  const out = new Map();
+  if (!fs.existsSync(indexFile)) return out;
+  let index;
+  try {
+    index = readIndex(indexFile);
+    assertCompatible(index.manifest, provider);
+  } catch (err) {
+    console.warn(`Existing index not reused: ${err.message}`);
+    return out;
+  }
+  const { vectors, dimension } = index;
+  index.chunks.forEach((c, i) => {
+    out.set(c.hash || chunkHash(c.text), vectors.subarray(i * dimension, (i + 1) * dimension));
+  });
+  return out;
+}
+
+/** Embeddings checkpointed by an interrupted run; a checkpoint of another provider or model is discarded. */
+export function loadProgress(indexFile, provider) {
+  const file = progressFile(indexFile);
+  const out = new Map();
+  if (!fs.existsSync(file)) return out;
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+  try {
+    const header = JSON.parse(lines[0]);
+    if (header.provider !== provider.name || header.model !== provider.model) {
+      console.warn(`Discarding checkpoint from ${header.provider}/${header.model}.`);
+      fs.unlinkSync(file);
+      return out;
+    }
+  } catch (_) {
+    fs.unlinkSync(file);
+    return out;
+  }
+  for (const line of lines.slice(1)) {
+    try {
+      const { hash, embedding } = JSON.parse(line);
+      out.set(hash, embedding);
+    } catch (_) {
+      // Last line may be cut off by the interruption
+    }
+  }
+  return out;
+}
+
+function appendProgress(indexFile, provider, entries) {
+  const file = progressFile(indexFile);
+  if (!fs.existsSync(file)) {
+    fs.writeFileSync(file, JSON.stringify({ provider: provider.name, model: provider.model }) + '\n', 'utf8');
+  }
+  fs.appendFileSync(file, entries.map((e) => JSON.stringify(e)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * What an update has to do: chunks to embed (first of each hash), and counts of reused, resumed and removed ones.
+ * @param {Array<{ hash: string }>} chunks
+ * @param {Map<string, ArrayLike<number>>} existing - Embeddings of the existing index by hash
+ * @param {Map<string, ArrayLike<number>>} progress - Checkpointed embeddings by hash
+ */
+export function planUpdate(chunks, existing, progress) {
+  const currentHashes = new Set(chunks.map((c) => c.hash));
+  const todo = [];
+  const queued = new Set();
+  for (const c of chunks) {
+    if (existing.has(c.hash) || progress.has(c.hash) || queued.has(c.hash)) continue;
+    queued.add(c.hash);
+    todo.push(c);
+  }
+  return {
+    todo,
+    reused: chunks.filter((c) => existing.has(c.hash)).length,
+    resumed: chunks.filter((c) => !existing.has(c.hash) && progress.has(c.hash)).length,
+    removed: [...existing.keys()].filter((h) => !currentHashes.has(h)).length
+  };
+}
+
+/**
+ * Bring the index at `indexFile` up to date with `chunks`, embedding only what the index and checkpoint lack.
+ * @param {string} indexFile
+ * @param {object} opts
+ * @param {string} opts.personName
+ * @param {Array<{ userText: string, text: string, hash: string, author?: string|null, date?: string|null, topic?: string|null }>} opts.chunks
+ *   Chunks in index order; userText is what gets embedded
+ * @param {object} opts.provider - Embedding provider (see embeddings.js)
+ * @param {boolean} [opts.dryRun] - Only plan: embed and write nothing
+ * @param {(plan: { todo: object[], reused: number, resumed: number, removed: number }) => void} [opts.onPlan]
+ *   Called with the plan before anything is embedded
+ * @param {{ lists?: number }|null} [opts.ivf] - Build an IVF partition with these options
+ * @param {(done: number, total: number) => void} [opts.onBatch] - Called after each embedded batch
+ * @returns {Promise<{ todo: object[], reused: number, resumed: number, removed: number, embedding?: object, ann?: object|null }>}
+ */
+export async function updateIndex(indexFile, { personName, chunks, provider, dryRun = false, ivf = null, onPlan, onBatch }) {
+  const existing = loadExistingEmbeddings(indexFile, provider);
+  const progress = loadProgress(indexFile, provider);
+  const plan = planUpdate(chunks, existing, progress);
+  onPlan?.(plan);
+  if (dryRun) return plan;
+
+  const { todo } = plan;
+  const batchSize = provider.batchSize;
+  for (let i = 0; i < todo.length; i += batchSize) {
+    const batch = todo.slice(i, i + batchSize);
+    const vectors = await provider.embed(batch.map((c) => c.userText));
+    const entries = batch.map((c, j) => ({ hash: c.hash, embedding: vectors[j] }));
+    appendProgress(indexFile, provider, entries);
+    for (const e of entries) progress.set(e.hash, e.embedding);
+    onBatch?.(Math.min(i + batchSize, todo.length), todo.length);
+  }
+
+  const embedding = describeProvider(provider);
+  if (!embedding.dimension) {
+    // Nothing new was embedded (OpenAI reports the dimension with the first response)
+    embedding.dimension = existing.values().next().value?.length ?? progress.values().next().value?.length ?? 0;
+  }
+  const vectors = packVectors(
+    chunks.map((c) => existing.get(c.hash) || progress.get(c.hash)),
+    embedding.dimension
+  );
+  const indexChunks = chunks.map(({ text, hash, author, date, topic }) => ({ text, hash, author, date, topic }));
+  let ann = null;
+  if (ivf && indexChunks.length > 0) {
+    console.log('Building IVF partition...');
+    ann = buildIvf(vectors, embedding.dimension, ivf);
+  }
+
+  writeIndex(indexFile, { personName, embedding, chunks: indexChunks, vectors, ann });
+  const checkpoint = progressFile(indexFile);
+  if (fs.existsSync(checkpoint)) fs.unlinkSync(checkpoint);
+  return { ...plan, embedding, ann };
+}
@@ -1,69 +1,239 @@
 /**
- * Load RAG index and retrieve top-k chunks by similarity to query.
+ * Load RAG index and retrieve top-k chunks for a message: hybrid retrieval.
+ * 1. Candidates: vector top-N (dot product over normalized vectors, IVF when the index has it) ∪ BM25 top-N.
+ * 2. Score: RAG_HYBRID_ALPHA · vector + (1 − alpha) · BM25 (normalized to the best candidate); drop below RAG_MIN_SCORE.
+ * 3. MMR (RAG_MMR_LAMBDA) so the picked chunks aren't near-duplicates of each other.
+ * The query is the current message plus the last RAG_HISTORY_TURNS history turns (weighted lower).
+ * Filters (hard) and boosts (added to the score) use chunk metadata from build-rag: author of the prompt, date, topic.
+ * Indexes built before metadata existed have none: filters then match nothing, boosts do nothing (rebuild—it reuses embeddings).
+ * The query is embedded with the configured provider (EMBEDDING_PROVIDER, see embeddings.js),
+ * which must be the one that built the index. RAG_DEBUG=1 logs the picked chunks and their scores.
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import OpenAI from 'openai';
-
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const ROOT_DATA = path.join(process.cwd(), 'data');
-const REL_DATA = path.join(__dirname, '../../data');
-const RAG_INDEX_FILE = fs.existsSync(path.join(ROOT_DATA, 'rag-index.json'))
-  ? path.join(ROOT_DATA, 'rag-index.json')
-  : path.join(REL_DATA, 'rag-index.json');
-
-let cachedIndex = null;
-
-function loadIndex() {
-  if (cachedIndex) return cachedIndex;
-  if (!fs.existsSync(RAG_INDEX_FILE)) return null;
-  cachedIndex = JSON.parse(fs.readFileSync(RAG_INDEX_FILE, 'utf8'));
-  return cachedIndex;
+import { personaFile } from '../persona/registry.js';
+import { createEmbeddingProvider, assertCompatible } from './embeddings.js';
+import { getLlmProvider } from '../llm/provider.js';
+import { readIndex, normalizeVector } from './indexStore.js';
+import { search, searchExact, toQueryVector, vectorScore, chunkSimilarity } from './vectorSearch.js';
+import { buildBm25, scoreBm25 } from './bm25.js';
+
+const CANDIDATES = Math.max(10, Number(process.env.RAG_CANDIDATES) || 60);
+const HYBRID_ALPHA = Math.min(1, Math.max(0, Number(process.env.RAG_HYBRID_ALPHA ?? 0.7)));
+const MIN_SCORE = Number(process.env.RAG_MIN_SCORE ?? 0.2);
+const MMR_LAMBDA = Math.min(1, Math.max(0, Number(process.env.RAG_MMR_LAMBDA ?? 0.7)));
+const HISTORY_TURNS = Math.max(0, Number(process.env.RAG_HISTORY_TURNS ?? 2));
+const HISTORY_WEIGHT = 0.35;
+const BOOST_AUTHOR = Number(process.env.RAG_BOOST_INTERLOCUTOR ?? 0.1);
+const BOOST_TOPIC = Number(process.env.RAG_BOOST_TOPIC ?? 0.05);
+const BOOST_RECENT = Number(process.env.RAG_BOOST_RECENT ?? 0.05);
+
+/** Parsed indexes by file path (one per persona). */
+const cachedIndexes = new Map();
+/** Embedding providers by LLM provider (EMBEDDING_PROVIDER=openai) or by name (local). */
+const providersByLlm = new WeakMap();
+const providersByName = new Map();
+
+function getProvider(name, llm) {
+  if (name !== 'openai') {
+    if (!providersByName.has(name)) providersByName.set(name, createEmbeddingProvider({ name }));
+    return providersByName.get(name);
+  }
+  const model = llm || getLlmProvider();
+  if (!providersByLlm.has(model)) providersByLlm.set(model, createEmbeddingProvider({ name, llm: model }));
+  return providersByLlm.get(model);
+}
+
+function indexFile(personaId) {
+  return personaFile(personaId, 'rag-index.json');
+}
+
+/** Load a persona's index (manifest + Float32 vectors, see indexStore.js); cached until restart. */
+export function loadIndex(personaId) {
+  const file = indexFile(personaId);
+  if (cachedIndexes.has(file)) return cachedIndexes.get(file);
+  if (!fs.existsSync(file)) return null;
+  const index = readIndex(file);
+  cachedIndexes.set(file, index);
+  return index;
+}
+
+function bm25Of(index) {
+  if (!index.bm25) index.bm25 = buildBm25(index.chunks.map((c) => c.text));
+  return index.bm25;
+}
+
+function historyText(history) {
+  if (!HISTORY_TURNS || !Array.isArray(history)) return '';
+  return history.slice(-HISTORY_TURNS).map((h) => h.text).filter(Boolean).join('\n');
+}
+
+/** Author of a chunk is one of the names (export display names / profile aliases, case-insensitive). */
+function matchesAuthor(author, names) {
+  if (!author || !names?.length) return false;
+  const a = author.trim().toLowerCase();
+  return names.some((name) => {
+    const n = (name || '').trim().toLowerCase().replace(/^@/, '');
+    return n && (a === n || (n.length >= 3 && a.includes(n)));
+  });
+}
+
+/** Chunk date (YYYY-MM-DD) compared with a bound of any precision: 2021, "2021-06", "2021-06-01". */
+export function compareDate(date, bound) {
+  const b = String(bound);
+  const d = date.slice(0, b.length);
+  return d < b ? -1 : d > b ? 1 : 0;
+}
+
+/** Chunk matches every given filter field; a chunk without the field (old index) never matches it. */
+export function passesFilter(chunk, filter) {
+  if (filter.authors?.length && !matchesAuthor(chunk.author, filter.authors)) return false;
+  if (filter.topics?.length && !filter.topics.includes(chunk.topic)) return false;
+  if (filter.since && (!chunk.date || compareDate(chunk.date, filter.since) < 0)) return false;
+  if (filter.until && (!chunk.date || compareDate(chunk.date, filter.until) > 0)) return false;
+  return true;
 }
 
-function cosineSimilarity(a, b) {
-  if (a.length !== b.length) return 0;
-  let dot = 0;
-  let normA = 0;
-  let normB = 0;
-  for (let i = 0; i < a.length; i++) {
-    dot += a[i] * b[i];
-    normA += a[i] * a[i];
-    normB += b[i] * b[i];
+/** Start date (YYYY-MM-DD) of the last `years` years of the chat (counted back from its newest chunk). */
+export function recentSince(index, years) {
+  if (index.newestDate === undefined) {
+    index.newestDate = index.chunks.reduce((max, c) => (c.date && c.date > max ? c.date : max), '') || null;
   }
-  const denom = Math.sqrt(normA) * Math.sqrt(normB);
-  return denom === 0 ? 0 : dot / denom;
+  if (!index.newestDate || !years) return null;
+  const d = new Date(index.newestDate);
+  d.setUTCFullYear(d.getUTCFullYear() - years);
+  return d.toISOString().slice(0, 10);
+}
+
+/** Score bonus from boosts: same interlocutor, topic of the message, recent years. */
+export function boostOf(chunk, boost, since) {
+  let out = 0;
+  if (boost.authors?.length && matchesAuthor(chunk.author, boost.authors)) out += BOOST_AUTHOR;
+  if (boost.topics?.length && boost.topics.includes(chunk.topic)) out += BOOST_TOPIC;
+  if (since && chunk.date && chunk.date >= since) out += BOOST_RECENT;
+  return out;
+}
+
+/** Pick up to k chunks by MMR: relevance minus similarity to what is already picked. */
+function mmr(index, candidates, k) {
+  const picked = [];
+  const left = [...candidates];
+  while (picked.length < k && left.length) {
+    let bestIdx = 0;
+    let best = -Infinity;
+    for (let i = 0; i < left.length; i++) {
+      let maxSim = 0;
+      for (const p of picked) maxSim = Math.max(maxSim, chunkSimilarity(index, left[i].id, p.id));
+      const value = MMR_LAMBDA * left[i].score - (1 - MMR_LAMBDA) * maxSim;
+      if (value > best) {
+        best = value;
+        bestIdx = i;
+      }
+    }
+    picked.push(left.splice(bestIdx, 1)[0]);
+  }
+  return picked;
 }
 
 /**
- * Retrieve top-k dialogue chunks most similar to the query.
+ * Retrieve dialogue chunks for a message, with scores (hybrid BM25 + vector, min-score cutoff, MMR).
  * @param {string} query - User message
- * @param {number} k - Number of chunks to return
- * @param {string} apiKey - OpenAI API key for embedding the query
- * @returns {Promise<string[]>} Array of "User: ...\nName: ..." strings
+ * @param {number} k - Max chunks to return
+ * @param {string} [personaId] - Persona whose index to search (default persona when omitted)
+ * @param {object} [opts]
+ * @param {Array<{ role: string, text: string }>} [opts.history] - Recent turns to add to the query
+ * @param {object} [opts.llm] - LLM provider that embeds the query (EMBEDDING_PROVIDER=openai; default: getLlmProvider())
+ * @param {{ authors?: string[], topics?: string[], since?: string|number, until?: string|number }} [opts.filter]
+ *   Only chunks matching all given fields (authors: prompt author names; since/until: year or date, inclusive)
+ * @param {{ authors?: string[], topics?: string[], recentYears?: number }} [opts.boost]
+ *   Prefer chunks of these authors (RAG_BOOST_INTERLOCUTOR), topics (RAG_BOOST_TOPIC), the last N years (RAG_BOOST_RECENT)
+ * @returns {Promise<Array<{ id: number, text: string, score: number, vector: number, keyword: number, boost: number,
+ *   author: string|null, date: string|null, topic: string|null }>>}
+ * @throws If the index was built by a different embedding provider
  */
-export async function retrieve(query, k = 12, apiKey) {
-  const index = loadIndex();
+export async function retrieveScored(query, k = 12, personaId, opts = {}) {
+  const index = loadIndex(personaId);
   if (!index || !index.chunks || index.chunks.length === 0) return [];
 
-  if (!apiKey) return [];
-  const openai = new OpenAI({ apiKey });
-  const res = await openai.embeddings.create({
-    model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
-    input: query
-  });
-  const queryEmbedding = res.data[0].embedding;
-
-  const withScore = index.chunks.map((c) => ({
-    text: c.text,
-    score: cosineSimilarity(queryEmbedding, c.embedding)
-  }));
-  withScore.sort((a, b) => b.score - a.score);
-  return withScore.slice(0, k).map((c) => c.text);
+  const providerName = (process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase();
+  const provider = getProvider(providerName, opts.llm);
+  assertCompatible(index.manifest, provider);
+  const context = historyText(opts.history);
+  const embeddings = await provider.embed(context ? [query, context] : [query]);
+  assertCompatible(index.manifest, provider); // OpenAI dimension is known only after the first call
+
+  const queryVec = toQueryVector(embeddings[0]);
+  if (embeddings[1]) {
+    const contextVec = toQueryVector(embeddings[1]);
+    for (let d = 0; d < queryVec.length; d++) queryVec[d] += HISTORY_WEIGHT * contextVec[d];
+    normalizeVector(queryVec);
+  }
+
+  const filter = opts.filter || {};
+  const boost = opts.boost || {};
+  const filtered = Object.values(filter).some((v) => (Array.isArray(v) ? v.length : v));
+  const allowed = filtered ? index.chunks.flatMap((c, id) => (passesFilter(c, filter) ? [id] : [])) : null;
+  if (allowed && !allowed.length) return [];
+  const allowedSet = allowed && new Set(allowed);
+
+  const keywordScores = scoreBm25(bm25Of(index), [
+    { text: query, weight: 1 },
+    { text: context, weight: HISTORY_WEIGHT }
+  ]);
+  const vectorHits = allowed ? searchExact(index, queryVec, CANDIDATES, allowed) : search(index, queryVec, CANDIDATES);
+  const ids = new Set(vectorHits.map(({ id }) => id));
+  [...keywordScores.entries()]
+    .filter(([id]) => !allowedSet || allowedSet.has(id))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, CANDIDATES)
+    .forEach(([id]) => ids.add(id));
+  const maxKeyword = Math.max(0, ...[...ids].map((id) => keywordScores.get(id) || 0));
+  const since = recentSince(index, boost.recentYears);
+
+  const candidates = [...ids]
+    .map((id) => {
+      const chunk = index.chunks[id];
+      const vector = vectorScore(index, queryVec, id);
+      const keyword = maxKeyword > 0 ? (keywordScores.get(id) || 0) / maxKeyword : 0;
+      const relevance = HYBRID_ALPHA * vector + (1 - HYBRID_ALPHA) * keyword;
+      const bonus = relevance >= MIN_SCORE ? boostOf(chunk, boost, since) : 0;
+      return {
+        id,
+        text: chunk.text,
+        score: relevance + bonus,
+        vector,
+        keyword,
+        boost: bonus,
+        author: chunk.author ?? null,
+        date: chunk.date ?? null,
+        topic: chunk.topic ?? null
+      };
+    })
+    .filter((c) => c.score >= MIN_SCORE)
+    .sort((a, b) => b.score - a.score);
+
+  const picked = mmr(index, candidates, k);
+  if (process.env.RAG_DEBUG === '1') {
+    console.log(`RAG: ${picked.length}/${candidates.length} chunks for "${query.slice(0, 60)}"`);
+    for (const c of picked) {
+      const meta = [c.author, c.date, c.topic].filter(Boolean).join(', ');
+      console.log(
+        `  ${c.score.toFixed(3)} (vec ${c.vector.toFixed(3)}, kw ${c.keyword.toFixed(3)}, boost ${c.boost.toFixed(2)})` +
+          `${meta ? ` [${meta}]` : ''} ${c.text.replace(/\n/g, ' | ').slice(0, 100)}`
+      );
+    }
+  }
+  return picked;
+}
+
+/**
+ * Retrieve dialogue chunks for a message (texts only, see retrieveScored).
+ * @returns {Promise<string[]>} Array of "User: ...\nName: ..." strings
+ */
+export async function retrieve(query, k = 12, personaId, opts = {}) {
+  return (await retrieveScored(query, k, personaId, opts)).map((c) => c.text);
 }
 
-export function hasRagIndex() {
-  return fs.existsSync(RAG_INDEX_FILE);
+export function hasRagIndex(personaId) {
+  return fs.existsSync(indexFile(personaId));
 }
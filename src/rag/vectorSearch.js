@@ -0,0 +1,183 @@
+/**
+ * Vector search over normalized Float32 vectors (dot product = cosine similarity).
+ * - searchExact: full scan, the default for small indexes
+ * - IVF (inverted file): spherical k-means partitions vectors into lists at build time; a query scans only
+ *   the nprobe lists with the closest centroids. Built with RAG_ANN=ivf (npm run build-rag).
+ */
+
+import { normalizeVector } from './indexStore.js';
+
+function dot(vectors, offset, query, dimension) {
+  let s = 0;
+  for (let d = 0; d < dimension; d++) s += vectors[offset + d] * query[d];
+  return s;
+}
+
+/** Keeps the k best { id, score } in descending order. */
+function createTopK(k) {
+  const items = [];
+  return {
+    push(id, score) {
+      if (items.length === k && score <= items[k - 1].score) return;
+      let i = items.length < k ? items.length : k - 1;
+      if (items.length < k) items.push(null);
+      while (i > 0 && items[i - 1].score < score) {
+        items[i] = items[i - 1];
+        i--;
+      }
+      items[i] = { id, score };
+    },
+    items
+  };
+}
+
+/** Score of one chunk against the query. */
+export function vectorScore(index, query, id) {
+  return dot(index.vectors, id * index.dimension, query, index.dimension);
+}
+
+/** Cosine similarity between two chunks of the index. */
+export function chunkSimilarity(index, a, b) {
+  const { vectors, dimension } = index;
+  return dot(vectors, a * dimension, vectors.subarray(b * dimension, (b + 1) * dimension), dimension);
+}
+
+/** Query as a normalized Float32Array. */
+export function toQueryVector(embedding) {
+  return normalizeVector(Float32Array.from(embedding));
+}
+
+/**
+ * Exact top-k over all vectors.
+ * @param {{ vectors: Float32Array, dimension: number }} index
+ * @returns {Array<{ id: number, score: number }>}
+ */
+export function searchExact(index, query, k, ids = null) {
+  const { vectors, dimension } = index;
+  const top = createTopK(k);
+  if (ids) {
+    for (const id of ids) top.push(id, dot(vectors, id * dimension, query, dimension));
+  } else {
+    const count = vectors.length / dimension;
+    for (let id = 0; id < count; id++) top.push(id, dot(vectors, id * dimension, query, dimension));
+  }
+  return top.items;
+}
+
+/** Small seeded PRNG (mulberry32) so IVF builds are reproducible. */
+function rng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function nearestCentroid(centroids, listCount, vectors, offset, dimension) {
+  let best = 0;
+  let bestScore = -Infinity;
+  for (let c = 0; c < listCount; c++) {
+    let s = 0;
+    for (let d = 0; d < dimension; d++) s += centroids[c * dimension + d] * vectors[offset + d];
+    if (s > bestScore) {
+      bestScore = s;
+      best = c;
+    }
+  }
+  return best;
+}
+
+/**
+ * Build an IVF partition with spherical k-means.
+ * @param {Float32Array} vectors - Normalized vectors
+ * @param {number} dimension
+ * @param {{ lists?: number, iterations?: number, sampleSize?: number, seed?: number }} [opts]
+ * @returns {{ type: 'ivf', centroidCount: number, dimension: number, centroids: number[], lists: number[][] }}
+ */
+export function buildIvf(vectors, dimension, opts = {}) {
+  const count = vectors.length / dimension;
+  const listCount = Math.max(1, Math.min(count, opts.lists || Math.round(Math.sqrt(count))));
+  const iterations = opts.iterations || 10;
+  const random = rng(opts.seed || 42);
+
+  // Train on a sample; assign everything at the end
+  const sampleSize = Math.min(count, opts.sampleSize || Math.max(listCount * 40, 5000));
+  let sample = [];
+  if (sampleSize === count) {
+    sample = Array.from({ length: count }, (_, id) => id);
+    // Shuffle so the first listCount ids (initial centroids) are spread over the chat
+    for (let i = count - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [sample[i], sample[j]] = [sample[j], sample[i]];
+    }
+  } else {
+    const picked = new Set();
+    while (sample.length < sampleSize) {
+      const id = Math.floor(random() * count);
+      if (picked.has(id)) continue;
+      picked.add(id);
+      sample.push(id);
+    }
+  }
+
+  const centroids = new Float32Array(listCount * dimension);
+  for (let c = 0; c < listCount; c++) {
+    centroids.set(vectors.subarray(sample[c] * dimension, (sample[c] + 1) * dimension), c * dimension);
+  }
+
+  const assignment = new Int32Array(sample.length);
+  for (let iter = 0; iter < iterations; iter++) {
+    for (let i = 0; i < sample.length; i++) {
+      assignment[i] = nearestCentroid(centroids, listCount, vectors, sample[i] * dimension, dimension);
+    }
+    const sums = new Float32Array(listCount * dimension);
+    const sizes = new Int32Array(listCount);
+    for (let i = 0; i < sample.length; i++) {
+      const c = assignment[i];
+      sizes[c]++;
+      const off = sample[i] * dimension;
+      for (let d = 0; d < dimension; d++) sums[c * dimension + d] += vectors[off + d];
+    }
+    for (let c = 0; c < listCount; c++) {
+      if (sizes[c]) {
+        centroids.set(normalizeVector(sums.subarray(c * dimension, (c + 1) * dimension)), c * dimension);
+      } else {
+        // Empty list: restart it from a random sample vector
+        const id = sample[Math.floor(random() * sample.length)];
+        centroids.set(vectors.subarray(id * dimension, (id + 1) * dimension), c * dimension);
+      }
+    }
+  }
+
+  const lists = Array.from({ length: listCount }, () => []);
+  for (let id = 0; id < count; id++) {
+    lists[nearestCentroid(centroids, listCount, vectors, id * dimension, dimension)].push(id);
+  }
+  return { type: 'ivf', centroidCount: listCount, dimension, centroids: Array.from(centroids), lists };
+}
+
+/**
+ * Approximate top-k: scan the nprobe lists whose centroids are closest to the query.
+ * @param {{ vectors: Float32Array, dimension: number, ann: object }} index
+ */
+export function searchIvf(index, query, k, nprobe = 8) {
+  const { ann, dimension } = index;
+  if (!ann._centroids) ann._centroids = Float32Array.from(ann.centroids);
+  const probe = createTopK(Math.min(nprobe, ann.centroidCount));
+  for (let c = 0; c < ann.centroidCount; c++) probe.push(c, dot(ann._centroids, c * dimension, query, dimension));
+  const ids = probe.items.flatMap(({ id }) => ann.lists[id]);
+  return searchExact(index, query, k, ids);
+}
+
+/**
+ * Top-k with IVF when the index has it and RAG_ANN isn't "off"; exact otherwise.
+ * @returns {Array<{ id: number, score: number }>}
+ */
+export function search(index, query, k) {
+  const useAnn = index.ann?.type === 'ivf' && (process.env.RAG_ANN || '').trim().toLowerCase() !== 'off';
+  if (!useAnn) return searchExact(index, query, k);
+  return searchIvf(index, query, k, Number(process.env.RAG_ANN_NPROBE) || 8);
+}
@@ -8,41 +8,17 @@
 import 'dotenv/config';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { loadConversation, DATA_DIR } from '../corpus/messages.js';
+import { getPersonNames } from '../corpus/authors.js';
+import { stripTimeAndName } from '../corpus/clean.js';
+import { buildDialoguePairs } from '../corpus/pairs.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, '../../data');
-const CONVERSATION_FILE = path.join(DATA_DIR, 'conversation.json');
-const PERSONA_FILE = path.join(DATA_DIR, 'persona.json');
 const OUTPUT_FILE = path.join(DATA_DIR, 'attitude-table.md');
 
 const MAX_SAMPLES = 4;
 const OBSCENITY = /(блять|сука|нахуй|пиздец|ебать|хуй|бля|ебало)/i;
 const FRIENDLY = /(лады|окей|крутяк|ага|пон|го\s|норм|кста)/i;
 
-function getText(obj) {
-  if (typeof obj === 'string') return obj;
-  if (Array.isArray(obj)) return obj.map((e) => (typeof e === 'string' ? e : e?.text || '')).join('');
-  return obj?.text || '';
-}
-
-function getPersonNames() {
-  const main = process.env.PERSON_NAME || 'Vlad';
-  const aliases = (process.env.PERSON_ALIASES || '').split(',').map((s) => s.trim()).filter(Boolean);
-  return [main, ...aliases];
-}
-
-function stripTimeAndName(text, personNames) {
-  if (!text || typeof text !== 'string') return text;
-  const names = Array.isArray(personNames) ? personNames : [personNames];
-  for (const name of names) {
-    const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const trimmed = text.replace(new RegExp(`^\\d{1,2}:\\d{2}\\s+${escaped}\\s*`, 'i'), '').trim();
-    if (trimmed !== text) return trimmed || text;
-  }
-  return text;
-}
-
 function inferAttitude(replies) {
   if (!replies.length) return '—';
   const texts = replies.map((r) => r.slice(0, 500));
@@ -63,27 +39,18 @@ function inferAttitude(replies) {
 }
 
 function main() {
-  if (!fs.existsSync(CONVERSATION_FILE)) {
-    console.error('Run npm run parse first. Missing:', CONVERSATION_FILE);
-    process.exit(1);
-  }
-
+  const messages = loadConversation();
   const personNames = getPersonNames();
-  const set = new Set(personNames);
-  const messages = JSON.parse(fs.readFileSync(CONVERSATION_FILE, 'utf8'));
+  const pairs = buildDialoguePairs(messages, personNames, {
+    cleanPersonText: (t) => stripTimeAndName(t, personNames)
+  });
 
   const byInterlocutor = new Map();
-  for (let i = 0; i < messages.length - 1; i++) {
-    const curr = messages[i];
-    const next = messages[i + 1];
-    if (!set.has(next.author)) continue;
-    const replyText = (typeof next.text === 'string' ? next.text : getText(next.text)).trim();
-    const cleaned = stripTimeAndName(replyText, personNames);
-    if (!cleaned) continue;
-    if (!byInterlocutor.has(curr.author)) {
-      byInterlocutor.set(curr.author, []);
+  for (const { userAuthor, assistant } of pairs) {
+    if (!byInterlocutor.has(userAuthor)) {
+      byInterlocutor.set(userAuthor, []);
     }
-    byInterlocutor.get(curr.author).push(cleaned);
+    byInterlocutor.get(userAuthor).push(assistant);
   }
 
   const rows = [];
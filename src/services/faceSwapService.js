@@ -1,24 +1,119 @@
 /**
- * Face swap via OpenAI images.edit (gpt-image-1, input_fidelity=high).
- * Combines a meme template image with Vlad's face photo into a side-by-side
+ * Face swap via the LLM provider's image edit (OpenAI images.edit, gpt-image-1 / OPENAI_IMAGE_MODEL).
+ * Combines a meme template image with a face photo into a side-by-side
  * composite, then prompts the model to replace the character's face.
+ *
+ * Faces: a registry per persona, data/faceswap/faces/<personaId>/<name>.jpg|png|webp. The persona's own face is
+ * default.jpg there, else the legacy data/faceswap/vlad_face.jpg.
+ * Uploaded images (user templates, see templateGallery.js) go through prepareUpload: sharp checks format and size
+ * (FACESWAP_MAX_UPLOAD_MB, FACESWAP_MIN_SIDE, FACESWAP_MAX_PIXELS) and re-encodes them as JPEG.
+ * Composites are cached in data/faceswap/cache/ by template + face (FACESWAP_CACHE_MAX files).
  */
 
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
 import sharp from 'sharp';
-import OpenAI, { toFile } from 'openai';
+import { getLlmProvider } from '../llm/provider.js';
 
 const FACE_DIR = path.join(process.cwd(), 'data', 'faceswap');
 const VLAD_FACE = path.join(FACE_DIR, 'vlad_face.jpg');
+const FACES_DIR = path.join(FACE_DIR, 'faces');
+const CACHE_DIR = path.join(FACE_DIR, 'cache');
+export const FACESWAP_QUALITY = process.env.FACESWAP_QUALITY?.trim() || 'medium';
+
+const MAX_UPLOAD_BYTES = Math.max(0, Number(process.env.FACESWAP_MAX_UPLOAD_MB ?? 10) || 0) * 1024 * 1024;
+const MIN_SIDE = Math.max(1, Number(process.env.FACESWAP_MIN_SIDE) || 256);
+const MAX_PIXELS = Math.max(1, Number(process.env.FACESWAP_MAX_PIXELS) || 40e6);
+const CACHE_MAX = Math.max(0, Number(process.env.FACESWAP_CACHE_MAX ?? 100) || 0);
+/** Uploads are stored with their longest side at most this (the composite halves are 512 wide anyway). */
+const STORED_MAX_SIDE = 1536;
+const UPLOAD_FORMATS = ['jpeg', 'png', 'webp'];
+const FACE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const FACE_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,31}$/i;
+
+/** Image edit prompt for templates without their own (photos users upload with /swap). */
+export const GENERIC_SWAP_PROMPT =
+  'The image has two halves. Left: a photo. Right: a reference photo of a face. Output only the left photo, with the face of ' +
+  'the main person in it replaced by the face from the right photo. Keep the pose, clothes, background, any text and the ' +
+  'style of the photo exactly as they are. Match skin tone, lighting and angle so the face looks natural.';
+
+/**
+ * Faces registered for a persona: data/faceswap/faces/<personaId>/<name>.<jpg|png|webp>.
+ * @returns {Array<{ name: string, path: string }>} Sorted by name
+ */
+export function listFaces(personaId) {
+  const dir = path.join(FACES_DIR, path.basename(personaId || ''));
+  if (!personaId || !fs.existsSync(dir)) return [];
+  const faces = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const ext = path.extname(entry.name).toLowerCase();
+    const name = path.basename(entry.name, path.extname(entry.name)).toLowerCase();
+    if (!entry.isFile() || !FACE_EXTENSIONS.includes(ext) || !FACE_NAME_RE.test(name)) continue;
+    faces.push({ name, path: path.join(dir, entry.name) });
+  }
+  return faces.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * A face of the persona's registry by name; without a name the persona's own face (default.*, else vlad_face.jpg).
+ * @returns {{ name: string, path: string }|null} null when there is no such face
+ */
+export function findFace(personaId, name) {
+  const faces = listFaces(personaId);
+  if (name && name.toLowerCase() !== 'default') return faces.find((f) => f.name === name.toLowerCase()) || null;
+  const own = faces.find((f) => f.name === 'default');
+  if (own) return own;
+  return fs.existsSync(VLAD_FACE) ? { name: 'default', path: VLAD_FACE } : null;
+}
+
+function uploadError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
 
 /**
- * Combine meme template (left) and Vlad's face (right) into one image.
+ * Validate an uploaded image and normalize it for storage: EXIF rotation applied, longest side at most 1536 px, JPEG.
+ * Errors carry code: TOO_LARGE (bytes or pixels), TOO_SMALL, BAD_FORMAT, BAD_IMAGE (sharp can't read it).
+ * @param {Buffer} buffer
+ * @returns {Promise<{ image: Buffer, width: number, height: number }>}
+ */
+export async function prepareUpload(buffer) {
+  if (MAX_UPLOAD_BYTES && buffer.length > MAX_UPLOAD_BYTES) {
+    throw uploadError(`Image is ${(buffer.length / 1024 / 1024).toFixed(1)} MB, max ${MAX_UPLOAD_BYTES / 1024 / 1024} MB`, 'TOO_LARGE');
+  }
+  let meta;
+  try {
+    meta = await sharp(buffer, { limitInputPixels: false }).metadata();
+  } catch (err) {
+    throw uploadError(`Not an image: ${err.message}`, 'BAD_IMAGE');
+  }
+  if (!UPLOAD_FORMATS.includes(meta.format)) throw uploadError(`Unsupported format ${meta.format || 'unknown'}`, 'BAD_FORMAT');
+  if (meta.width * meta.height > MAX_PIXELS) throw uploadError(`Image is ${meta.width}x${meta.height}, over ${MAX_PIXELS} pixels`, 'TOO_LARGE');
+  if (Math.min(meta.width, meta.height) < MIN_SIDE) {
+    throw uploadError(`Image is ${meta.width}x${meta.height}, sides must be at least ${MIN_SIDE} px`, 'TOO_SMALL');
+  }
+  try {
+    const { data, info } = await sharp(buffer, { limitInputPixels: MAX_PIXELS })
+      .rotate()
+      .resize({ width: STORED_MAX_SIDE, height: STORED_MAX_SIDE, fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#fff' })
+      .jpeg({ quality: 90 })
+      .toBuffer({ resolveWithObject: true });
+    return { image: data, width: info.width, height: info.height };
+  } catch (err) {
+    throw uploadError(`Image can't be decoded: ${err.message}`, 'BAD_IMAGE');
+  }
+}
+
+/**
+ * Combine meme template (left) and a face (right) into one image.
  * The composite lets gpt-image-1 see both faces in a single high-fidelity pass.
  */
-async function buildComposite(templatePath) {
-  const leftBuf = await sharp(templatePath).resize({ width: 512 }).jpeg().toBuffer();
-  const rightBuf = await sharp(VLAD_FACE).resize({ width: 512 }).jpeg().toBuffer();
+async function buildComposite(templatePath, facePath) {
+  const leftBuf = await sharp(templatePath).rotate().resize({ width: 512 }).jpeg().toBuffer();
+  const rightBuf = await sharp(facePath).rotate().resize({ width: 512 }).jpeg().toBuffer();
 
   const leftMeta = await sharp(leftBuf).metadata();
   const rightMeta = await sharp(rightBuf).metadata();
@@ -38,47 +133,106 @@ async function buildComposite(templatePath) {
     .toBuffer();
 }
 
+/** Keep the newest CACHE_MAX composites. */
+function pruneCache() {
+  try {
+    const files = fs
+      .readdirSync(CACHE_DIR)
+      .filter((f) => f.endsWith('.jpg'))
+      .map((f) => ({ file: path.join(CACHE_DIR, f), mtime: fs.statSync(path.join(CACHE_DIR, f)).mtimeMs }))
+      .sort((a, b) => b.mtime - a.mtime);
+    for (const { file } of files.slice(CACHE_MAX)) fs.unlinkSync(file);
+  } catch (err) {
+    console.error('FaceSwap: cache prune failed:', err.message);
+  }
+}
+
+/** Composite from data/faceswap/cache/ when template and face are unchanged (path, size, mtime), else built and stored. */
+async function cachedComposite(templatePath, facePath) {
+  if (!CACHE_MAX) return buildComposite(templatePath, facePath);
+  const stamp = (p) => {
+    const st = fs.statSync(p);
+    return `${path.resolve(p)}:${st.size}:${st.mtimeMs}`;
+  };
+  const key = crypto.createHash('sha1').update(`${stamp(templatePath)}|${stamp(facePath)}`).digest('hex');
+  const file = path.join(CACHE_DIR, `${key}.jpg`);
+  if (fs.existsSync(file)) {
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return fs.readFileSync(file);
+  }
+  const composite = await buildComposite(templatePath, facePath);
+  try {
+    if (!fs.existsSync(CACHE_DIR)) fs.mkdirSync(CACHE_DIR, { recursive: true });
+    fs.writeFileSync(file, composite);
+    pruneCache();
+  } catch (err) {
+    console.error('FaceSwap: cache write failed:', err.message);
+  }
+  return composite;
+}
+
+const TEMPLATES_DIR = path.join(FACE_DIR, 'templates');
+const MANIFEST_FILE = path.join(TEMPLATES_DIR, 'manifest.json');
+
+/**
+ * Meme templates from data/faceswap/templates/manifest.json:
+ * { "<id>": { "file": "dengi.jpg", "title": "...", "prompt": "<image edit prompt>", "captionHint": "<what the meme shows, for the caption>" } }.
+ * Entries whose image is missing are skipped.
+ * @returns {Array<{ id: string, file: string, path: string, title: string, prompt: string, captionHint: string }>}
+ */
+export function loadMemeTemplates() {
+  let manifest = {};
+  try {
+    if (fs.existsSync(MANIFEST_FILE)) manifest = JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')) || {};
+  } catch (err) {
+    console.error('FaceSwap: manifest.json invalid:', err.message);
+    return [];
+  }
+  const templates = [];
+  for (const [id, t] of Object.entries(manifest)) {
+    if (!t?.file || !t.prompt) continue;
+    const file = path.join(TEMPLATES_DIR, path.basename(t.file));
+    if (!fs.existsSync(file)) {
+      console.warn(`FaceSwap: template "${id}" image not found: ${file}`);
+      continue;
+    }
+    templates.push({ id, file: t.file, path: file, title: t.title || id, prompt: t.prompt, captionHint: t.captionHint || t.title || id });
+  }
+  return templates;
+}
+
 /**
  * Generate a face-swapped meme image.
  * @param {string} templatePath - absolute path to the meme template image
  * @param {string} faceSwapPrompt - prompt describing the swap
- * @returns {Promise<Buffer|null>} JPEG buffer or null on failure
+ * @param {{ llm?: object, quality?: 'low'|'medium'|'high', facePath?: string }} [opts] - LLM provider (default: the
+ *   env-configured one); quality (default FACESWAP_QUALITY, medium) sets the price, see IMAGE_PRICES in src/llm/usage.js;
+ *   facePath: face to put in (default vlad_face.jpg, see findFace)
+ * @returns {Promise<Buffer|null>} PNG buffer (the image edit's output) or null on failure
  */
-export async function swapFace(templatePath, faceSwapPrompt) {
+export async function swapFace(templatePath, faceSwapPrompt, opts = {}) {
+  const facePath = opts.facePath || VLAD_FACE;
   if (!fs.existsSync(templatePath)) {
     console.error('FaceSwap: template not found:', templatePath);
     return null;
   }
-  if (!fs.existsSync(VLAD_FACE)) {
-    console.error('FaceSwap: vlad_face.jpg not found at', VLAD_FACE);
-    return null;
-  }
-
-  const apiKey = process.env.OPENAI_API_KEY;
-  if (!apiKey) {
-    console.error('FaceSwap: OPENAI_API_KEY not set');
+  if (!fs.existsSync(facePath)) {
+    console.error('FaceSwap: face image not found at', facePath);
     return null;
   }
 
   try {
-    const composite = await buildComposite(templatePath);
-    const file = await toFile(composite, 'composite.jpg', { type: 'image/jpeg' });
-
-    const openai = new OpenAI({ apiKey });
-    const result = await openai.images.edit({
-      model: 'gpt-image-1',
-      image: file,
+    const llm = opts.llm || getLlmProvider();
+    const composite = await cachedComposite(templatePath, facePath);
+    return await llm.editImage({
+      image: composite,
+      filename: 'composite.jpg',
+      mimeType: 'image/jpeg',
       prompt: faceSwapPrompt,
-      quality: 'medium',
+      quality: opts.quality || FACESWAP_QUALITY,
       size: '1024x1024'
     });
-
-    const b64 = result.data?.[0]?.b64_json;
-    if (!b64) {
-      console.error('FaceSwap: empty b64 in response');
-      return null;
-    }
-    return Buffer.from(b64, 'base64');
   } catch (err) {
     console.error('FaceSwap failed:', err.message);
     return null;
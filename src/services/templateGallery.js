@@ -0,0 +1,117 @@
+/**
+ * Template gallery: photos users turned into face-swap templates with /swap, per chat.
+ * Images in data/faceswap/gallery/<id>.jpg (already validated and normalized, see prepareUpload in
+ * faceSwapService.js), index in data/faceswap/gallery/gallery.json, so the gallery survives restarts.
+ * The same Telegram photo (file_unique_id) is stored once per chat. FACESWAP_GALLERY_MAX templates per chat
+ * (default 20); the oldest go first. userId is the photo's author, addedBy whoever ran /swap on it; either of them
+ * (or a chat admin) may remove it.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const GALLERY_DIR = path.join(process.cwd(), 'data', 'faceswap', 'gallery');
+const STATE_FILE = path.join(GALLERY_DIR, 'gallery.json');
+const MAX_PER_CHAT = Math.max(1, Number(process.env.FACESWAP_GALLERY_MAX) || 20);
+
+function readState() {
+  try {
+    if (fs.existsSync(STATE_FILE)) {
+      const data = JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+      if (data && Array.isArray(data.templates)) return { nextId: Number(data.nextId) || 1, templates: data.templates };
+    }
+  } catch (_) {}
+  return { nextId: 1, templates: [] };
+}
+
+function writeState(state) {
+  try {
+    if (!fs.existsSync(GALLERY_DIR)) fs.mkdirSync(GALLERY_DIR, { recursive: true });
+    fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+  } catch (err) {
+    console.error('Template gallery save failed:', err.message);
+  }
+}
+
+let state = null;
+
+function load() {
+  if (!state) state = readState();
+  return state;
+}
+
+function withPath(t) {
+  return { ...t, path: path.join(GALLERY_DIR, t.file) };
+}
+
+function deleteImage(t) {
+  try {
+    fs.unlinkSync(path.join(GALLERY_DIR, t.file));
+  } catch (_) {}
+}
+
+/**
+ * Templates of a chat whose image is on disk, newest first.
+ * @returns {Array<{ id: number, chatId: string, sourceId?: string, userId?: string, addedBy?: string, author?: string, addedAt: string, width: number, height: number, file: string, path: string }>}
+ */
+export function listTemplates(chatId) {
+  return load()
+    .templates.filter((t) => t.chatId === String(chatId) && fs.existsSync(path.join(GALLERY_DIR, t.file)))
+    .reverse()
+    .map(withPath);
+}
+
+/** One template of a chat by id; null when unknown (or from another chat). */
+export function getTemplate(chatId, id) {
+  return listTemplates(chatId).find((t) => t.id === Number(id)) || null;
+}
+
+/** The chat's template made from this Telegram photo (file_unique_id), if there is one. */
+export function findBySource(chatId, sourceId) {
+  if (!sourceId) return null;
+  return listTemplates(chatId).find((t) => t.sourceId === sourceId) || null;
+}
+
+/**
+ * Store a template for a chat; over FACESWAP_GALLERY_MAX the chat's oldest are removed.
+ * @param {{ chatId: number|string, image: Buffer, width: number, height: number, sourceId?: string, userId?: number|string, addedBy?: number|string, author?: string }} input
+ *   image: JPEG from prepareUpload
+ * @returns {object} The stored template (with path)
+ */
+export function addTemplate({ chatId, image, width, height, sourceId, userId, addedBy, author }) {
+  const s = load();
+  const id = s.nextId++;
+  const file = `${id}.jpg`;
+  if (!fs.existsSync(GALLERY_DIR)) fs.mkdirSync(GALLERY_DIR, { recursive: true });
+  fs.writeFileSync(path.join(GALLERY_DIR, file), image);
+  const entry = {
+    id,
+    chatId: String(chatId),
+    ...(sourceId ? { sourceId } : {}),
+    ...(userId != null ? { userId: String(userId) } : {}),
+    ...(addedBy != null ? { addedBy: String(addedBy) } : {}),
+    ...(author ? { author } : {}),
+    addedAt: new Date().toISOString(),
+    width,
+    height,
+    file
+  };
+  s.templates.push(entry);
+  const ofChat = s.templates.filter((t) => t.chatId === entry.chatId);
+  const drop = new Set(ofChat.slice(0, Math.max(0, ofChat.length - MAX_PER_CHAT)));
+  for (const t of drop) deleteImage(t);
+  s.templates = s.templates.filter((t) => !drop.has(t));
+  writeState(s);
+  return withPath(entry);
+}
+
+/** @returns {boolean} false when the chat has no such template */
+export function removeTemplate(chatId, id) {
+  const s = load();
+  const entry = s.templates.find((t) => t.chatId === String(chatId) && t.id === Number(id));
+  if (!entry) return false;
+  deleteImage(entry);
+  s.templates = s.templates.filter((t) => t !== entry);
+  writeState(s);
+  return true;
+}
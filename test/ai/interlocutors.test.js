@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { validateInterlocutors, loadInterlocutors, resolveInterlocutor } from '../../src/ai/interlocutors.js';
+
+const petya = { key: 'petya', aliases: ['петя', 'petya_k'], style: 'Подкалывай про ниву.' };
+const vasya = { key: 'vasya', telegramIds: [42], aliases: ['вася'], style: 'Отвечай коротко.' };
+
+/** Profiles file in a temp dir, used through INTERLOCUTORS_FILE for the test. */
+function tempProfiles(t, interlocutors) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'interlocutors-'));
+  const file = path.join(dir, 'interlocutors.json');
+  fs.writeFileSync(file, JSON.stringify({ version: 1, interlocutors }));
+  const saved = process.env.INTERLOCUTORS_FILE;
+  process.env.INTERLOCUTORS_FILE = file;
+  t.after(() => {
+    if (saved === undefined) delete process.env.INTERLOCUTORS_FILE;
+    else process.env.INTERLOCUTORS_FILE = saved;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return file;
+}
+
+/** Rewrite the file with a later mtime (some filesystems keep mtime at 1 s resolution). */
+function rewrite(file, json, secondsLater) {
+  fs.writeFileSync(file, typeof json === 'string' ? json : JSON.stringify(json));
+  const time = new Date(Date.now() + secondsLater * 1000);
+  fs.utimesSync(file, time, time);
+}
+
+test('the shipped data/interlocutors.json is valid', () => {
+  const json = JSON.parse(fs.readFileSync(new URL('../../data/interlocutors.json', import.meta.url), 'utf8'));
+  assert.deepEqual(validateInterlocutors(json), []);
+});
+
+test('validateInterlocutors rejects a root without an interlocutors array', () => {
+  for (const json of [null, [], { interlocutors: {} }, 'text']) {
+    assert.deepEqual(validateInterlocutors(json), ['root must be an object with an "interlocutors" array']);
+  }
+});
+
+test('validateInterlocutors reports each malformed entry with its index and key', () => {
+  const errors = validateInterlocutors({
+    interlocutors: [
+      petya,
+      null,
+      { aliases: ['x'], style: 'ok' },
+      { key: 'petya', aliases: ['петя'], style: 'again' },
+      { key: 'nostyle', aliases: ['a'], style: '  ' },
+      { key: 'badlists', aliases: ['a', 1], nicknames: 'zемский', runningJokes: [{}], style: 'ok' },
+      { key: 'badids', telegramIds: ['@vasya'], style: 'ok' },
+      { key: 'unmatched', style: 'ok' }
+    ]
+  });
+  assert.deepEqual(errors, [
+    'interlocutors[1]: must be an object',
+    'interlocutors[2]: "key" must be a non-empty string',
+    'interlocutors[3] (petya): duplicate key "petya"',
+    'interlocutors[4] (nostyle): "style" must be a non-empty string',
+    'interlocutors[5] (badlists): "aliases" must be an array of strings',
+    'interlocutors[5] (badlists): "nicknames" must be an array of strings',
+    'interlocutors[5] (badlists): "runningJokes" must be an array of strings',
+    'interlocutors[6] (badids): "telegramIds" must be an array of numeric Telegram user ids',
+    'interlocutors[7] (unmatched): needs at least one of "telegramIds" or "aliases" to be matched'
+  ]);
+});
+
+test('validateInterlocutors rejects one Telegram id in two profiles', () => {
+  const errors = validateInterlocutors({ interlocutors: [vasya, { ...petya, telegramIds: ['42'] }] });
+  assert.deepEqual(errors, ['interlocutors[1] (petya): telegram id 42 already used by "vasya"']);
+});
+
+test('loadInterlocutors: strict mode throws on an invalid file, a missing file gives no profiles', (t) => {
+  const file = tempProfiles(t, [{ key: 'broken', style: 'ok' }]);
+  assert.throws(() => loadInterlocutors({ strict: true }), /Invalid .*interlocutors\.json:\n- interlocutors\[0\] \(broken\): needs/);
+  fs.rmSync(file);
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(loadInterlocutors({ strict: true }), []);
+});
+
+test('the Telegram id is matched before any name', (t) => {
+  tempProfiles(t, [petya, vasya]);
+  // Vasya renamed himself "Петя": the id still finds him
+  assert.equal(resolveInterlocutor({ userId: 42, displayName: 'Петя', username: 'petya_k' }).key, 'vasya');
+  // Unknown id: the names decide
+  assert.equal(resolveInterlocutor({ userId: 7, displayName: 'Петя Кузнецов' }).key, 'petya');
+  assert.equal(resolveInterlocutor({ userId: '42' }).key, 'vasya');
+});
+
+test('names: username with or without @, display name containing an alias; no match is null', (t) => {
+  tempProfiles(t, [petya, vasya, { key: 'ed', aliases: ['ed'], style: 'ok' }]);
+  assert.equal(resolveInterlocutor({ username: '@Petya_K' }).key, 'petya');
+  assert.equal(resolveInterlocutor({ displayName: 'Вася из гаража' }).key, 'vasya');
+  assert.equal(resolveInterlocutor({ username: 'ed' }).key, 'ed');
+  // Aliases under 3 characters only match a username exactly
+  assert.equal(resolveInterlocutor({ username: 'fredy' }), null);
+  assert.equal(resolveInterlocutor({ userId: 1, username: 'someone', displayName: 'Кто-то' }), null);
+  assert.equal(resolveInterlocutor(), null);
+});
+
+test('hot reload: a changed file is re-read; an invalid edit keeps the last good profiles', (t) => {
+  const file = tempProfiles(t, [petya]);
+  assert.equal(resolveInterlocutor({ displayName: 'Петя' }).style, 'Подкалывай про ниву.');
+
+  t.mock.method(console, 'log', () => {});
+  rewrite(file, { interlocutors: [{ ...petya, style: 'Теперь про гараж.' }, vasya] }, 2);
+  assert.equal(resolveInterlocutor({ displayName: 'Петя' }).style, 'Теперь про гараж.');
+  assert.equal(resolveInterlocutor({ userId: 42 }).key, 'vasya');
+
+  const failed = t.mock.method(console, 'error', () => {});
+  rewrite(file, '{ "interlocutors": [', 4);
+  assert.equal(resolveInterlocutor({ displayName: 'Петя' }).style, 'Теперь про гараж.');
+  assert.equal(failed.mock.callCount(), 1);
+  // Not re-read (and not logged again) until the file changes
+  resolveInterlocutor({ displayName: 'Петя' });
+  assert.equal(failed.mock.callCount(), 1);
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { Readable } from 'node:stream';
+import { ffmpegPath } from '../../src/ai/ffmpeg.js';
+import { toOggOpus, oggOpusDuration } from '../../src/ai/mp3ToOgg.js';
+
+// 1 s of a 440 Hz sine, mono 22.05 kHz, 32 kbit/s
+const SAMPLE = new URL('../fixtures/sample.mp3', import.meta.url);
+const SAMPLE_SECONDS = 1;
+const noFfmpeg = !ffmpegPath || !fs.existsSync(ffmpegPath) ? `no ffmpeg binary at ${ffmpegPath} (set FFMPEG_BIN)` : false;
+
+function assertOggOpus(ogg) {
+  assert.equal(ogg.subarray(0, 4).toString('latin1'), 'OggS');
+  assert.ok(ogg.includes('OpusHead'), 'OpusHead packet missing');
+}
+
+test('toOggOpus turns an MP3 buffer into OGG Opus with its duration', { skip: noFfmpeg }, async () => {
+  const { ogg, duration } = await toOggOpus(fs.readFileSync(SAMPLE), { format: 'mp3' });
+  assertOggOpus(ogg);
+  assert.ok(Math.abs(duration - SAMPLE_SECONDS) < 0.1, `duration ${duration}`);
+  assert.equal(oggOpusDuration(ogg), duration);
+});
+
+test('toOggOpus reads a Node stream and detects the format itself', { skip: noFfmpeg }, async () => {
+  const { ogg, duration } = await toOggOpus(fs.createReadStream(SAMPLE));
+  assertOggOpus(ogg);
+  assert.ok(Math.abs(duration - SAMPLE_SECONDS) < 0.1, `duration ${duration}`);
+});
+
+test('toOggOpus rejects input ffmpeg cannot decode', { skip: noFfmpeg }, async () => {
+  await assert.rejects(toOggOpus(Buffer.from('not audio at all'.repeat(64)), { format: 'mp3' }), /ffmpeg exited with/);
+});
+
+test('toOggOpus rejects when ffmpeg gets no result in timeoutMs', { skip: noFfmpeg }, async () => {
+  // Never ends: ffmpeg keeps waiting for more input until the timeout kills it
+  const endless = new Readable({ read() {} });
+  const started = Date.now();
+  await assert.rejects(toOggOpus(endless, { format: 'mp3', timeoutMs: 300 }), /no result in 300 ms/);
+  assert.ok(Date.now() - started < 5000);
+  endless.destroy();
+});
+
+test('toOggOpus rejects input that is neither a Buffer nor a stream', { skip: noFfmpeg }, async () => {
+  await assert.rejects(toOggOpus('sample.mp3'), /must be a Buffer/);
+});
+
+test('oggOpusDuration is 0 for anything but OGG Opus', () => {
+  assert.equal(oggOpusDuration(Buffer.alloc(0)), 0);
+  assert.equal(oggOpusDuration(fs.readFileSync(SAMPLE)), 0);
+  assert.equal(oggOpusDuration(Buffer.from('OggS\0 but no OpusHead')), 0);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createMemoryHistoryStore, createJsonHistoryStore, retentionFromEnv } from '../../src/bot/historyStore.js';
+
+const HOUR = 60 * 60 * 1000;
+const rules = (env) => retentionFromEnv(env);
+
+test('retentionFromEnv: defaults, global limits and per-chat overrides', () => {
+  assert.deepEqual(rules({})('1'), { maxMessages: 20, maxAgeMs: 0 });
+  const env = { HISTORY_MAX_MESSAGES: '10', HISTORY_MAX_AGE_HOURS: '24', HISTORY_CHAT_RETENTION: '-100:50:72, 7::0, 8:30:, 9:abc:x' };
+  const retention = rules(env);
+  assert.deepEqual(retention('1'), { maxMessages: 10, maxAgeMs: 24 * HOUR });
+  assert.deepEqual(retention('-100'), { maxMessages: 50, maxAgeMs: 72 * HOUR });
+  // Group keys are chatId:userId: the chat's rule applies to every user in it
+  assert.deepEqual(retention('-100:42'), { maxMessages: 50, maxAgeMs: 72 * HOUR });
+  // Explicit 0 hours = no age limit for that chat
+  assert.deepEqual(retention('7'), { maxMessages: 10, maxAgeMs: 0 });
+  // Empty or non-numeric fields keep the global values
+  assert.deepEqual(retention('8'), { maxMessages: 30, maxAgeMs: 24 * HOUR });
+  assert.deepEqual(retention('9'), { maxMessages: 10, maxAgeMs: 24 * HOUR });
+});
+
+test('push keeps the last maxMessages per key', () => {
+  const store = createMemoryHistoryStore({ retention: rules({ HISTORY_MAX_MESSAGES: '3', HISTORY_CHAT_RETENTION: '5:1' }) });
+  for (let i = 1; i <= 5; i++) {
+    store.push('1', 'user', `m${i}`);
+    store.push('5', 'user', `m${i}`);
+  }
+  assert.deepEqual(store.get('1').map((m) => m.text), ['m3', 'm4', 'm5']);
+  assert.deepEqual(store.get('5').map((m) => m.text), ['m5']);
+  assert.deepEqual(store.get('unknown'), []);
+});
+
+test('get drops messages older than maxAgeMs and reports the change', () => {
+  const now = Date.now();
+  const changes = [];
+  const store = createMemoryHistoryStore({
+    retention: rules({ HISTORY_MAX_AGE_HOURS: '2' }),
+    initial: {
+      1: [
+        { role: 'user', text: 'old', at: now - 3 * HOUR },
+        { role: 'bot', text: 'fresh', at: now - HOUR }
+      ],
+      2: [{ role: 'user', text: 'gone', at: now - 5 * HOUR }]
+    },
+    onChange: (data) => changes.push(data)
+  });
+  assert.deepEqual(store.get('1').map((m) => m.text), ['fresh']);
+  assert.deepEqual(store.get('2'), []);
+  assert.equal(changes.length, 2);
+  assert.deepEqual(Object.keys(changes.at(-1)), ['1']);
+});
+
+test('get returns copies: callers cannot change the stored history', () => {
+  const store = createMemoryHistoryStore({ retention: rules({}) });
+  store.push('1', 'user', 'hi');
+  store.get('1')[0].text = 'changed';
+  assert.equal(store.get('1')[0].text, 'hi');
+});
+
+test('clear removes one key, clearChat every key of the chat', () => {
+  const store = createMemoryHistoryStore({ retention: rules({}) });
+  store.push('-100:1', 'user', 'a');
+  store.push('-100:1', 'bot', 'b');
+  store.push('-100:2', 'user', 'c');
+  store.push('-1001', 'user', 'other chat, same prefix');
+  store.push('5', 'user', 'private');
+  assert.equal(store.clear('-100:2'), 1);
+  assert.equal(store.clear('-100:2'), 0);
+  store.push('-100:2', 'user', 'c');
+  assert.equal(store.clearChat(-100), 3);
+  assert.deepEqual(store.get('-100:1'), []);
+  assert.equal(store.get('-1001').length, 1);
+  assert.equal(store.clearChat('5'), 1);
+  assert.equal(store.clearChat('5'), 0);
+});
+
+test('JSON store writes atomically and reloads what it wrote', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'nested', 'history.json');
+  const retention = rules({});
+
+  const store = createJsonHistoryStore(file, { retention });
+  store.push('1', 'user', 'привет');
+  store.push('1', 'bot', 'ну');
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ['history.json']);
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.equal(saved.version, 1);
+  assert.deepEqual(saved.chats['1'].map((m) => m.text), ['привет', 'ну']);
+
+  const reloaded = createJsonHistoryStore(file, { retention });
+  assert.deepEqual(reloaded.get('1').map((m) => `${m.role}:${m.text}`), ['user:привет', 'bot:ну']);
+  reloaded.clearChat('1');
+  assert.deepEqual(createJsonHistoryStore(file, { retention }).get('1'), []);
+});
+
+test('JSON store starts empty on a corrupt file', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'history.json');
+  fs.writeFileSync(file, '{"chats": {"1": [');
+  const store = createJsonHistoryStore(file, { retention: rules({}) });
+  assert.deepEqual(store.get('1'), []);
+  store.push('1', 'user', 'again');
+  assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).chats['1'].length, 1);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseJsonExport } from '../../src/parser/parseJsonExport.js';
+import {
+  withImpliedAliases,
+  getPersonAliases,
+  getPersonName,
+  getPersonNames,
+  createPersonMatcher,
+  normalizeAuthors
+} from '../../src/corpus/authors.js';
+
+const NAME = 'Владислав Тимохин';
+const FIXTURE = new URL('../fixtures/result.json', import.meta.url);
+const loadFixtureMessages = () => parseJsonExport(JSON.parse(fs.readFileSync(FIXTURE, 'utf8')));
+
+test('withImpliedAliases adds "Влад" for Тимохин once', () => {
+  assert.deepEqual(withImpliedAliases(NAME), ['Влад']);
+  assert.deepEqual(withImpliedAliases(NAME, ['Влад', 'Vlad']), ['Влад', 'Vlad']);
+  assert.deepEqual(withImpliedAliases('Игорь'), []);
+});
+
+test('names come from PERSON_NAME and PERSON_ALIASES', () => {
+  const env = { PERSON_NAME: ` ${NAME} `, PERSON_ALIASES: 'Vlad, ,Владик' };
+  assert.equal(getPersonName(env), NAME);
+  assert.deepEqual(getPersonAliases(env), ['Vlad', 'Владик', 'Влад']);
+  assert.deepEqual(getPersonNames(env), [NAME, 'Vlad', 'Владик', 'Влад']);
+  assert.equal(getPersonName({}), 'Vlad');
+  assert.deepEqual(getPersonNames({ PERSON_NAME: 'Vlad', PERSON_ALIASES: 'Vlad' }), ['Vlad']);
+});
+
+test('createPersonMatcher matches any of the names', () => {
+  const isPerson = createPersonMatcher([NAME, 'Влад']);
+  assert.equal(isPerson('Влад'), true);
+  assert.equal(isPerson(NAME), true);
+  assert.equal(isPerson('Игорь'), false);
+  assert.equal(createPersonMatcher('Игорь')('Игорь'), true);
+});
+
+test('normalizeAuthors rewrites aliases in the fixture export', () => {
+  const messages = loadFixtureMessages();
+  const { messages: out, aliases } = normalizeAuthors(messages, NAME, withImpliedAliases(NAME));
+  assert.deepEqual(aliases, ['Влад']);
+  assert.equal(out.find((m) => m.id === 106).author, NAME);
+  assert.deepEqual([...new Set(out.map((m) => m.author))], ['Игорь', NAME, 'Никита']);
+  // Input untouched
+  assert.equal(messages.find((m) => m.id === 106).author, 'Влад');
+  assert.equal(normalizeAuthors(messages, NAME, []).messages, messages);
+});
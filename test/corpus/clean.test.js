@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MEDIA_PLACEHOLDER,
+  stripTimeAndName,
+  stripExportArtifacts,
+  createNameArtifactMatcher,
+  personNameWords,
+  stripTelegramArtifacts
+} from '../../src/corpus/clean.js';
+
+const NAMES = ['Владислав Тимохин', 'Влад'];
+
+test('stripTimeAndName drops the "HH:MM Name" prefix of any name', () => {
+  assert.equal(stripTimeAndName('10:06 Влад я же сказал на смене', NAMES), 'я же сказал на смене');
+  assert.equal(stripTimeAndName('9:15 Владислав Тимохин да', NAMES), 'да');
+  assert.equal(stripTimeAndName('10:06 Игорь привет', NAMES), '10:06 Игорь привет');
+  // Nothing left after the prefix: keep the original
+  assert.equal(stripTimeAndName('10:06 Влад', 'Влад'), '10:06 Влад');
+  assert.equal(stripTimeAndName(null, NAMES), null);
+});
+
+test('stripExportArtifacts removes reply markers, media placeholders and glued names', () => {
+  assert.equal(stripExportArtifacts('10:06 Влад In reply to this message ну да', NAMES), 'ну да');
+  assert.equal(stripExportArtifacts('ну да Владислав Тимохин а ты', NAMES), 'ну да а ты');
+  assert.equal(stripExportArtifacts('ок …слав Тимохин потом', NAMES), 'ок потом');
+  assert.equal(stripExportArtifacts('Sticker Not included, change data exporting settings', NAMES), '');
+  assert.equal(stripExportArtifacts('', NAMES), '');
+});
+
+test('MEDIA_PLACEHOLDER spots placeholders and bare links', () => {
+  assert.ok(MEDIA_PLACEHOLDER.test('Photo Not included, change data exporting settings to download.'));
+  assert.ok(MEDIA_PLACEHOLDER.test('https://example.com/x'));
+  assert.ok(!MEDIA_PLACEHOLDER.test('смотри https://example.com/x'));
+});
+
+test('name artifacts and name words', () => {
+  const hasArtifact = createNameArtifactMatcher(NAMES);
+  assert.equal(hasArtifact('опять тимохин пишет'), true);
+  assert.equal(hasArtifact('Влад пишет'), false);
+  assert.equal(createNameArtifactMatcher('Влад')('Тимохин'), false);
+  assert.deepEqual(personNameWords(NAMES), new Set(['владислав', 'тимохин', 'влад']));
+});
+
+test('stripTelegramArtifacts keeps lines apart', () => {
+  const text = 'In reply to this message Photo Not included, change data exporting settings to download. ну и хуй с ним';
+  assert.equal(stripTelegramArtifacts(text), 'ну и хуй с ним');
+  assert.equal(stripTelegramArtifacts('да  Reply to this message нет'), 'да\nнет');
+  assert.equal(stripTelegramArtifacts(undefined), undefined);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { parseJsonExport } from '../../src/parser/parseJsonExport.js';
+import { getText, normalizeMessages, loadConversation } from '../../src/corpus/messages.js';
+
+const FIXTURE = new URL('../fixtures/result.json', import.meta.url);
+const loadFixtureMessages = () => parseJsonExport(JSON.parse(fs.readFileSync(FIXTURE, 'utf8')));
+
+test('getText flattens strings, entity arrays and { text }', () => {
+  assert.equal(getText('да'), 'да');
+  assert.equal(getText(['Смотри ', { type: 'bold', text: 'что' }, ' нашёл', { type: 'link' }]), 'Смотри что нашёл');
+  assert.equal(getText({ text: 'ок' }), 'ок');
+  assert.equal(getText(null), '');
+});
+
+test('normalizeMessages fills author and text, drops non-objects', () => {
+  const out = normalizeMessages([{ author: '  ', text: ['a', { text: 'b' }], id: 1 }, null, 'x', { text: 'c' }]);
+  assert.deepEqual(out, [
+    { author: 'Unknown', text: 'ab', id: 1 },
+    { author: 'Unknown', text: 'c' }
+  ]);
+  assert.deepEqual(normalizeMessages(undefined), []);
+});
+
+test('loadConversation reads a parsed fixture export', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vladbot-test-'));
+  try {
+    const file = path.join(dir, 'conversation.json');
+    fs.writeFileSync(file, JSON.stringify(loadFixtureMessages()));
+    const messages = loadConversation(file);
+    // Service messages are skipped; the media-only photo stays, with empty text
+    assert.equal(messages.length, 10);
+    assert.deepEqual(messages[0], { id: 101, author: 'Игорь', text: 'Влад, ты на смене?', date: '2024-03-01T10:00:00.000Z', fromId: 'user111' });
+    assert.equal(messages.find((m) => m.id === 104).text, 'Смотри что нашёл');
+    assert.deepEqual(messages.find((m) => m.id === 105), {
+      id: 105,
+      author: 'Никита',
+      text: '',
+      date: '2024-03-01T10:05:10.000Z',
+      fromId: 'user333',
+      mediaType: 'photo'
+    });
+    assert.equal(messages.find((m) => m.id === 106).replyToId, 101);
+    assert.equal(messages.find((m) => m.id === 109).forwardedFrom, 'Новости');
+  } finally {
+    fs.rmSync(dir, { recursive: true });
+  }
+});
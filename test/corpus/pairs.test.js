@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { parseJsonExport } from '../../src/parser/parseJsonExport.js';
+import { normalizeAuthors, withImpliedAliases } from '../../src/corpus/authors.js';
+import { stripTimeAndName } from '../../src/corpus/clean.js';
+import { buildDialoguePairs } from '../../src/corpus/pairs.js';
+
+const NAME = 'Владислав Тимохин';
+const FIXTURE = new URL('../fixtures/result.json', import.meta.url);
+// Another chat with overlapping message ids, interleaved in time with the first one
+const SECOND_CHAT_FIXTURE = new URL('../fixtures/result_garage.json', import.meta.url);
+
+function fixtureMessages() {
+  const raw = parseJsonExport(JSON.parse(fs.readFileSync(FIXTURE, 'utf8')));
+  return normalizeAuthors(raw, NAME, withImpliedAliases(NAME)).messages;
+}
+
+/** Both fixture exports merged by date, each message tagged with its chat like npm run parse does. */
+function twoChatMessages() {
+  const raw = [FIXTURE, SECOND_CHAT_FIXTURE].flatMap((file) => {
+    const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return parseJsonExport(json).map((m) => ({ ...m, chatId: String(json.id) }));
+  });
+  raw.sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+  return normalizeAuthors(raw, NAME, withImpliedAliases(NAME)).messages;
+}
+
+const cleanPersonText = (t) => stripTimeAndName(t, [NAME, 'Влад']);
+
+test('pairs merge ladder turns and follow explicit replies', () => {
+  const pairs = buildDialoguePairs(fixtureMessages(), NAME, { maxGapMinutes: 30, cleanPersonText });
+  assert.deepEqual(
+    pairs.map(({ user, assistant, userAuthor, explicitReply }) => ({ user, assistant, userAuthor, explicitReply })),
+    [
+      { user: 'Влад, ты на смене?', assistant: 'да\nдо восьми', userAuthor: 'Игорь', explicitReply: false },
+      // Reply link to Игорь's message, not the photo right before it
+      { user: 'Влад, ты на смене?', assistant: 'я же сказал на смене', userAuthor: 'Игорь', explicitReply: true },
+      {
+        user: 'Курс рубля упал',
+        assistant: 'In reply to this message Photo Not included, change data exporting settings to download. ну и хуй с ним',
+        userAuthor: 'Никита',
+        explicitReply: false
+      }
+    ]
+  );
+  assert.equal(pairs[0].index, 0);
+  assert.equal(pairs[0].date, '2024-03-01T10:01:00.000Z');
+});
+
+test('pairs further apart than maxGapMinutes are dropped; 0 turns the check off', () => {
+  const messages = fixtureMessages();
+  const withGap = buildDialoguePairs(messages, NAME, { maxGapMinutes: 30 });
+  assert.ok(!withGap.some((p) => p.assistant === 'нормально'));
+  const noGap = buildDialoguePairs(messages, NAME, { maxGapMinutes: 0 });
+  assert.ok(noGap.some((p) => p.user === 'Ну чё как' && p.assistant === 'нормально'));
+  assert.equal(noGap.length, 4);
+});
+
+test('a reply to the person himself is a continuation, not a pair', () => {
+  const messages = [
+    { id: 1, author: 'Игорь', text: 'чё', date: '2024-03-01T10:00:00Z' },
+    { id: 2, author: NAME, text: 'ничё', date: '2024-03-01T10:01:00Z' },
+    { id: 3, author: 'Игорь', text: 'а', date: '2024-03-01T10:02:00Z' },
+    { id: 4, author: NAME, text: 'и ещё', date: '2024-03-01T10:03:00Z', replyToId: 2 }
+  ];
+  const pairs = buildDialoguePairs(messages, [NAME], { maxGapMinutes: 30 });
+  assert.deepEqual(pairs.map((p) => p.assistant), ['ничё']);
+});
+
+test('messages without a known author are not prompts', () => {
+  const messages = [
+    { author: 'Unknown', text: 'кто здесь' },
+    { author: NAME, text: 'я' }
+  ];
+  assert.deepEqual(buildDialoguePairs(messages, NAME, { maxGapMinutes: 0 }), []);
+});
+
+test('merged exports of two chats: reply links and previous turns stay within their chat', () => {
+  const pairs = buildDialoguePairs(twoChatMessages(), NAME, { maxGapMinutes: 30, cleanPersonText });
+  assert.deepEqual(
+    pairs.map(({ user, assistant, userAuthor, explicitReply }) => ({ user, assistant, userAuthor, explicitReply })),
+    [
+      // Саня's question in the other chat came in between, but "да" answers Игорь
+      { user: 'Влад, ты на смене?', assistant: 'да\nдо восьми', userAuthor: 'Игорь', explicitReply: false },
+      // reply_to 101 in chat Завод, not Саня's message 101 in chat Гараж
+      { user: 'Влад, ты на смене?', assistant: 'я же сказал на смене', userAuthor: 'Игорь', explicitReply: true },
+      // reply_to 104 in chat Гараж, not Никита's message 104 in chat Завод
+      { user: 'Влад, гараж открыт?\nключи у кого', assistant: 'у меня ключи', userAuthor: 'Саня', explicitReply: true },
+      {
+        user: 'Курс рубля упал',
+        assistant: 'In reply to this message Photo Not included, change data exporting settings to download. ну и хуй с ним',
+        userAuthor: 'Никита',
+        explicitReply: false
+      }
+    ]
+  );
+});
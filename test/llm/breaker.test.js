@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { createCircuitBreaker, callWithPolicy } from '../../src/llm/resilience.js';
+
+const KEY = 'chat:test-model';
+const COOLDOWN_MS = 40;
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  return err;
+}
+
+const ok = async () => 'ok';
+const fails = (status) => async () => {
+  throw httpError(status);
+};
+
+/** A breaker opened by two failed calls (threshold 2, no retries). */
+async function openBreaker(t) {
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: COOLDOWN_MS });
+  for (let i = 0; i < 2; i++) await assert.rejects(callWithPolicy(fails(500), { key: KEY, breaker, retries: 0 }), { status: 500 });
+  return breaker;
+}
+
+test('breaker opens after threshold failures and skips the model during the cooldown', async (t) => {
+  const breaker = await openBreaker(t);
+  assert.equal(breaker.state(KEY), 'open');
+  let called = false;
+  const fn = async () => {
+    called = true;
+    return 'ok';
+  };
+  await assert.rejects(callWithPolicy(fn, { key: KEY, breaker, retries: 0 }), { code: 'LLM_CIRCUIT_OPEN' });
+  assert.equal(called, false);
+  assert.equal(breaker.state('chat:other-model'), 'closed');
+});
+
+test('half-open: one trial call after the cooldown; success closes, a second caller meanwhile is refused', async (t) => {
+  const breaker = await openBreaker(t);
+  await sleep(COOLDOWN_MS + 10);
+  let release;
+  const trial = callWithPolicy(() => new Promise((resolve) => (release = resolve)), { key: KEY, breaker, retries: 0 });
+  await assert.rejects(callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), { code: 'LLM_CIRCUIT_OPEN' });
+  release('ok');
+  assert.equal(await trial, 'ok');
+  assert.equal(breaker.state(KEY), 'closed');
+  assert.equal(await callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), 'ok');
+});
+
+test('half-open: a failed trial reopens the circuit for another cooldown', async (t) => {
+  const breaker = await openBreaker(t);
+  await sleep(COOLDOWN_MS + 10);
+  await assert.rejects(callWithPolicy(fails(503), { key: KEY, breaker, retries: 0 }), { status: 503 });
+  await assert.rejects(callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), { code: 'LLM_CIRCUIT_OPEN' });
+  await sleep(COOLDOWN_MS + 10);
+  assert.equal(await callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), 'ok');
+});
+
+test('a trial ending in a request error (400) releases the trial: the next call tries again', async (t) => {
+  const breaker = await openBreaker(t);
+  await sleep(COOLDOWN_MS + 10);
+  await assert.rejects(callWithPolicy(fails(400), { key: KEY, breaker, retries: 0 }), { status: 400 });
+  assert.equal(await callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), 'ok');
+  assert.equal(breaker.state(KEY), 'closed');
+});
+
+test("a trial aborted by the caller's signal releases the trial", async (t) => {
+  const breaker = await openBreaker(t);
+  await sleep(COOLDOWN_MS + 10);
+  const controller = new AbortController();
+  const hanging = (signal) => new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  const trial = callWithPolicy(hanging, { key: KEY, breaker, retries: 0, signal: controller.signal });
+  controller.abort();
+  await assert.rejects(trial, { code: 'LLM_ABORTED' });
+  assert.equal(await callWithPolicy(ok, { key: KEY, breaker, retries: 0 }), 'ok');
+  assert.equal(breaker.state(KEY), 'closed');
+});
+
+test('request errors do not count towards opening the circuit', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: COOLDOWN_MS });
+  for (let i = 0; i < 5; i++) await assert.rejects(callWithPolicy(fails(422), { key: KEY, breaker, retries: 0 }), { status: 422 });
+  assert.equal(breaker.state(KEY), 'closed');
+});
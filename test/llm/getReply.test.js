@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeProvider } from '../../src/llm/fakeProvider.js';
+import { getReply } from '../../src/ai/openaiService.js';
+
+// Default persona (data/persona.json); its fine-tuned model, when a test asks for one
+process.env.OPENAI_FINETUNED_MODEL = 'ft:gpt-4.1-mini:test:vlad:1';
+const FT_MODEL = process.env.OPENAI_FINETUNED_MODEL;
+const IMAGE = Buffer.from('not really a jpeg');
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  return err;
+}
+
+/** Fake provider with some methods / models failing; fake.calls holds the calls that got through. */
+function providerFailing({ vision = false, models = [] } = {}) {
+  const fake = createFakeProvider({ reply: (_, model) => `ответ от ${model}` });
+  return {
+    fake,
+    llm: {
+      ...fake,
+      vision: async (req) => {
+        if (vision) throw httpError(500);
+        return fake.vision(req);
+      },
+      chat: async (req) => {
+        if (models.includes(req.model || fake.models.chat)) throw httpError(503);
+        return fake.chat(req);
+      }
+    }
+  };
+}
+
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+}
+
+const base = { useRag: false, deadlineMs: 0 };
+
+test('a plain message goes to the base model once', async (t) => {
+  quiet(t);
+  const { llm, fake } = providerFailing();
+  assert.equal(await getReply('привет', [], { ...base, llm, useFinetuned: false }), 'ответ от fake-chat');
+  assert.deepEqual(fake.calls.map((c) => c.method), ['chat']);
+});
+
+test('vision failing falls back to the caption only, with a note that the image is missing', async (t) => {
+  quiet(t);
+  const { llm, fake } = providerFailing({ vision: true });
+  const reply = await getReply('смотри', [], { ...base, llm, useFinetuned: false, imageBuffer: IMAGE, imageMimeType: 'image/jpeg' });
+  assert.equal(reply, 'ответ от fake-chat');
+  assert.deepEqual(fake.calls.map((c) => c.method), ['chat']);
+  const last = fake.calls[0].input.at(-1).content;
+  assert.match(last, /Картинка не загрузилась/);
+});
+
+test('textOnly skips vision altogether', async (t) => {
+  quiet(t);
+  const { llm, fake } = providerFailing();
+  await getReply('смотри', [], { ...base, llm, useFinetuned: false, textOnly: true, imageBuffer: IMAGE });
+  assert.deepEqual(fake.calls.map((c) => c.method), ['chat']);
+});
+
+test('fine-tuned model failing falls back to the base model', async (t) => {
+  quiet(t);
+  const { llm, fake } = providerFailing({ models: [FT_MODEL] });
+  assert.equal(await getReply('привет', [], { ...base, llm, useFinetuned: true }), 'ответ от fake-chat');
+  assert.deepEqual(fake.calls.map((c) => c.model), ['fake-chat']);
+});
+
+test('every step failing throws the last error', async (t) => {
+  quiet(t);
+  const { llm, fake } = providerFailing({ vision: true, models: [FT_MODEL, 'fake-chat'] });
+  await assert.rejects(getReply('смотри', [], { ...base, llm, useFinetuned: true, imageBuffer: IMAGE }), { status: 503 });
+  assert.equal(fake.calls.length, 0);
+});
+
+test('the deadline aborts the running request and skips the remaining steps', async (t) => {
+  quiet(t);
+  const fake = createFakeProvider();
+  const aborted = [];
+  const llm = {
+    ...fake,
+    chat: (req) =>
+      new Promise((_, reject) => {
+        req.signal.addEventListener('abort', () => {
+          aborted.push(req.model);
+          reject(Object.assign(new Error('aborted'), { code: 'LLM_ABORTED' }));
+        });
+      })
+  };
+  const started = Date.now();
+  await assert.rejects(getReply('привет', [], { ...base, llm, useFinetuned: true, deadlineMs: 100 }), { code: 'REPLY_DEADLINE' });
+  assert.ok(Date.now() - started < 1000);
+  // Only the fine-tuned step ran; the base-model fallback never started
+  assert.deepEqual(aborted, [FT_MODEL]);
+});
@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFakeProvider } from '../../src/llm/fakeProvider.js';
+
+// Read at import: keep the backoff short
+process.env.LLM_RETRY_BASE_MS = '1';
+process.env.LLM_RETRY_MAX_MS = '5';
+const { callWithPolicy, withResilience, createCircuitBreaker, isRetryable } = await import('../../src/llm/resilience.js');
+
+function httpError(status) {
+  const err = new Error(`HTTP ${status}`);
+  err.status = status;
+  return err;
+}
+
+/** Fake provider whose chat fails with the given errors first, then answers. */
+function flakyProvider(...errors) {
+  const fake = createFakeProvider();
+  let attempts = 0;
+  return {
+    fake,
+    get attempts() {
+      return attempts;
+    },
+    provider: {
+      ...fake,
+      chat: async (req) => {
+        attempts++;
+        if (errors.length) throw errors.shift();
+        return fake.chat(req);
+      }
+    }
+  };
+}
+
+const chatRequest = { messages: [{ role: 'user', content: 'как дела' }] };
+
+test('isRetryable: 429, 408, 409, 5xx, timeouts and connection errors; other 4xx not', () => {
+  for (const status of [408, 409, 429, 500, 502, 503]) assert.equal(isRetryable(httpError(status)), true, String(status));
+  for (const status of [400, 401, 403, 404, 413, 422]) assert.equal(isRetryable(httpError(status)), false, String(status));
+  assert.equal(isRetryable(Object.assign(new Error('slow'), { code: 'LLM_TIMEOUT' })), true);
+  assert.equal(isRetryable(Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' })), true);
+  assert.equal(isRetryable(new Error('something else')), false);
+});
+
+test('retryable errors are retried up to `retries` times, then the last error is thrown', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const flaky = flakyProvider(httpError(500), httpError(503), httpError(502));
+  const llm = withResilience(flaky.provider, { retries: 2 });
+  await assert.rejects(llm.chat(chatRequest), { status: 502 });
+  assert.equal(flaky.attempts, 3);
+  assert.equal(flaky.fake.calls.length, 0);
+});
+
+test('a retry that succeeds returns the reply', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const flaky = flakyProvider(httpError(429));
+  const llm = withResilience(flaky.provider, { retries: 2 });
+  const completion = await llm.chat(chatRequest);
+  assert.equal(completion.content, '[fake] как дела');
+  assert.equal(flaky.attempts, 2);
+});
+
+test('request errors (4xx) are not retried', async () => {
+  for (const status of [400, 401, 422]) {
+    const flaky = flakyProvider(httpError(status));
+    const llm = withResilience(flaky.provider, { retries: 3 });
+    await assert.rejects(llm.chat(chatRequest), { status });
+    assert.equal(flaky.attempts, 1, String(status));
+  }
+});
+
+test('each attempt has its own timeout; timeouts are retried with code LLM_TIMEOUT', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  let attempts = 0;
+  const hanging = (signal) => {
+    attempts++;
+    return new Promise((_, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  };
+  await assert.rejects(callWithPolicy(hanging, { key: 'chat:slow', timeoutMs: 30, retries: 1 }), { code: 'LLM_TIMEOUT' });
+  assert.equal(attempts, 2);
+});
+
+test('withResilience: failed calls open the breaker per method and model, the cooldown lets one trial through', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const flaky = flakyProvider(httpError(500), httpError(500));
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 40 });
+  const llm = withResilience(flaky.provider, { retries: 0, breaker });
+  await assert.rejects(llm.chat(chatRequest), { status: 500 });
+  await assert.rejects(llm.chat(chatRequest), { status: 500 });
+  await assert.rejects(llm.chat(chatRequest), { code: 'LLM_CIRCUIT_OPEN' });
+  assert.equal(flaky.attempts, 2);
+  // Another model of the same provider is not affected
+  assert.equal((await llm.chat({ ...chatRequest, model: 'other' })).model, 'other');
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.equal((await llm.chat(chatRequest)).content, '[fake] как дела');
+  assert.equal(breaker.state('chat:fake-chat'), 'closed');
+});
@@ -0,0 +1,166 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createUsageLedger, priceFor, estimateCost, withUsage, degradedReplyOptions } from '../../src/llm/usage.js';
+import { createFakeProvider } from '../../src/llm/fakeProvider.js';
+import { getReply } from '../../src/ai/openaiService.js';
+
+const CAP_ENV = ['USAGE_CHAT_DAILY_USD', 'USAGE_CHAT_MONTHLY_USD', 'USAGE_USER_DAILY_USD', 'USAGE_USER_MONTHLY_USD'];
+
+/** Ledger in a temp dir; env caps and LLM_PRICES as given, restored after the test. */
+function tempLedger(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-'));
+  const saved = Object.fromEntries([...CAP_ENV, 'LLM_PRICES'].map((k) => [k, process.env[k]]));
+  for (const key of Object.keys(saved)) delete process.env[key];
+  Object.assign(process.env, env);
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { dir, capsFile: path.join(dir, 'usage_caps.json'), ledger: createUsageLedger({ dir, capsFile: path.join(dir, 'usage_caps.json') }) };
+}
+
+/** One gpt-4o-mini call of 1M prompt tokens = $0.15. */
+const call = (chatId, userId, feature = 'reply') => ({ chatId, userId, feature, method: 'chat', model: 'gpt-4o-mini', promptTokens: 1e6 });
+
+test('priceFor: longest prefix wins, dated snapshots match their family, unknown models are null', (t) => {
+  tempLedger(t);
+  assert.deepEqual(priceFor('gpt-4o-mini'), [0.15, 0.6]);
+  assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), [0.15, 0.6]);
+  assert.deepEqual(priceFor('gpt-4o-2024-08-06'), [2.5, 10]);
+  assert.deepEqual(priceFor('gpt-4.1-mini-2025-04-14'), [0.4, 1.6]);
+  assert.deepEqual(priceFor('gpt-4.1'), [2, 8]);
+  assert.equal(priceFor('gpt-4.1mini'), null);
+  assert.equal(priceFor('llama3.1:8b'), null);
+  assert.equal(priceFor(''), null);
+});
+
+test('priceFor: fine-tuned models are priced by their base model', (t) => {
+  tempLedger(t);
+  assert.deepEqual(priceFor('ft:gpt-4.1-mini-2025-04-14:acme:vlad:AbC123'), [0.8, 3.2]);
+  assert.deepEqual(priceFor('ft:gpt-4o-mini-2024-07-18:acme::XyZ'), [0.3, 1.2]);
+  assert.equal(priceFor('ft:unknown-base:acme:x'), null);
+});
+
+test('priceFor: LLM_PRICES adds and overrides prices, split on the last colon', (t) => {
+  tempLedger(t, { LLM_PRICES: 'llama3.1:8b:0.01/0.02, gpt-4o-mini:1/2, ft:gpt-4.1-mini-2025-04-14:acme:vlad:AbC123:5/6' });
+  assert.deepEqual(priceFor('llama3.1:8b'), [0.01, 0.02]);
+  assert.deepEqual(priceFor('gpt-4o-mini-2024-07-18'), [1, 2]);
+  assert.deepEqual(priceFor('ft:gpt-4.1-mini-2025-04-14:acme:vlad:AbC123'), [5, 6]);
+});
+
+test('estimateCost: tokens, images by quality, transcription by minute, local models free', (t) => {
+  tempLedger(t);
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(estimateCost({ method: 'chat', model: 'gpt-4.1', promptTokens: 1e6, completionTokens: 5e5 }), 6);
+  assert.equal(estimateCost({ method: 'editImage', images: 2, quality: 'low' }), 0.022);
+  assert.equal(estimateCost({ method: 'editImage', images: 1 }), 0.167);
+  assert.equal(estimateCost({ method: 'transcribe', model: 'whisper-1', seconds: 120 }), 0.012);
+  assert.equal(estimateCost({ method: 'tts', model: 'local:piper', chars: 5000 }), 0);
+  assert.equal(estimateCost({ method: 'chat', model: 'llama3.1:8b', promptTokens: 1e6 }), 0);
+});
+
+test('record appends to the month file; a new ledger reads it back', (t) => {
+  const { dir, capsFile, ledger } = tempLedger(t);
+  const stored = ledger.record(call(1, 10));
+  assert.equal(stored.costUsd, 0.15);
+  const file = path.join(dir, `${new Date().toISOString().slice(0, 7)}.jsonl`);
+  assert.equal(fs.readFileSync(file, 'utf8').trim().split('\n').length, 1);
+  assert.equal(createUsageLedger({ dir, capsFile }).totals().costUsd, 0.15);
+});
+
+test('totals: daily and monthly, per chat, user and feature', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-10T12:00:00Z') });
+  const { ledger } = tempLedger(t);
+  ledger.record(call(1, 10));
+  ledger.record(call(2, 10, 'photo'));
+  t.mock.timers.setTime(new Date('2026-03-15T12:00:00Z').getTime());
+  ledger.record(call(1, 10));
+  ledger.record(call(1, 11, 'meme'));
+
+  const month = ledger.totals();
+  assert.equal(month.calls, 4);
+  assert.equal(month.tokens, 4e6);
+  assert.equal(Number(month.costUsd.toFixed(6)), 0.6);
+  assert.deepEqual(Object.keys(month.byChat).sort(), ['1', '2']);
+  assert.equal(Number(month.byFeature.reply.toFixed(6)), 0.3);
+
+  const today = ledger.totals({ period: 'daily' });
+  assert.equal(today.calls, 2);
+  assert.equal(ledger.totals({ chatId: 1, period: 'daily' }).calls, 2);
+  assert.equal(ledger.totals({ chatId: 2, period: 'daily' }).calls, 0);
+  assert.equal(ledger.totals({ userId: 10 }).calls, 3);
+  assert.equal(ledger.totals({ userId: '10', period: 'daily' }).calls, 1);
+  assert.equal(ledger.totals({ feature: 'meme' }).calls, 1);
+});
+
+test('checkCaps: env defaults per chat and per user, daily and monthly', (t) => {
+  const { ledger } = tempLedger(t, { USAGE_CHAT_DAILY_USD: '0.3', USAGE_USER_MONTHLY_USD: '0.4' });
+  ledger.record(call(1, 10));
+  assert.deepEqual(ledger.checkCaps({ chatId: 1, userId: 10 }), []);
+  ledger.record(call(1, 11));
+  assert.deepEqual(
+    ledger.checkCaps({ chatId: 1, userId: 10 }).map(({ scope, period }) => `${scope} ${period}`),
+    ['chat daily']
+  );
+  // Another chat is within its own cap; user 10 is over the monthly user cap after two more calls anywhere
+  ledger.record(call(2, 10));
+  ledger.record(call(3, 10));
+  assert.deepEqual(
+    ledger.checkCaps({ chatId: 2, userId: 10 }).map(({ scope, period }) => `${scope} ${period}`),
+    ['user monthly']
+  );
+  assert.deepEqual(ledger.checkCaps({ chatId: 2, userId: 11 }), []);
+  // No ids, no caps to check
+  assert.deepEqual(ledger.checkCaps({}), []);
+});
+
+test('setCap overrides the env default for one chat, persists, and null goes back to the default', (t) => {
+  const { capsFile, dir, ledger } = tempLedger(t, { USAGE_CHAT_MONTHLY_USD: '1' });
+  ledger.setCap('chat', 1, 'monthly', 0.1);
+  ledger.setCap('chat', 2, 'monthly', 0);
+  ledger.record(call(1, 10));
+  ledger.record(call(2, 10));
+  assert.equal(ledger.getCap('chat', 1, 'monthly'), 0.1);
+  assert.equal(ledger.getCap('chat', 3, 'monthly'), 1);
+  assert.equal(ledger.checkCaps({ chatId: 1 }).length, 1);
+  // 0 = no cap for that chat, even though the env sets one
+  assert.deepEqual(ledger.checkCaps({ chatId: 2 }), []);
+
+  const reopened = createUsageLedger({ dir, capsFile });
+  assert.equal(reopened.getCap('chat', 1, 'monthly'), 0.1);
+  reopened.setCap('chat', 1, 'monthly', null);
+  assert.equal(reopened.getCap('chat', 1, 'monthly'), 1);
+  assert.throws(() => reopened.setCap('group', 1, 'weekly', 1), /Unknown cap/);
+});
+
+test('withUsage records each call with the caller tags', async (t) => {
+  const { ledger } = tempLedger(t);
+  const llm = withUsage(createFakeProvider(), { chatId: 5, userId: 50, feature: 'reply' }, ledger);
+  await llm.chat({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'привет' }] });
+  await llm.editImage({ image: Buffer.from('x'), prompt: 'swap', quality: 'medium' });
+  const totals = ledger.totals({ chatId: 5 });
+  assert.equal(totals.calls, 2);
+  assert.deepEqual(Object.keys(totals.byModel).sort(), ['fake-image', 'gpt-4o-mini']);
+  assert.equal(totals.byModel['fake-image'], 0.042);
+});
+
+test('over a cap the reply switches to the degraded model, text only, no fine-tuned model', async (t) => {
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+  const { ledger } = tempLedger(t, { USAGE_CHAT_DAILY_USD: '0.1' });
+  assert.deepEqual(degradedReplyOptions(ledger.checkCaps({ chatId: 1, userId: 10 }), 'gpt-4.1-nano'), {});
+  ledger.record(call(1, 10));
+  const options = degradedReplyOptions(ledger.checkCaps({ chatId: 1, userId: 10 }), 'gpt-4.1-nano');
+  assert.deepEqual(options, { useFinetuned: false, textOnly: true, model: 'gpt-4.1-nano' });
+  // Without USAGE_DEGRADED_MODEL the base model stays
+  assert.equal(degradedReplyOptions(ledger.checkCaps({ chatId: 1 }), '').model, undefined);
+
+  const fake = createFakeProvider();
+  await getReply('смотри', [], { ...options, llm: fake, useRag: false, deadlineMs: 0, imageBuffer: Buffer.from('img') });
+  assert.deepEqual(fake.calls.map((c) => `${c.method}:${c.model}`), ['chat:gpt-4.1-nano']);
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { writeIndex, readIndex, packVectors, chunkHash, sidecar, INDEX_VERSION } from '../../src/rag/indexStore.js';
+import { createEmbeddingProvider, describeProvider } from '../../src/rag/embeddings.js';
+import { buildIvf } from '../../src/rag/vectorSearch.js';
+
+const TEXTS = ['User: привет\nВлад: здарова', 'User: как дела\nВлад: норм', 'User: го в гараж\nВлад: го'];
+
+function tempIndexFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-index-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'rag-index.json');
+}
+
+async function sampleIndex() {
+  const provider = createEmbeddingProvider({ name: 'local', dimension: 64 });
+  const embeddings = await provider.embed(TEXTS);
+  return {
+    personName: 'Влад',
+    embedding: describeProvider(provider),
+    chunks: TEXTS.map((text, i) => ({ text, hash: chunkHash(text), author: 'Петя', date: `2023-0${i + 1}-15`, topic: null })),
+    vectors: packVectors(embeddings, 64)
+  };
+}
+
+test('writeIndex / readIndex round-trip: manifest, chunks with metadata, normalized Float32 vectors', async (t) => {
+  const file = tempIndexFile(t);
+  const written = await sampleIndex();
+  writeIndex(file, written);
+
+  assert.ok(fs.existsSync(sidecar(file, '.vectors.bin')));
+  assert.ok(fs.existsSync(sidecar(file, '.chunks.json')));
+  assert.equal(fs.statSync(sidecar(file, '.vectors.bin')).size, TEXTS.length * 64 * 4);
+
+  const index = readIndex(file);
+  assert.equal(index.manifest.version, INDEX_VERSION);
+  assert.equal(index.manifest.count, 3);
+  assert.deepEqual(index.manifest.embedding, { provider: 'local', model: 'hashing-char-ngram-v1', dimension: 64 });
+  assert.equal(index.dimension, 64);
+  assert.deepEqual(index.chunks, written.chunks);
+  assert.ok(index.vectors instanceof Float32Array);
+  assert.deepEqual([...index.vectors], [...written.vectors]);
+  for (let i = 0; i < 3; i++) {
+    const norm = Math.hypot(...index.vectors.subarray(i * 64, (i + 1) * 64));
+    assert.ok(Math.abs(norm - 1) < 1e-5, `vector ${i} norm ${norm}`);
+  }
+  assert.equal(index.ann, null);
+});
+
+test('writeIndex keeps the IVF partition when given and removes a stale one when not', async (t) => {
+  const file = tempIndexFile(t);
+  const index = await sampleIndex();
+  const ann = buildIvf(index.vectors, 64, { lists: 2 });
+  writeIndex(file, { ...index, ann });
+  assert.deepEqual(readIndex(file).manifest.ann, { type: ann.type, lists: 2 });
+  assert.equal(readIndex(file).ann.centroidCount, 2);
+
+  writeIndex(file, index);
+  assert.equal(fs.existsSync(sidecar(file, '.ivf.json')), false);
+  assert.equal(readIndex(file).ann, null);
+});
+
+test('writeIndex refuses vectors that do not match the chunks', async (t) => {
+  const file = tempIndexFile(t);
+  const index = await sampleIndex();
+  assert.throws(() => writeIndex(file, { ...index, chunks: index.chunks.slice(1) }), /2 chunks but 3 vectors/);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('readIndex still reads a version 1 index with inline embeddings', (t) => {
+  const file = tempIndexFile(t);
+  const legacy = {
+    personName: 'Влад',
+    embedding: { provider: 'local', model: 'hashing-char-ngram-v1', dimension: 2 },
+    chunks: [
+      { text: 'a', embedding: [3, 4] },
+      { text: 'b', embedding: [0, 2] }
+    ]
+  };
+  fs.writeFileSync(file, JSON.stringify(legacy));
+  const index = readIndex(file);
+  assert.equal(index.manifest.version, 1);
+  assert.equal(index.dimension, 2);
+  assert.deepEqual(index.chunks, [{ text: 'a' }, { text: 'b' }]);
+  assert.deepEqual([...index.vectors].map((v) => Number(v.toFixed(6))), [0.6, 0.8, 0, 1]);
+});
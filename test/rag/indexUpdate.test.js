@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { updateIndex, progressFile, loadProgress } from '../../src/rag/indexUpdate.js';
+import { readIndex, chunkHash } from '../../src/rag/indexStore.js';
+import { createEmbeddingProvider } from '../../src/rag/embeddings.js';
+
+function tempIndexFile(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-update-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return path.join(dir, 'rag-index.json');
+}
+
+function chunk(userText, reply = 'ага') {
+  const text = `User: ${userText}\nВлад: ${reply}`;
+  return { userText, text, hash: chunkHash(text), author: 'Петя', date: '2023-05-01', topic: null };
+}
+
+/** Local hashing provider that records every text it embeds; `failOnBatch` makes that batch throw. */
+function countingProvider({ batchSize = 500, failOnBatch = null, model } = {}) {
+  const local = createEmbeddingProvider({ name: 'local', dimension: 32 });
+  const embedded = [];
+  let batches = 0;
+  return {
+    ...local,
+    model: model || local.model,
+    batchSize,
+    embedded,
+    async embed(texts) {
+      if (++batches === failOnBatch) throw new Error('connection dropped');
+      embedded.push(...texts);
+      return local.embed(texts);
+    }
+  };
+}
+
+const base = { personName: 'Влад' };
+
+test('a rebuild reuses embeddings of unchanged chunks, embeds new ones and drops removed ones', async (t) => {
+  const file = tempIndexFile(t);
+  const first = countingProvider();
+  await updateIndex(file, { ...base, provider: first, chunks: [chunk('привет'), chunk('как дела'), chunk('го в гараж')] });
+  assert.deepEqual(first.embedded, ['привет', 'как дела', 'го в гараж']);
+  const before = readIndex(file);
+
+  const second = countingProvider();
+  const chunks = [chunk('привет'), chunk('го в гараж'), chunk('что по пиву')];
+  const result = await updateIndex(file, { ...base, provider: second, chunks });
+  assert.deepEqual(second.embedded, ['что по пиву']);
+  assert.deepEqual({ reused: result.reused, resumed: result.resumed, removed: result.removed }, { reused: 2, resumed: 0, removed: 1 });
+
+  const after = readIndex(file);
+  assert.deepEqual(after.chunks.map((c) => c.hash), chunks.map((c) => c.hash));
+  // Reused vectors are the stored ones, moved to their new position
+  assert.deepEqual([...after.vectors.subarray(32, 64)], [...before.vectors.subarray(64, 96)]);
+  assert.equal(fs.existsSync(progressFile(file)), false);
+});
+
+test('the same chunk text twice is embedded once', async (t) => {
+  const file = tempIndexFile(t);
+  const provider = countingProvider();
+  await updateIndex(file, { ...base, provider, chunks: [chunk('привет'), chunk('привет')] });
+  assert.deepEqual(provider.embedded, ['привет']);
+  assert.equal(readIndex(file).manifest.count, 2);
+});
+
+test('a dry run only plans: nothing is embedded or written', async (t) => {
+  const file = tempIndexFile(t);
+  const provider = countingProvider();
+  let planned;
+  const result = await updateIndex(file, { ...base, provider, chunks: [chunk('привет')], dryRun: true, onPlan: (p) => (planned = p) });
+  assert.equal(result.todo.length, 1);
+  assert.equal(planned, result);
+  assert.deepEqual(provider.embedded, []);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test('an interrupted run leaves a checkpoint; the next run resumes from it', async (t) => {
+  const file = tempIndexFile(t);
+  const chunks = ['раз', 'два', 'три', 'четыре', 'пять'].map((text) => chunk(text));
+  const interrupted = countingProvider({ batchSize: 2, failOnBatch: 2 });
+  await assert.rejects(updateIndex(file, { ...base, provider: interrupted, chunks }), /connection dropped/);
+  assert.equal(fs.existsSync(file), false);
+  assert.deepEqual([...loadProgress(file, interrupted).keys()], chunks.slice(0, 2).map((c) => c.hash));
+
+  // The interruption may cut the last line in half
+  fs.appendFileSync(progressFile(file), '{"hash":"abc","embe');
+  const resumed = countingProvider({ batchSize: 2 });
+  const result = await updateIndex(file, { ...base, provider: resumed, chunks });
+  assert.deepEqual(resumed.embedded, ['три', 'четыре', 'пять']);
+  assert.equal(result.resumed, 2);
+  assert.equal(readIndex(file).manifest.count, 5);
+  assert.equal(fs.existsSync(progressFile(file)), false);
+});
+
+test('a checkpoint or index of another embedding model is not reused', async (t) => {
+  const file = tempIndexFile(t);
+  t.mock.method(console, 'warn', () => {});
+  const chunks = [chunk('привет'), chunk('как дела')];
+  await updateIndex(file, { ...base, provider: countingProvider(), chunks });
+  fs.writeFileSync(progressFile(file), JSON.stringify({ provider: 'openai', model: 'text-embedding-3-small' }) + '\n');
+
+  const other = countingProvider({ model: 'hashing-char-ngram-v2' });
+  const result = await updateIndex(file, { ...base, provider: other, chunks });
+  assert.deepEqual(other.embedded, ['привет', 'как дела']);
+  assert.equal(result.reused, 0);
+  assert.equal(result.resumed, 0);
+  assert.equal(readIndex(file).manifest.embedding.model, 'hashing-char-ngram-v2');
+});
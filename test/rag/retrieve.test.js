@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareDate, passesFilter, boostOf, recentSince } from '../../src/rag/retrieve.js';
+
+const chunk = { text: 'User: го\nВлад: го', author: 'Петя Иванов', date: '2023-05-14', topic: 'cars' };
+
+test('compareDate compares a YYYY-MM-DD date with a bound at year, month or day precision', () => {
+  assert.equal(compareDate('2023-05-14', 2023), 0);
+  assert.equal(compareDate('2023-05-14', '2023'), 0);
+  assert.equal(compareDate('2023-05-14', '2022'), 1);
+  assert.equal(compareDate('2023-05-14', 2024), -1);
+  assert.equal(compareDate('2023-05-14', '2023-05'), 0);
+  assert.equal(compareDate('2023-05-14', '2023-06'), -1);
+  assert.equal(compareDate('2023-05-14', '2023-04'), 1);
+  assert.equal(compareDate('2023-05-14', '2023-05-14'), 0);
+  assert.equal(compareDate('2023-05-14', '2023-05-15'), -1);
+});
+
+test('passesFilter: since / until are inclusive at their precision', () => {
+  assert.equal(passesFilter(chunk, { since: 2023 }), true);
+  assert.equal(passesFilter(chunk, { until: 2023 }), true);
+  assert.equal(passesFilter(chunk, { since: '2023-05', until: '2023-05' }), true);
+  assert.equal(passesFilter(chunk, { since: '2023-06' }), false);
+  assert.equal(passesFilter(chunk, { until: '2023-04' }), false);
+  assert.equal(passesFilter(chunk, { until: 2022 }), false);
+  assert.equal(passesFilter(chunk, { since: '2023-05-15' }), false);
+});
+
+test('passesFilter: authors match the export name case-insensitively, by substring of 3+ characters or @handle', () => {
+  assert.equal(passesFilter(chunk, { authors: ['петя иванов'] }), true);
+  assert.equal(passesFilter(chunk, { authors: ['@Петя'] }), true);
+  assert.equal(passesFilter(chunk, { authors: ['Вася', 'Иванов'] }), true);
+  // Too short for a substring match
+  assert.equal(passesFilter(chunk, { authors: ['Пе'] }), false);
+  assert.equal(passesFilter(chunk, { authors: ['Вася'] }), false);
+});
+
+test('passesFilter: every given field must match; empty fields do not filter', () => {
+  assert.equal(passesFilter(chunk, {}), true);
+  assert.equal(passesFilter(chunk, { authors: [], topics: [] }), true);
+  assert.equal(passesFilter(chunk, { topics: ['cars', 'food'] }), true);
+  assert.equal(passesFilter(chunk, { topics: ['food'] }), false);
+  assert.equal(passesFilter(chunk, { authors: ['Петя'], topics: ['cars'], since: 2023 }), true);
+  assert.equal(passesFilter(chunk, { authors: ['Петя'], topics: ['cars'], since: 2024 }), false);
+});
+
+test('passesFilter: chunks without metadata (old index) never match a filter on it', () => {
+  const old = { text: 'User: го\nВлад: го' };
+  assert.equal(passesFilter(old, {}), true);
+  assert.equal(passesFilter(old, { since: 2000 }), false);
+  assert.equal(passesFilter(old, { until: 2100 }), false);
+  assert.equal(passesFilter(old, { authors: ['Петя'] }), false);
+  assert.equal(passesFilter(old, { topics: ['cars'] }), false);
+});
+
+test('boostOf adds the interlocutor, topic and recency bonuses that apply', () => {
+  const near = (a, b) => Math.abs(a - b) < 1e-9;
+  assert.equal(boostOf(chunk, {}, null), 0);
+  assert.ok(near(boostOf(chunk, { authors: ['Петя'] }, null), 0.1));
+  assert.ok(near(boostOf(chunk, { topics: ['cars'] }, null), 0.05));
+  assert.ok(near(boostOf(chunk, {}, '2023-01-01'), 0.05));
+  assert.ok(near(boostOf(chunk, { authors: ['Петя'], topics: ['cars'] }, '2023-05-14'), 0.2));
+  assert.equal(boostOf(chunk, { authors: ['Вася'], topics: ['food'] }, '2023-05-15'), 0);
+  assert.equal(boostOf({ text: 'x' }, { authors: ['Петя'], topics: ['cars'] }, '2000-01-01'), 0);
+});
+
+test('recentSince counts the years back from the newest chunk of the index', () => {
+  const index = { chunks: [{ date: '2021-03-01' }, { date: '2024-02-29' }, {}, { date: '2019-12-31' }] };
+  assert.equal(recentSince(index, 2), '2022-03-01');
+  assert.equal(recentSince(index, 0), null);
+  assert.equal(recentSince({ chunks: [{ text: 'x' }] }, 2), null);
+});